@@ -0,0 +1,290 @@
+// Nexus 2.0 - Automation Hub
+// A rule pairs a trigger (something that happened to a task, goal or focus
+// session) with an action. The server turns changes into events, asks
+// matchesTrigger() which rules apply and carries out the plan planAction()
+// returns. Nothing here touches the database, which is what lets a rule be
+// tested against current data without changing anything.
+//
+// An event is { type, task, goal, session, from, to }: the rows involved (goal
+// is the task's goal for task and session events) and, for goal_progress, the
+// progress before and after the change.
+
+const recurrence = require('./recurrence');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const TRIGGERS = {
+  task_completed: 'A task is completed',
+  goal_progress: 'A goal reaches a progress threshold',
+  task_overdue: 'A task is overdue',
+  focus_session_ended: 'A focus session ends'
+};
+
+const ACTIONS = {
+  complete_goal: 'Set the goal to 100%',
+  create_task: 'Create a follow-up task',
+  bump_priority: 'Raise the priority',
+  snooze_task: 'Snooze the task'
+};
+
+// Triggers whose events are about one task
+const TASK_TRIGGERS = ['task_completed', 'task_overdue', 'focus_session_ended'];
+
+const FOCUS_OUTCOMES = ['any', 'completed', 'abandoned'];
+const MAX_SNOOZE_HOURS = 24 * 30;
+const MAX_DAYS = 365;
+
+function wholeNumber(value, min, max) {
+  const number = Number(value);
+  return Number.isInteger(number) && number >= min && number <= max ? number : null;
+}
+
+function isSet(value) {
+  return value !== undefined && value !== null && value !== '';
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+// Trigger settings -> { config } or { error }
+function readTrigger(type, input) {
+  const config = {};
+  if (isSet(input.goal_id)) {
+    config.goal_id = wholeNumber(input.goal_id, 1, Number.MAX_SAFE_INTEGER);
+    if (config.goal_id === null) return { error: 'trigger.goal_id must be a goal id' };
+  }
+
+  if (type === 'task_completed' && isSet(input.priority)) {
+    if (!PRIORITIES.includes(input.priority)) return { error: `trigger.priority must be one of: ${PRIORITIES.join(', ')}` };
+    config.priority = input.priority;
+  }
+  if (type === 'goal_progress') {
+    config.threshold = wholeNumber(input.threshold, 1, 100);
+    if (config.threshold === null) return { error: 'trigger.threshold must be a whole percentage between 1 and 100' };
+  }
+  if (type === 'task_overdue') {
+    config.days = isSet(input.days) ? wholeNumber(input.days, 0, MAX_DAYS) : 0;
+    if (config.days === null) return { error: `trigger.days must be a whole number of days between 0 and ${MAX_DAYS}` };
+  }
+  if (type === 'focus_session_ended') {
+    config.outcome = isSet(input.outcome) ? input.outcome : 'any';
+    if (!FOCUS_OUTCOMES.includes(config.outcome)) return { error: `trigger.outcome must be one of: ${FOCUS_OUTCOMES.join(', ')}` };
+    if (isSet(input.min_minutes)) {
+      config.min_minutes = wholeNumber(input.min_minutes, 1, 24 * 60);
+      if (config.min_minutes === null) return { error: 'trigger.min_minutes must be a whole number of minutes' };
+    }
+  }
+  return { config };
+}
+
+// Action settings -> { config } or { error }
+function readAction(type, input, triggerType) {
+  const config = {};
+  if ((type === 'complete_goal' || type === 'create_task') && isSet(input.goal_id)) {
+    config.goal_id = wholeNumber(input.goal_id, 1, Number.MAX_SAFE_INTEGER);
+    if (config.goal_id === null) return { error: 'action.goal_id must be a goal id' };
+  }
+
+  if (type === 'create_task') {
+    config.title = String(input.title || '').trim().slice(0, 200);
+    if (!config.title) return { error: 'action.title is required; {task} and {goal} are replaced by the names involved' };
+    config.priority = isSet(input.priority) ? input.priority : 'medium';
+    if (!PRIORITIES.includes(config.priority)) return { error: `action.priority must be one of: ${PRIORITIES.join(', ')}` };
+    if (isSet(input.estimated_time)) {
+      config.estimated_time = wholeNumber(input.estimated_time, 0, 24 * 60);
+      if (config.estimated_time === null) return { error: 'action.estimated_time must be a whole number of minutes' };
+    }
+    if (isSet(input.due_in_days)) {
+      config.due_in_days = wholeNumber(input.due_in_days, 0, MAX_DAYS);
+      if (config.due_in_days === null) return { error: `action.due_in_days must be a whole number of days between 0 and ${MAX_DAYS}` };
+    }
+  }
+  if (type === 'snooze_task') {
+    if (!TASK_TRIGGERS.includes(triggerType) || triggerType === 'task_completed') {
+      return { error: 'Only overdue tasks and tasks from a focus session can be snoozed' };
+    }
+    config.hours = wholeNumber(input.hours, 1, MAX_SNOOZE_HOURS);
+    if (config.hours === null) return { error: `action.hours must be a whole number between 1 and ${MAX_SNOOZE_HOURS}` };
+  }
+  return { config };
+}
+
+// Request body { name, enabled, trigger: { type, ... }, action: { type, ... } }
+// -> { rule } with trigger_type, trigger_config, action_type and action_config,
+// or { error }
+function validateRule(input) {
+  const body = input || {};
+  const trigger = body.trigger || {};
+  const action = body.action || {};
+  const name = String(body.name || '').trim().slice(0, 100);
+
+  if (!name) return { error: 'Give the rule a name' };
+  if (!TRIGGERS[trigger.type]) return { error: `trigger.type must be one of: ${Object.keys(TRIGGERS).join(', ')}` };
+  if (!ACTIONS[action.type]) return { error: `action.type must be one of: ${Object.keys(ACTIONS).join(', ')}` };
+
+  const triggerConfig = readTrigger(trigger.type, trigger);
+  if (triggerConfig.error) return { error: triggerConfig.error };
+  const actionConfig = readAction(action.type, action, trigger.type);
+  if (actionConfig.error) return { error: actionConfig.error };
+
+  return {
+    rule: {
+      name,
+      enabled: body.enabled !== false,
+      trigger_type: trigger.type,
+      trigger_config: triggerConfig.config,
+      action_type: action.type,
+      action_config: actionConfig.config
+    }
+  };
+}
+
+function dayOf(value) {
+  return value ? String(value).slice(0, 10) : null;
+}
+
+function matchesTrigger(rule, event, { now = Date.now() } = {}) {
+  const config = rule.trigger_config;
+  if (event.type !== rule.trigger_type) return false;
+  if (config.goal_id && (!event.goal || event.goal.id !== config.goal_id)) return false;
+
+  switch (rule.trigger_type) {
+    case 'task_completed':
+      return !config.priority || event.task.priority === config.priority;
+    case 'goal_progress':
+      // Fires when progress crosses the threshold upwards; `from` is unknown
+      // when testing a rule against current data
+      return event.to >= config.threshold && (event.from == null || event.from < config.threshold);
+    case 'task_overdue': {
+      const due = dayOf(event.task.due_date);
+      return ['pending', 'in_progress'].includes(event.task.status) && recurrence.isDay(due)
+        && recurrence.addDays(due, config.days || 0) < recurrence.today(now);
+    }
+    case 'focus_session_ended':
+      return (config.outcome === 'any' || event.session.status === config.outcome)
+        && (!config.min_minutes || (event.session.duration || 0) >= config.min_minutes);
+    default:
+      return false;
+  }
+}
+
+// '{task}' and '{goal}' in a follow-up task's title
+function fillTemplate(text, event) {
+  return text
+    .replace(/\{task\}/g, event.task ? event.task.title : '')
+    .replace(/\{goal\}/g, event.goal ? event.goal.title : '')
+    .trim();
+}
+
+// What the rule would do about the event: { type, description, ...details }
+// or { skip: reason }. `goals` maps goal id -> goal for goals named in the
+// action settings.
+function planAction(rule, event, { now = Date.now(), goals = new Map() } = {}) {
+  const config = rule.action_config;
+  const actionGoal = config.goal_id ? goals.get(config.goal_id) : event.goal;
+
+  switch (rule.action_type) {
+    case 'complete_goal': {
+      if (!actionGoal) return { skip: 'The goal no longer exists' };
+      if (actionGoal.progress >= 100) return { skip: `"${actionGoal.title}" is already at 100%` };
+      return { type: 'complete_goal', goal_id: actionGoal.id, description: `Set "${actionGoal.title}" to 100%` };
+    }
+    case 'create_task': {
+      if (!actionGoal) return { skip: 'The goal for the new task no longer exists' };
+      const title = fillTemplate(config.title, event);
+      if (!title) return { skip: 'The task title came out empty' };
+      return {
+        type: 'create_task',
+        goal_id: actionGoal.id,
+        title,
+        priority: config.priority || 'medium',
+        estimated_time: config.estimated_time != null ? config.estimated_time : null,
+        due_date: config.due_in_days != null ? recurrence.addDays(recurrence.today(now), config.due_in_days) : null,
+        description: `Create "${title}" in "${actionGoal.title}"`
+      };
+    }
+    case 'bump_priority': {
+      const target = event.task || event.goal;
+      if (!target) return { skip: 'There is nothing to change' };
+      const current = PRIORITIES.includes(target.priority) ? target.priority : 'medium';
+      if (current === 'high') return { skip: `"${target.title}" is already high priority` };
+      const priority = PRIORITIES[PRIORITIES.indexOf(current) + 1];
+      return {
+        type: 'bump_priority',
+        task_id: event.task ? event.task.id : null,
+        goal_id: event.task ? null : event.goal.id,
+        priority,
+        description: `Raise "${target.title}" from ${current} to ${priority} priority`
+      };
+    }
+    case 'snooze_task': {
+      if (!event.task) return { skip: 'There is no task to snooze' };
+      if (event.task.status === 'completed') return { skip: `"${event.task.title}" is already completed` };
+      return {
+        type: 'snooze_task',
+        task_id: event.task.id,
+        snoozed_until: new Date(now + config.hours * 60 * 60 * 1000).toISOString(),
+        description: `Snooze "${event.task.title}" for ${plural(config.hours, 'hour')}`
+      };
+    }
+    default:
+      return { skip: `Unknown action ${rule.action_type}` };
+  }
+}
+
+// One sentence, e.g. 'When a task in "Launch" is completed, create the task "Review {task}"'
+function describeRule(rule, { goals = new Map() } = {}) {
+  const trigger = rule.trigger_config;
+  const action = rule.action_config;
+  const goalName = id => (goals.has(id) ? `"${goals.get(id).title}"` : `goal ${id}`);
+  const inGoal = trigger.goal_id ? ` in ${goalName(trigger.goal_id)}` : '';
+
+  let when;
+  switch (rule.trigger_type) {
+    case 'task_completed':
+      when = `a ${trigger.priority ? `${trigger.priority} priority ` : ''}task${inGoal} is completed`;
+      break;
+    case 'goal_progress':
+      when = `${trigger.goal_id ? goalName(trigger.goal_id) : 'a goal'} reaches ${trigger.threshold}%`;
+      break;
+    case 'task_overdue':
+      when = `a task${inGoal} is ${trigger.days ? `${plural(trigger.days, 'day')} ` : ''}overdue`;
+      break;
+    case 'focus_session_ended':
+      when = `a focus session${inGoal} ${{ any: 'ends', completed: 'is finished', abandoned: 'is abandoned' }[trigger.outcome]}`
+        + (trigger.min_minutes ? ` after at least ${plural(trigger.min_minutes, 'minute')}` : '');
+      break;
+    default:
+      when = rule.trigger_type;
+  }
+
+  let then;
+  switch (rule.action_type) {
+    case 'complete_goal':
+      then = `set ${action.goal_id ? goalName(action.goal_id) : 'the goal'} to 100%`;
+      break;
+    case 'create_task':
+      then = `create the task "${action.title}"${action.goal_id ? ` in ${goalName(action.goal_id)}` : ''}`;
+      break;
+    case 'bump_priority':
+      then = `raise the ${TASK_TRIGGERS.includes(rule.trigger_type) ? 'task' : 'goal'}'s priority`;
+      break;
+    case 'snooze_task':
+      then = `snooze the task for ${plural(action.hours, 'hour')}`;
+      break;
+    default:
+      then = rule.action_type;
+  }
+
+  return `When ${when}, ${then}`;
+}
+
+module.exports = {
+  TRIGGERS,
+  ACTIONS,
+  validateRule,
+  matchesTrigger,
+  planAction,
+  describeRule
+};
@@ -0,0 +1,204 @@
+// Nexus 2.0 - Calendar feed contents
+// Turns a user's dated rows into iCalendar components (see lib/ical.js) and
+// uploaded calendar entries back into tasks. Task due dates and goal target
+// dates are all-day entries; focus sessions keep their real start and end.
+// UIDs end in @nexus2 so entries from our own feed are recognized on import.
+// Both server.js and read-only-server.js serve the feed from here.
+
+const crypto = require('crypto');
+const ical = require('./ical');
+const { parseTimestamp } = require('./focus-scoring');
+const recurrence = require('./recurrence');
+
+const UID_DOMAIN = 'nexus2';
+
+// Finished work and focus sessions older than this drop off the feed
+const HISTORY_DAYS = 90;
+
+const TODO_STATUSES = {
+  pending: 'NEEDS-ACTION',
+  in_progress: 'IN-PROCESS',
+  completed: 'COMPLETED',
+  missed: 'CANCELLED'
+};
+
+function allDay(day) {
+  return {
+    start: { day },
+    end: { day: recurrence.addDays(day, 1) }
+  };
+}
+
+function timeOf(value) {
+  const time = parseTimestamp(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// tasks: { id, title, description, status, due_date, completed_at, goal_title }
+// goals: { id, title, description, target_date }
+// sessions: { id, task_title, status, start_time, end_time, planned_duration, distractions }
+// todos: publish tasks as VTODO rather than all-day VEVENT
+function feedComponents({ tasks = [], goals = [], sessions = [] }, { todos = false } = {}) {
+  const components = [];
+
+  tasks.forEach((task) => {
+    const day = String(task.due_date).slice(0, 10);
+    if (!recurrence.isDay(day)) return;
+    const base = {
+      uid: `task-${task.id}@${UID_DOMAIN}`,
+      description: [task.goal_title ? `Goal: ${task.goal_title}` : null, task.description].filter(Boolean).join('\n\n'),
+      categories: task.goal_title ? [task.goal_title] : []
+    };
+    if (todos) {
+      components.push({
+        ...base,
+        type: 'VTODO',
+        summary: task.title,
+        due: { day },
+        status: TODO_STATUSES[task.status] || TODO_STATUSES.pending,
+        completed: task.status === 'completed' ? timeOf(task.completed_at) : null
+      });
+    } else {
+      components.push({
+        ...base,
+        ...allDay(day),
+        type: 'VEVENT',
+        summary: `${task.status === 'completed' ? '✓ ' : ''}${task.title}`
+      });
+    }
+  });
+
+  goals.forEach((goal) => {
+    const day = String(goal.target_date).slice(0, 10);
+    if (!recurrence.isDay(day)) return;
+    components.push({
+      ...allDay(day),
+      type: 'VEVENT',
+      uid: `goal-${goal.id}@${UID_DOMAIN}`,
+      summary: `Goal: ${goal.title}`,
+      description: goal.description
+    });
+  });
+
+  sessions.forEach((session) => {
+    const start = timeOf(session.start_time);
+    if (start === null) return;
+    const end = timeOf(session.end_time) || start + (session.planned_duration || 0) * 1000;
+    components.push({
+      type: 'VEVENT',
+      uid: `focus-${session.id}@${UID_DOMAIN}`,
+      summary: `Focus: ${session.task_title || 'Focus session'}`,
+      description: `Session ${session.status}${session.distractions ? `, ${session.distractions} distraction${session.distractions === 1 ? '' : 's'}` : ''}`,
+      start: { time: start },
+      end: { time: Math.max(end, start) }
+    });
+  });
+
+  return components;
+}
+
+// The feed a subscription token opens ({ id, user_id }), or null. Tokens are
+// stored as SHA-256 digests, the same way as session tokens.
+async function findFeed(conn, token) {
+  if (!token) return null;
+  const tokenHash = crypto.createHash('sha256').update(String(token)).digest('hex');
+  return (await conn.get('SELECT id, user_id FROM calendar_feeds WHERE token_hash = ?', [tokenHash])) || null;
+}
+
+// The whole .ics document for one user. focus adds recent focus sessions;
+// todos publishes tasks as VTODO.
+async function loadCalendar(conn, userId, { focus = false, todos = false } = {}) {
+  const since = `-${HISTORY_DAYS} days`;
+  const [tasks, goals, sessions] = await Promise.all([
+    conn.all(
+      `SELECT t.id, t.title, t.description, t.status, t.due_date, t.completed_at, g.title AS goal_title
+       FROM tasks t LEFT JOIN goals g ON g.id = t.goal_id
+       WHERE t.user_id = ? AND t.due_date IS NOT NULL
+         AND (t.status NOT IN ('completed', 'missed') OR t.due_date >= date('now', ?))
+       ORDER BY t.due_date, t.id`,
+      [userId, since]
+    ),
+    conn.all('SELECT id, title, description, target_date FROM goals WHERE user_id = ? AND target_date IS NOT NULL ORDER BY target_date', [userId]),
+    focus
+      ? conn.all(
+        `SELECT fs.id, fs.status, fs.start_time, fs.end_time, fs.planned_duration, fs.distractions, t.title AS task_title
+         FROM focus_sessions fs LEFT JOIN tasks t ON t.id = fs.task_id
+         WHERE fs.user_id = ? AND fs.start_time >= ?
+         ORDER BY fs.start_time`,
+        [userId, new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString()]
+      )
+      : []
+  ]);
+  return ical.buildCalendar({ name: 'Nexus 2.0', components: feedComponents({ tasks, goals, sessions }, { todos }) });
+}
+
+// iCalendar PRIORITY (1 highest .. 9 lowest, 0 undefined) -> task priority
+function taskPriority(value) {
+  const priority = parseInt(value, 10);
+  if (priority >= 1 && priority <= 4) return 'high';
+  if (priority >= 6 && priority <= 9) return 'low';
+  return 'medium';
+}
+
+// Uploaded .ics text -> { tasks, warnings, errors }. Events become tasks due
+// on their start date, with the event length as the estimate; to-dos use
+// their due date. Entries without a title or date, and entries that came
+// from a Nexus feed, are skipped with a warning.
+function calendarToTasks(text) {
+  const { components, errors } = ical.parseCalendar(text);
+  const warnings = [];
+  const tasks = [];
+
+  components.forEach((component) => {
+    const where = `Line ${component.line}`;
+    const title = ical.textValue(component, 'SUMMARY');
+    if (!title) {
+      warnings.push(`${where}: skipped an entry without a title`);
+      return;
+    }
+    const uid = ical.textValue(component, 'UID') || '';
+    if (uid.endsWith(`@${UID_DOMAIN}`)) {
+      warnings.push(`${where}: skipped "${title}", which came from a Nexus calendar feed`);
+      return;
+    }
+
+    const start = ical.dateValue(component, 'DTSTART');
+    const date = component.type === 'VTODO' ? ical.dateValue(component, 'DUE') || start : start;
+    if (!date) {
+      warnings.push(`${where}: skipped "${title}", which has no date`);
+      return;
+    }
+
+    let minutes = ical.durationMinutes(component);
+    const end = ical.dateValue(component, 'DTEND');
+    if (minutes === null && start && end && !start.allDay) {
+      minutes = Math.round((end.time - start.time) / 60000);
+    }
+    if (component.properties.RRULE) {
+      warnings.push(`${where}: "${title}" repeats; only its first date was imported`);
+    }
+
+    const status = ical.textValue(component, 'STATUS');
+    const completed = component.type === 'VTODO' && status && status.toUpperCase() === 'COMPLETED';
+    const completedAt = completed ? ical.dateValue(component, 'COMPLETED') : null;
+    tasks.push({
+      title: title.slice(0, 200),
+      description: ical.textValue(component, 'DESCRIPTION') || null,
+      priority: taskPriority(ical.textValue(component, 'PRIORITY')),
+      estimated_time: minutes > 0 ? minutes : null,
+      due_date: date.day,
+      status: completed ? 'completed' : 'pending',
+      completed_at: completed ? new Date(completedAt ? completedAt.time : Date.now()).toISOString() : null
+    });
+  });
+
+  return { tasks, warnings, errors };
+}
+
+module.exports = {
+  HISTORY_DAYS,
+  feedComponents,
+  findFeed,
+  loadCalendar,
+  calendarToTasks
+};
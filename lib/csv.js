@@ -0,0 +1,88 @@
+// Nexus 2.0 - CSV
+// Reads and writes RFC 4180 CSV: comma separated, fields with commas, quotes
+// or line breaks wrapped in double quotes, quotes inside doubled. The first
+// row holds the column names.
+
+function formatField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: objects; columns: the keys to write, in order
+function toCsv(rows, columns) {
+  const lines = [columns, ...rows.map(row => columns.map(column => row[column]))];
+  return `${lines.map(line => line.map(formatField).join(',')).join('\r\n')}\r\n`;
+}
+
+// Returns { columns, rows, errors }. Each row is an object keyed by column
+// name plus `line`, the line it starts on. Blank lines are skipped.
+function parseCsv(text) {
+  const records = [];
+  const errors = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+  };
+  const endRecord = () => {
+    endField();
+    if (record.length > 1 || record[0] !== '') records.push({ line: recordLine, values: record });
+    record = [];
+    recordLine = line;
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) errors.push(`Line ${recordLine}: a quoted field is never closed`);
+  if (field !== '' || record.length > 0) endRecord();
+
+  if (records.length === 0) return { columns: [], rows: [], errors: [...errors, 'The file has no header row'] };
+
+  const columns = records[0].values.map(name => name.trim().toLowerCase());
+  const rows = records.slice(1).map(({ line: start, values }) => {
+    if (values.length > columns.length) {
+      errors.push(`Line ${start}: ${values.length} fields but only ${columns.length} columns`);
+    }
+    const row = { line: start };
+    columns.forEach((column, index) => {
+      row[column] = values[index] === undefined ? '' : values[index];
+    });
+    return row;
+  });
+
+  return { columns, rows, errors };
+}
+
+module.exports = {
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,221 @@
+// Nexus 2.0 - Backup and restore
+// An export is one JSON document holding all of an account's data:
+//   { format: 'nexus2-export', version, schema_version, exported_at, data }
+// where data has one array per collection below. Rows keep their original
+// `id` so that references between them (a task's goal_id, a link's
+// resource_id, ...) can be followed; an import gives every row a new id and
+// rewrites those references. Collections are listed in the order they have
+// to be inserted, parents before the rows that point at them.
+
+const FORMAT = 'nexus2-export';
+const VERSION = 1;
+
+// Most problems reported for one import
+const MAX_ERRORS = 50;
+
+// table: where the rows live; owner: how to find one account's rows (the
+// parameter is the user id); columns: exported besides id; references: columns
+// holding the id of a row in another collection; required: columns that
+// cannot be empty. keyless rows have no id of their own, and link tables
+// without a user_id column (linkOnly) belong to whoever owns what they link.
+const COLLECTIONS = [
+  {
+    name: 'goals',
+    table: 'goals',
+    owner: 'user_id = ?',
+    columns: ['title', 'description', 'category', 'target_date', 'priority', 'progress', 'progress_mode', 'created_at', 'updated_at'],
+    required: ['title']
+  },
+  {
+    name: 'recurrences',
+    table: 'task_recurrences',
+    owner: 'user_id = ?',
+    columns: ['goal_id', 'title', 'description', 'priority', 'estimated_time', 'frequency', 'weekdays', 'interval_days',
+      'day_of_month', 'times_per_week', 'start_date', 'end_date', 'generated_through', 'active', 'created_at'],
+    references: { goal_id: 'goals' },
+    required: ['goal_id', 'title', 'frequency', 'start_date']
+  },
+  {
+    name: 'milestones',
+    table: 'milestones',
+    owner: 'user_id = ?',
+    columns: ['goal_id', 'title', 'description', 'target_date', 'position', 'status', 'completed_at', 'created_at', 'updated_at'],
+    references: { goal_id: 'goals' },
+    required: ['goal_id', 'title']
+  },
+  {
+    name: 'tasks',
+    table: 'tasks',
+    owner: 'user_id = ?',
+    columns: ['goal_id', 'milestone_id', 'recurrence_id', 'title', 'description', 'status', 'priority', 'estimated_time',
+      'actual_time', 'due_date', 'completed_at', 'created_at', 'updated_at', 'snoozed_until', 'occurrence_date'],
+    references: { goal_id: 'goals', milestone_id: 'milestones', recurrence_id: 'recurrences' },
+    required: ['goal_id', 'title']
+  },
+  {
+    name: 'task_dependencies',
+    table: 'task_dependencies',
+    owner: 'task_id IN (SELECT id FROM tasks WHERE user_id = ?)',
+    keyless: true,
+    linkOnly: true,
+    columns: ['task_id', 'blocked_by', 'created_at'],
+    references: { task_id: 'tasks', blocked_by: 'tasks' },
+    required: ['task_id', 'blocked_by']
+  },
+  {
+    name: 'task_skips',
+    table: 'task_skips',
+    owner: 'user_id = ?',
+    columns: ['task_id', 'kind', 'reason', 'snoozed_until', 'created_at'],
+    references: { task_id: 'tasks' },
+    required: ['task_id']
+  },
+  {
+    name: 'resources',
+    table: 'resources',
+    owner: 'user_id = ?',
+    columns: ['title', 'url', 'type', 'description', 'tags', 'category', 'created_at', 'updated_at'],
+    required: ['title']
+  },
+  {
+    name: 'resource_links',
+    table: 'resource_links',
+    owner: 'resource_id IN (SELECT id FROM resources WHERE user_id = ?)',
+    linkOnly: true,
+    columns: ['resource_id', 'task_id', 'goal_id', 'created_at'],
+    references: { resource_id: 'resources', task_id: 'tasks', goal_id: 'goals' },
+    required: ['resource_id']
+  },
+  {
+    name: 'focus_sessions',
+    table: 'focus_sessions',
+    owner: 'user_id = ?',
+    columns: ['task_id', 'duration', 'start_time', 'end_time', 'distractions', 'status', 'planned_duration', 'paused_at',
+      'paused_seconds', 'created_at'],
+    references: { task_id: 'tasks' }
+  },
+  {
+    name: 'learning_patterns',
+    table: 'learning_patterns',
+    owner: 'user_id = ?',
+    columns: ['pattern_type', 'pattern_value', 'success_rate', 'sample_size', 'average', 'last_updated'],
+    required: ['pattern_type']
+  }
+];
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '';
+}
+
+function isId(value) {
+  return Number.isInteger(value) || (typeof value === 'string' && /^\d+$/.test(value));
+}
+
+function singular(name) {
+  return name.replace(/ies$/, 'y').replace(/s$/, '');
+}
+
+// Checks an uploaded document without touching the database.
+// Returns { counts, errors, warnings }; the document can be imported when errors is empty.
+function validateDocument(document) {
+  const errors = [];
+  const warnings = [];
+  const counts = {};
+  const fail = (message) => {
+    if (errors.length < MAX_ERRORS) errors.push(message);
+  };
+
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    return { counts, errors: ['The file is not a Nexus export'], warnings };
+  }
+  if (document.format !== FORMAT) {
+    return { counts, errors: [`Unknown format "${document.format}"; expected "${FORMAT}"`], warnings };
+  }
+  if (!Number.isInteger(document.version) || document.version < 1 || document.version > VERSION) {
+    return { counts, errors: [`Unsupported export version ${document.version}; this server reads version ${VERSION}`], warnings };
+  }
+  const data = document.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { counts, errors: ['The export has no data section'], warnings };
+  }
+
+  const known = new Set(COLLECTIONS.map(collection => collection.name));
+  Object.keys(data).filter(name => !known.has(name)).forEach((name) => {
+    warnings.push(`"${name}" is not a known collection and will be ignored`);
+  });
+
+  // Ids present in each collection, so references can be checked
+  const ids = {};
+  COLLECTIONS.forEach((collection) => {
+    const rows = data[collection.name] === undefined ? [] : data[collection.name];
+    if (!Array.isArray(rows)) {
+      fail(`${collection.name} must be a list`);
+      return;
+    }
+    counts[collection.name] = rows.length;
+    if (collection.keyless) return;
+    ids[collection.name] = new Set();
+    rows.forEach((row, index) => {
+      if (!row || typeof row !== 'object') return;
+      if (!isId(row.id)) {
+        fail(`${collection.name}[${index}]: id must be a whole number`);
+      } else if (ids[collection.name].has(String(row.id))) {
+        fail(`${collection.name}[${index}]: id ${row.id} appears more than once`);
+      } else {
+        ids[collection.name].add(String(row.id));
+      }
+    });
+  });
+
+  COLLECTIONS.forEach((collection) => {
+    const rows = Array.isArray(data[collection.name]) ? data[collection.name] : [];
+    rows.forEach((row, index) => {
+      const where = `${collection.name}[${index}]`;
+      if (!row || typeof row !== 'object' || Array.isArray(row)) {
+        fail(`${where}: must be an object`);
+        return;
+      }
+      (collection.required || []).forEach((column) => {
+        if (isEmpty(row[column])) fail(`${where}: ${column} is required`);
+      });
+      Object.entries(collection.references || {}).forEach(([column, target]) => {
+        const value = row[column];
+        if (isEmpty(value)) return;
+        if (!ids[target] || !ids[target].has(String(value))) {
+          fail(`${where}: ${column} ${value} does not match any ${singular(target)} in the file`);
+        }
+      });
+    });
+  });
+
+  const running = (Array.isArray(data.focus_sessions) ? data.focus_sessions : [])
+    .filter(session => session && (session.status === 'active' || session.status === 'paused')).length;
+  if (running > 0) {
+    warnings.push(`${running} running focus session${running === 1 ? '' : 's'} will be imported as abandoned`);
+  }
+
+  return { counts, errors, warnings };
+}
+
+// Column values for inserting `row`; `newId(collection, oldId)` maps a
+// reference to the id the referenced row was given
+function rowValues(collection, row, newId) {
+  return collection.columns.map((column) => {
+    const value = row[column];
+    if (isEmpty(value)) return null;
+    const target = (collection.references || {})[column];
+    if (target) return newId(target, value);
+    if (collection.name === 'focus_sessions' && column === 'status' && (value === 'active' || value === 'paused')) {
+      return 'abandoned';
+    }
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+  });
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  COLLECTIONS,
+  validateDocument,
+  rowValues
+};
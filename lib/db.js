@@ -0,0 +1,247 @@
+// Nexus 2.0 - Shared database layer
+// One long-lived SQLite connection behind a promise API. Queries are prepared
+// once and cached, every query has a timeout, and transactions get the
+// connection to themselves: ordinary queries wait until they finish so they
+// never end up inside somebody else's BEGIN ... COMMIT.
+//
+// Statements are handed to SQLite one at a time (it would run them one after
+// the other anyway). A query's timeout only starts once it is running, and
+// interrupting the connection then stops that query rather than whichever
+// one happened to be running at the time.
+
+const sqlite3 = require('sqlite3');
+
+const DEFAULT_QUERY_TIMEOUT = 5000;
+const DEFAULT_STATEMENT_CACHE_SIZE = 100;
+
+// Raised when a query runs longer than the configured timeout
+class QueryTimeoutError extends Error {
+  constructor(sql, timeout) {
+    super(`Database query timed out after ${timeout}ms`);
+    this.name = 'QueryTimeoutError';
+    this.sql = sql;
+  }
+}
+
+// Ordinary queries share the connection with each other; a transaction needs
+// it alone. Waiting transactions block new queries so they cannot starve.
+class ConnectionGate {
+  constructor() {
+    this.queries = 0;
+    this.transaction = false;
+    this.waiting = [];
+  }
+
+  acquire(exclusive) {
+    return new Promise((resolve) => {
+      this.waiting.push({ exclusive, resolve });
+      this.pump();
+    });
+  }
+
+  release(exclusive) {
+    if (exclusive) {
+      this.transaction = false;
+    } else {
+      this.queries -= 1;
+    }
+    this.pump();
+  }
+
+  // State is updated here, synchronously, before the waiter is resumed
+  pump() {
+    while (this.waiting.length > 0 && !this.transaction) {
+      const next = this.waiting[0];
+      if (next.exclusive) {
+        if (this.queries > 0) return;
+        this.transaction = true;
+      } else {
+        this.queries += 1;
+      }
+      this.waiting.shift();
+      next.resolve();
+    }
+  }
+}
+
+class Database {
+  constructor(connection, filename, options = {}) {
+    this.connection = connection;
+    this.filename = filename;
+    this.queryTimeout = options.queryTimeout || DEFAULT_QUERY_TIMEOUT;
+    this.statementCacheSize = options.statementCacheSize || DEFAULT_STATEMENT_CACHE_SIZE;
+    this.statements = new Map();
+    this.gate = new ConnectionGate();
+    // Settles when the statement currently running on the connection is done
+    this.running = Promise.resolve();
+  }
+
+  // Open a connection and apply the connection settings every query relies on
+  static open(filename, options = {}) {
+    const mode = options.readOnly
+      ? sqlite3.OPEN_READONLY
+      : sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE;
+
+    return new Promise((resolve, reject) => {
+      const connection = new sqlite3.Database(filename, mode, (err) => {
+        if (err) return reject(err);
+
+        connection.configure('busyTimeout', options.busyTimeout || 5000);
+        const pragmas = options.readOnly
+          ? ['PRAGMA foreign_keys = ON']
+          : ['PRAGMA journal_mode = WAL', 'PRAGMA synchronous = NORMAL', 'PRAGMA foreign_keys = ON'];
+        connection.exec(pragmas.join(';\n'), (pragmaErr) => {
+          if (pragmaErr) {
+            connection.close();
+            return reject(pragmaErr);
+          }
+          resolve(new Database(connection, filename, options));
+        });
+      });
+    });
+  }
+
+  // Cached prepared statement for the given SQL (least recently used is evicted)
+  prepare(sql) {
+    let statement = this.statements.get(sql);
+    if (statement) {
+      this.statements.delete(sql);
+      this.statements.set(sql, statement);
+      return statement;
+    }
+
+    statement = new Promise((resolve, reject) => {
+      const prepared = this.connection.prepare(sql, (err) => {
+        if (err) {
+          this.statements.delete(sql);
+          return reject(err);
+        }
+        resolve(prepared);
+      });
+    });
+    this.statements.set(sql, statement);
+
+    // Only called from a turn (see enqueue), so nobody else is using the
+    // evicted statement and it can be finalized straight away
+    if (this.statements.size > this.statementCacheSize) {
+      const [oldestSql, oldest] = this.statements.entries().next().value;
+      this.statements.delete(oldestSql);
+      oldest.then(stmt => stmt.finalize(), () => {});
+    }
+    return statement;
+  }
+
+  // Run work() once everything queued before it has finished
+  enqueue(work) {
+    const turn = this.running.then(work);
+    this.running = turn.catch(() => {});
+    return turn;
+  }
+
+  // Run one statement method ('get', 'all' or 'run') with the query timeout,
+  // after the statements queued before it
+  execute(method, sql, params = []) {
+    return this.enqueue(() => this.step(method, sql, params));
+  }
+
+  // One turn of execute(): the statement has the connection to itself
+  async step(method, sql, params) {
+    const statement = await this.prepare(sql);
+
+    return new Promise((resolve, reject) => {
+      // This is the only statement running, so interrupting aborts just this
+      // one; the callback below then reports the timeout
+      const timeout = this.queryTimeout;
+      let timedOut = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this.connection.interrupt();
+      }, timeout);
+
+      // Reset before running (another caller may have left the statement
+      // mid-result) and after, so a finished statement does not keep a read
+      // transaction open on the shared connection
+      statement.reset();
+      statement[method](params, function(err, result) {
+        clearTimeout(timer);
+        statement.reset();
+        if (timedOut) return reject(new QueryTimeoutError(sql, timeout));
+        if (err) return reject(err);
+        if (method === 'run') {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        } else {
+          resolve(method === 'all' ? result || [] : result);
+        }
+      });
+    });
+  }
+
+  // Ordinary queries wait for any transaction holding the connection
+  async query(method, sql, params) {
+    await this.gate.acquire(false);
+    try {
+      return await this.execute(method, sql, params);
+    } finally {
+      this.gate.release(false);
+    }
+  }
+
+  get(sql, params) {
+    return this.query('get', sql, params);
+  }
+
+  all(sql, params) {
+    return this.query('all', sql, params);
+  }
+
+  run(sql, params) {
+    return this.query('run', sql, params);
+  }
+
+  // Run work(tx) inside BEGIN/COMMIT; any error rolls back and is rethrown.
+  // tx has the same get/all/run methods; use it (not this object) inside work.
+  async transaction(work) {
+    await this.gate.acquire(true);
+    const exec = sql => this.enqueue(() => new Promise((resolve, reject) => {
+      this.connection.exec(sql, err => (err ? reject(err) : resolve()));
+    }));
+
+    try {
+      await exec('BEGIN IMMEDIATE TRANSACTION');
+      const tx = {
+        get: (sql, params) => this.execute('get', sql, params),
+        all: (sql, params) => this.execute('all', sql, params),
+        run: (sql, params) => this.execute('run', sql, params)
+      };
+
+      try {
+        const result = await work(tx);
+        await exec('COMMIT');
+        return result;
+      } catch (err) {
+        await exec('ROLLBACK').catch(() => {});
+        throw err;
+      }
+    } finally {
+      this.gate.release(true);
+    }
+  }
+
+  async close() {
+    await this.running;
+    const statements = await Promise.allSettled([...this.statements.values()]);
+    this.statements.clear();
+    await Promise.all(statements
+      .filter(result => result.status === 'fulfilled')
+      .map(result => new Promise(resolve => result.value.finalize(resolve))));
+
+    return new Promise((resolve, reject) => {
+      this.connection.close(err => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+module.exports = {
+  Database,
+  QueryTimeoutError
+};
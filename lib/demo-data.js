@@ -0,0 +1,281 @@
+// Nexus 2.0 - Demo data
+// The account every demo session starts from, as an export document (see
+// lib/data-transfer.js) so it goes in through the same import as a backup.
+// Dates are relative to `now`: completed work and focus sessions fall in the
+// last few weeks and deadlines in the coming ones, so forecasts, streaks and
+// usage patterns look like those of someone who has used the app for a while.
+
+const { FORMAT, VERSION } = require('./data-transfer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function buildDemoExport(now = Date.now()) {
+  // YYYY-MM-DD `offset` days from today
+  const day = offset => new Date(now + offset * DAY_MS).toISOString().slice(0, 10);
+  // SQLite CURRENT_TIMESTAMP format, `offset` days from today at `hour` UTC
+  const stamp = (offset, hour = 10) => `${day(offset)} ${String(hour).padStart(2, '0')}:00:00`;
+  const iso = (offset, hour, minute = 0) => `${day(offset)}T${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}:00.000Z`;
+
+  const goals = [
+    {
+      id: 1,
+      title: 'Launch the mobile app beta',
+      description: 'Get the beta into the hands of 100 testers and collect their feedback before the store launch.',
+      category: 'business',
+      priority: 'high',
+      progress_mode: 'tasks',
+      target_date: day(30),
+      created_at: stamp(-28)
+    },
+    {
+      id: 2,
+      title: 'Run a half marathon',
+      description: 'Build up from 5 km runs to a comfortable 21 km at the autumn city race.',
+      category: 'health',
+      priority: 'high',
+      progress_mode: 'time',
+      target_date: day(60),
+      created_at: stamp(-21)
+    },
+    {
+      id: 3,
+      title: 'Read every day',
+      description: 'Twenty minutes of reading a day, every day.',
+      category: 'learning',
+      priority: 'medium',
+      progress_mode: 'habits',
+      target_date: null,
+      created_at: stamp(-20)
+    },
+    {
+      id: 4,
+      title: 'Build a three-month emergency fund',
+      description: 'Set aside three months of expenses in a separate savings account.',
+      category: 'financial',
+      priority: 'medium',
+      progress_mode: 'manual',
+      progress: 40,
+      target_date: day(120),
+      created_at: stamp(-35)
+    }
+  ];
+  goals.forEach((goal) => {
+    goal.updated_at = goal.created_at;
+  });
+
+  const recurrences = [
+    {
+      id: 1,
+      goal_id: 3,
+      title: 'Read for 20 minutes',
+      priority: 'medium',
+      estimated_time: 20,
+      frequency: 'daily',
+      start_date: day(-20),
+      generated_through: day(-1),
+      active: 1,
+      created_at: stamp(-20)
+    }
+  ];
+
+  const milestones = [
+    { id: 1, goal_id: 1, title: 'Private alpha', position: 0, status: 'completed', target_date: day(-12), completed_at: stamp(-10, 16) },
+    { id: 2, goal_id: 1, title: 'Public beta', position: 1, status: 'in_progress', target_date: day(14) },
+    { id: 3, goal_id: 1, title: 'Store launch', position: 2, status: 'pending', target_date: day(30) },
+    { id: 4, goal_id: 2, title: 'Run a 10 km race', position: 0, status: 'pending', target_date: day(21) },
+    { id: 5, goal_id: 2, title: 'Long run of 18 km', position: 1, status: 'pending', target_date: day(45) }
+  ];
+  milestones.forEach((milestone) => {
+    milestone.created_at = stamp(-20);
+    milestone.updated_at = milestone.completed_at || milestone.created_at;
+  });
+
+  // [id, goal, milestone, title, priority, estimate, actual, due (days), completed (days ago)]
+  const plannedTasks = [
+    [1, 1, 1, 'Set up crash reporting', 'high', 60, 75, null, -24],
+    [2, 1, 1, 'Invite the first ten alpha testers', 'medium', 30, 25, null, -19],
+    [3, 1, 1, 'Fix crash on login', 'high', 90, 120, null, -13],
+    [4, 1, 2, 'Write the beta onboarding email', 'medium', 45, 40, null, -6],
+    [5, 1, 2, 'Design the in-app feedback form', 'medium', 60, null, 3, null],
+    [6, 1, 2, 'Submit the build for beta review', 'high', 30, null, 5, null],
+    [7, 1, 2, 'Set up the beta sign-up landing page', 'high', 90, null, -1, null],
+    [8, 1, 3, 'Prepare store screenshots', 'low', 60, null, 25, null],
+    [9, 2, 4, 'Easy run, 5 km', 'medium', 35, 33, null, -15],
+    [10, 2, 4, 'Interval session, 6 x 400 m', 'medium', 45, 50, null, -11],
+    [11, 2, 4, 'Long run, 10 km', 'high', 65, 62, null, -4],
+    [12, 2, 4, 'Buy new running shoes', 'low', 30, null, 7, null],
+    [13, 2, 5, 'Long run, 12 km', 'high', 80, null, 4, null],
+    [14, 2, null, 'Register for the city half marathon', 'high', 15, null, 10, null],
+    [15, 4, null, 'List monthly fixed expenses', 'medium', 45, 40, null, -30],
+    [16, 4, null, 'Open a separate savings account', 'medium', 30, null, 12, null],
+    [17, 4, null, 'Set up an automatic monthly transfer', 'high', 15, null, 14, null]
+  ];
+  const descriptions = {
+    3: 'Users with a saved session crash when the token has expired.',
+    6: 'Include the release notes and the list of known issues.',
+    7: 'Needs the sign-up form and a short FAQ.',
+    13: 'Keep the pace easy; this is about time on feet.'
+  };
+  const tasks = plannedTasks.map(([id, goalId, milestoneId, title, priority, estimate, actual, due, completed]) => ({
+    id,
+    goal_id: goalId,
+    milestone_id: milestoneId,
+    title,
+    description: descriptions[id] || null,
+    priority,
+    estimated_time: estimate,
+    actual_time: actual,
+    status: completed !== null ? 'completed' : (id === 7 ? 'in_progress' : 'pending'),
+    due_date: due !== null ? day(due) : null,
+    completed_at: completed !== null ? stamp(completed, 17) : null,
+    created_at: goals[goalId - 1].created_at
+  }));
+
+  // A reading streak of the last week, with a few missed days before it
+  const missedDays = [-17, -12, -9];
+  let nextTaskId = tasks.length + 1;
+  for (let offset = -20; offset <= -1; offset++) {
+    const missed = missedDays.includes(offset);
+    tasks.push({
+      id: nextTaskId++,
+      goal_id: 3,
+      recurrence_id: 1,
+      title: 'Read for 20 minutes',
+      priority: 'medium',
+      estimated_time: 20,
+      actual_time: missed ? null : 20,
+      status: missed ? 'missed' : 'completed',
+      due_date: day(offset),
+      occurrence_date: day(offset),
+      completed_at: missed ? null : stamp(offset, 21),
+      created_at: stamp(offset, 0)
+    });
+  }
+  tasks.forEach((task) => {
+    task.updated_at = task.completed_at || task.created_at;
+  });
+
+  const taskDependencies = [
+    { task_id: 6, blocked_by: 5 },
+    { task_id: 8, blocked_by: 6 }
+  ];
+
+  const taskSkips = [
+    { id: 1, task_id: 12, kind: 'skip', reason: 'Waiting for payday', created_at: stamp(-2, 9) }
+  ];
+
+  const resources = [
+    {
+      id: 1,
+      title: 'Beta release checklist',
+      type: 'template',
+      url: 'https://example.com/templates/beta-release-checklist',
+      description: 'Everything to check before sending a build to testers.',
+      tags: 'release,beta,checklist',
+      category: 'business'
+    },
+    {
+      id: 2,
+      title: 'Crash reporting dashboard',
+      type: 'tool',
+      url: 'https://example.com/crashes',
+      description: 'Crashes and stack traces from the alpha and beta builds.',
+      tags: 'crash,debugging,beta',
+      category: 'business'
+    },
+    {
+      id: 3,
+      title: '12-week half marathon plan',
+      type: 'tutorial',
+      url: 'https://example.com/guides/half-marathon-plan',
+      description: 'Week-by-week training schedule for a first half marathon.',
+      tags: 'running,training,marathon',
+      category: 'health'
+    },
+    {
+      id: 4,
+      title: 'Running club coach',
+      type: 'person',
+      url: null,
+      description: 'Happy to look at training plans and suggest paces.',
+      tags: 'running,coaching',
+      category: 'health'
+    },
+    {
+      id: 5,
+      title: 'Household budget spreadsheet',
+      type: 'template',
+      url: 'https://example.com/templates/budget',
+      description: 'Monthly income and fixed costs in one sheet.',
+      tags: 'budget,savings,expenses',
+      category: 'financial'
+    }
+  ];
+  resources.forEach((resource) => {
+    resource.created_at = stamp(-25);
+    resource.updated_at = resource.created_at;
+  });
+
+  const resourceLinks = [
+    { resource_id: 1, goal_id: 1 },
+    { resource_id: 1, task_id: 6 },
+    { resource_id: 2, task_id: 3 },
+    { resource_id: 3, goal_id: 2 },
+    { resource_id: 3, task_id: 13 },
+    { resource_id: 4, goal_id: 2 },
+    { resource_id: 5, task_id: 15 }
+  ].map((link, index) => ({ id: index + 1, ...link }));
+
+  // [task, days ago, start hour, minutes, planned minutes, distractions, status]
+  const plannedSessions = [
+    [1, -25, 9, 45, 50, 1, 'completed'],
+    [1, -24, 14, 30, 25, 2, 'completed'],
+    [15, -30, 20, 40, 50, 0, 'completed'],
+    [2, -19, 9, 25, 25, 0, 'completed'],
+    [3, -15, 10, 50, 50, 1, 'completed'],
+    [3, -14, 15, 10, 50, 4, 'abandoned'],
+    [3, -13, 9, 50, 50, 0, 'completed'],
+    [3, -13, 14, 20, 25, 1, 'completed'],
+    [9, -15, 7, 33, 35, 0, 'completed'],
+    [10, -11, 7, 50, 45, 0, 'completed'],
+    [4, -6, 10, 40, 50, 1, 'completed'],
+    [11, -4, 7, 62, 65, 0, 'completed'],
+    [7, -2, 9, 45, 50, 2, 'completed'],
+    [7, -1, 15, 15, 50, 3, 'abandoned'],
+    [7, -1, 9, 30, 50, 0, 'completed']
+  ];
+  const focusSessions = plannedSessions.map(([taskId, offset, hour, minutes, planned, distractions, status], index) => ({
+    id: index + 1,
+    task_id: taskId,
+    start_time: iso(offset, hour),
+    end_time: iso(offset, hour + Math.floor(minutes / 60), minutes % 60),
+    duration: minutes,
+    planned_duration: planned * 60,
+    distractions,
+    paused_seconds: 0,
+    status,
+    created_at: stamp(offset, hour)
+  }));
+
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exported_at: new Date(now).toISOString(),
+    data: {
+      goals,
+      recurrences,
+      milestones,
+      tasks,
+      task_dependencies: taskDependencies,
+      task_skips: taskSkips,
+      resources,
+      resource_links: resourceLinks,
+      focus_sessions: focusSessions,
+      learning_patterns: []
+    }
+  };
+}
+
+module.exports = {
+  buildDemoExport
+};
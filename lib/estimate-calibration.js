@@ -0,0 +1,122 @@
+// Nexus 2.0 - Estimate calibration
+// Learns how far a user's estimates are off by comparing estimated_time with
+// actual_time on completed tasks. A correction factor is the median of
+// actual / estimated, so 1.4 means tasks usually take 40% longer than
+// estimated. Factors are kept overall, per goal category and per task
+// priority; a task uses the factor for its category, then its priority, then
+// the overall one, whichever first has enough samples.
+
+// Fewer completed tasks than this in a group are shown but not applied
+const MIN_SAMPLE = 3;
+
+// Only the user's most recent completed tasks are learned from
+const HISTORY_SIZE = 200;
+
+// One wild task should not swing a factor, so each ratio is clamped
+const MIN_RATIO = 0.25;
+const MAX_RATIO = 4;
+
+// Factors this close to 1 are not worth mentioning
+const NOTABLE_DIFFERENCE = 0.15;
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function summarize(tasks) {
+  const ratios = tasks.map(task => Math.min(Math.max(task.actual_time / task.estimated_time, MIN_RATIO), MAX_RATIO));
+  return {
+    factor: round(median(ratios)),
+    sample_size: tasks.length,
+    estimated_minutes: tasks.reduce((sum, task) => sum + task.estimated_time, 0),
+    actual_minutes: tasks.reduce((sum, task) => sum + task.actual_time, 0),
+    applied: tasks.length >= MIN_SAMPLE
+  };
+}
+
+function summarizeBy(tasks, key) {
+  const groups = new Map();
+  tasks.forEach((task) => {
+    if (!task[key]) return;
+    groups.set(task[key], [...(groups.get(task[key]) || []), task]);
+  });
+  return Object.fromEntries([...groups].map(([value, group]) => [value, summarize(group)]));
+}
+
+// tasks: completed tasks { estimated_time, actual_time, priority, category }
+// where category is the goal's. Tasks missing either time are ignored.
+function calibrateEstimates(tasks) {
+  const measured = tasks.filter(task => task.estimated_time > 0 && task.actual_time > 0);
+  return {
+    min_sample: MIN_SAMPLE,
+    overall: measured.length > 0 ? summarize(measured) : null,
+    categories: summarizeBy(measured, 'category'),
+    priorities: summarizeBy(measured, 'priority')
+  };
+}
+
+// The factor that applies to a task { category, priority }, or null when
+// there is not enough history: { factor, basis, value, sample_size }
+function correctionFor(task, calibration) {
+  const candidates = [
+    ['category', task.category, calibration.categories[task.category]],
+    ['priority', task.priority, calibration.priorities[task.priority]],
+    ['overall', null, calibration.overall]
+  ];
+  const match = candidates.find(([, , summary]) => summary && summary.applied);
+  if (!match) return null;
+  const [basis, value, summary] = match;
+  return { factor: summary.factor, basis, value, sample_size: summary.sample_size };
+}
+
+// Estimated minutes scaled by the task's correction (unchanged without one)
+function calibratedEstimate(task, calibration) {
+  if (!(task.estimated_time > 0)) return null;
+  const correction = correctionFor(task, calibration);
+  return correction ? Math.round(task.estimated_time * correction.factor) : task.estimated_time;
+}
+
+// "You usually take 1.4× longer on learning tasks", or null when estimates are about right
+function describeCorrection(correction) {
+  if (!correction || Math.abs(correction.factor - 1) < NOTABLE_DIFFERENCE) return null;
+  const factor = `${Number(correction.factor.toFixed(1))}×`;
+  const tasks = {
+    category: `${correction.value} tasks`,
+    priority: `${correction.value}-priority tasks`,
+    overall: 'tasks'
+  }[correction.basis];
+  return correction.factor > 1
+    ? `You usually take ${factor} longer on ${tasks} than you estimate`
+    : `You usually need only ${factor} your estimate on ${tasks}`;
+}
+
+// Calibration for one user from their own history. `conn` is anything with
+// an all(sql, params) method, such as a lib/db.js connection or transaction.
+async function loadEstimateCalibration(conn, userId) {
+  const tasks = await conn.all(
+    `SELECT t.estimated_time, t.actual_time, t.priority, g.category
+     FROM tasks t
+     LEFT JOIN goals g ON g.id = t.goal_id
+     WHERE t.user_id = ? AND t.status = 'completed' AND t.estimated_time > 0 AND t.actual_time > 0
+     ORDER BY t.completed_at DESC
+     LIMIT ?`,
+    [userId, HISTORY_SIZE]
+  );
+  return calibrateEstimates(tasks);
+}
+
+module.exports = {
+  MIN_SAMPLE,
+  HISTORY_SIZE,
+  calibrateEstimates,
+  loadEstimateCalibration,
+  correctionFor,
+  calibratedEstimate,
+  describeCorrection
+};
@@ -0,0 +1,80 @@
+// Nexus 2.0 - Focus engine queries
+// What "what should I work on now" is chosen from, shared by server.js and
+// read-only-server.js so both suggest the same task. Candidates are open tasks
+// (pending, or in progress after an unfinished focus session) that are not
+// blocked or snoozed; lib/focus-scoring.js ranks them. Skips recorded in the
+// last week, and abandoned focus sessions, count against a task.
+
+const estimateCalibration = require('./estimate-calibration');
+const { rankTasks } = require('./focus-scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SKIP_WINDOW_DAYS = 7;
+const SHORTLIST_SIZE = 5;
+const MAX_SHORTLIST_SIZE = 20;
+
+// Task dependencies: a task is blocked while any task it is "blocked by" is
+// unfinished. Number of unfinished prerequisites of the task aliased `t`:
+const OPEN_BLOCKERS_QUERY = `(
+  SELECT COUNT(*) FROM task_dependencies d
+  JOIN tasks b ON b.id = d.blocked_by
+  WHERE d.task_id = t.id AND b.status IS NOT 'completed'
+)`;
+
+const CANDIDATE_QUERY = `
+  SELECT t.*, g.title as goal_title, g.category as goal_category, g.priority as goal_priority, g.target_date as goal_target_date,
+         (SELECT COUNT(*) FROM focus_sessions fs
+          WHERE fs.task_id = t.id AND fs.status = 'abandoned' AND fs.start_time >= ?)
+         + (SELECT COUNT(*) FROM task_skips s
+            WHERE s.task_id = t.id AND s.kind = 'skip' AND s.created_at >= ?) AS recent_skips
+  FROM tasks t
+  LEFT JOIN goals g ON t.goal_id = g.id
+  WHERE t.status IN ('pending', 'in_progress') AND t.user_id = ?
+    AND (t.snoozed_until IS NULL OR t.snoozed_until <= ?)
+    AND ${OPEN_BLOCKERS_QUERY} = 0
+`;
+
+// Query string -> { availableMinutes, limit } or { error }
+function parseFocusOptions(query = {}) {
+  const availableMinutes = query.available_minutes === undefined ? null : Number(query.available_minutes);
+  if (availableMinutes !== null && (!Number.isInteger(availableMinutes) || availableMinutes <= 0)) {
+    return { error: 'available_minutes must be a positive whole number' };
+  }
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || SHORTLIST_SIZE, 1), MAX_SHORTLIST_SIZE);
+  return { availableMinutes, limit };
+}
+
+// Every task the user could start now, with its recent skips counted
+function loadFocusCandidates(conn, userId, now = Date.now()) {
+  const skipCutoff = new Date(now - SKIP_WINDOW_DAYS * DAY_MS).toISOString();
+  return conn.all(CANDIDATE_QUERY, [skipCutoff, skipCutoff, userId, new Date(now).toISOString()]);
+}
+
+// The response for GET /api/focus/next-task: the best task at the top level
+// (so older clients keep working) plus the ranked shortlist, or a message
+// when there is nothing to do. Estimates are calibrated against the user's
+// history before time fit is scored.
+async function suggestNextTask(conn, userId, { now = Date.now(), availableMinutes = null, limit = SHORTLIST_SIZE } = {}) {
+  const [candidates, calibration] = await Promise.all([
+    loadFocusCandidates(conn, userId, now),
+    estimateCalibration.loadEstimateCalibration(conn, userId)
+  ]);
+  candidates.forEach((task) => {
+    task.calibrated_estimate = estimateCalibration.calibratedEstimate({ ...task, category: task.goal_category }, calibration);
+  });
+  const shortlist = rankTasks(candidates, { now, availableMinutes, limit });
+
+  if (shortlist.length === 0) {
+    return { message: 'No pending tasks found' };
+  }
+  return { ...shortlist[0], available_minutes: availableMinutes, shortlist };
+}
+
+module.exports = {
+  SKIP_WINDOW_DAYS,
+  SHORTLIST_SIZE,
+  OPEN_BLOCKERS_QUERY,
+  parseFocusOptions,
+  loadFocusCandidates,
+  suggestNextTask
+};
@@ -0,0 +1,145 @@
+// Nexus 2.0 - Focus engine scoring
+// Ranks candidate tasks for "what to work on now". Each factor is scored from
+// 0 to 1 and multiplied by its weight; skips subtract a penalty. Every factor
+// that moves the score also leaves a short human-readable reason.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const WEIGHTS = {
+  goalPriority: 20,
+  taskPriority: 15,
+  dueDate: 25,
+  goalTargetDate: 15,
+  timeFit: 15,
+  waiting: 10
+};
+
+// Points lost per recent skip, and the most skips can cost in total
+const SKIP_PENALTY = 8;
+const MAX_SKIP_PENALTY = 24;
+
+// How far ahead a deadline starts to matter, and when waiting tops out
+const DUE_DATE_HORIZON_DAYS = 14;
+const TARGET_DATE_HORIZON_DAYS = 30;
+const MAX_WAITING_DAYS = 30;
+
+const PRIORITY_VALUES = { high: 1, medium: 0.6, low: 0.3 };
+
+// SQLite CURRENT_TIMESTAMP values ("2024-05-01 09:30:00") are UTC but carry no zone
+function parseTimestamp(value) {
+  if (!value) return NaN;
+  const text = String(value);
+  if (/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text) && !/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+    return Date.parse(`${text.replace(' ', 'T')}Z`);
+  }
+  return Date.parse(text);
+}
+
+// Whole days from today (UTC) until the given date; negative when it has passed
+function daysUntil(value, now) {
+  const time = parseTimestamp(value);
+  if (Number.isNaN(time)) return null;
+  const today = Math.floor(now / DAY_MS);
+  return Math.floor(time / DAY_MS) - today;
+}
+
+function describeDays(days, noun) {
+  if (days < 0) return `${noun} overdue by ${-days} day${days === -1 ? '' : 's'}`;
+  if (days === 0) return `${noun} today`;
+  if (days === 1) return `${noun} tomorrow`;
+  return `${noun} in ${days} days`;
+}
+
+// 1 when the date is today or past, falling to 0 at the horizon
+function deadlineUrgency(days, horizon) {
+  if (days === null || days > horizon) return 0;
+  if (days <= 0) return 1;
+  return 1 - days / horizon;
+}
+
+// Score one task. context: { now, availableMinutes }
+function scoreTask(task, { now = Date.now(), availableMinutes = null } = {}) {
+  const factors = [];
+  const add = (name, value, reason) => {
+    factors.push({ name, points: value * WEIGHTS[name], reason });
+  };
+
+  const goalPriority = PRIORITY_VALUES[task.goal_priority];
+  if (goalPriority) {
+    add('goalPriority', goalPriority, task.goal_priority === 'high' ? 'Part of a high-priority goal' : null);
+  }
+  const taskPriority = PRIORITY_VALUES[task.priority];
+  if (taskPriority) {
+    add('taskPriority', taskPriority, task.priority === 'high' ? 'High priority' : null);
+  }
+
+  const dueDays = daysUntil(task.due_date, now);
+  const dueUrgency = deadlineUrgency(dueDays, DUE_DATE_HORIZON_DAYS);
+  if (dueUrgency > 0) {
+    add('dueDate', dueUrgency, describeDays(dueDays, 'Due'));
+  }
+
+  const targetDays = daysUntil(task.goal_target_date, now);
+  const targetUrgency = deadlineUrgency(targetDays, TARGET_DATE_HORIZON_DAYS);
+  if (targetUrgency > 0) {
+    add('goalTargetDate', targetUrgency, describeDays(targetDays, 'Goal target'));
+  }
+
+  // Only counts when the user said how much time they have. A calibrated
+  // estimate (see lib/estimate-calibration.js) wins over the raw one.
+  const minutes = task.calibrated_estimate || task.estimated_time;
+  if (availableMinutes && minutes) {
+    if (minutes <= availableMinutes) {
+      add('timeFit', 1, `Fits in your ${availableMinutes} minutes (~${minutes} min)`);
+    } else {
+      add('timeFit', availableMinutes / minutes / 2,
+        `Needs ~${minutes} min, more than the ${availableMinutes} you have`);
+    }
+  } else if (availableMinutes) {
+    add('timeFit', 0.5, null);
+  }
+
+  const createdAt = parseTimestamp(task.created_at);
+  if (!Number.isNaN(createdAt)) {
+    const waitingDays = Math.max(0, Math.floor((now - createdAt) / DAY_MS));
+    add('waiting', Math.min(waitingDays, MAX_WAITING_DAYS) / MAX_WAITING_DAYS,
+      waitingDays >= 7 ? `Waiting for ${waitingDays} days` : null);
+  }
+
+  let score = factors.reduce((total, factor) => total + factor.points, 0);
+  const skips = task.recent_skips || 0;
+  if (skips > 0) {
+    const penalty = Math.min(skips * SKIP_PENALTY, MAX_SKIP_PENALTY);
+    score -= penalty;
+    factors.push({ name: 'skips', points: -penalty, reason: `Skipped ${skips} time${skips === 1 ? '' : 's'} recently` });
+  }
+
+  // Strongest influences first, whichever direction they push
+  const reasons = factors
+    .filter(factor => factor.reason)
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points))
+    .map(factor => factor.reason);
+
+  return {
+    score: Math.round(score),
+    reasons,
+    factors: Object.fromEntries(factors.map(factor => [factor.name, Math.round(factor.points * 10) / 10]))
+  };
+}
+
+// Score every task and return the best `limit`, each with score, reasons and factors
+function rankTasks(tasks, { now = Date.now(), availableMinutes = null, limit = 5 } = {}) {
+  return tasks
+    .map(task => ({ ...task, ...scoreTask(task, { now, availableMinutes }) }))
+    .sort((a, b) => b.score - a.score
+      || (parseTimestamp(a.due_date) || Infinity) - (parseTimestamp(b.due_date) || Infinity)
+      || a.id - b.id)
+    .slice(0, limit);
+}
+
+module.exports = {
+  WEIGHTS,
+  parseTimestamp,
+  scoreTask,
+  rankTasks
+};
@@ -0,0 +1,131 @@
+// Nexus 2.0 - Goal forecasts
+// Predicts when a goal's open work will be done from how fast work has been
+// finished lately. Velocity is measured per week in tasks, or in estimated
+// minutes for goals whose progress_mode is 'time'. The expected date uses the
+// mean weekly velocity; the range uses velocity one standard deviation either
+// side of it (the slow end never below half the mean). Recurring occurrences
+// are left out: they are ongoing habits, not work that runs out. Callers can
+// pass `minutes(task)` to size tasks by something better than the raw
+// estimate (server.js uses actual and calibrated times). Tasks without a size
+// count as the average sized task, as in computeGoalProgress; a goal is only
+// complete once no open tasks are left.
+
+const { parseTimestamp } = require('./focus-scoring');
+const recurrence = require('./recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+// At most this many recent weeks are measured (fewer for newer goals)
+const VELOCITY_WEEKS = 8;
+
+const STATUSES = ['complete', 'on_track', 'at_risk', 'overdue', 'no_target', 'no_data'];
+
+function estimatedMinutes(task) {
+  return task.estimated_time;
+}
+
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function dateAfterWeeks(now, weeks) {
+  return recurrence.today(now + Math.ceil(weeks * 7) * DAY_MS);
+}
+
+// Minutes for each task, with unsized tasks counted as the average sized one
+function sizedMinutes(tasks, minutes) {
+  const sizes = tasks.map(task => minutes(task)).filter(size => size > 0);
+  const average = sizes.length > 0 ? sizes.reduce((sum, size) => sum + size, 0) / sizes.length : 0;
+  return (task) => {
+    const size = minutes(task);
+    return size > 0 ? size : average;
+  };
+}
+
+// Completed amount for each of the last `weeks` weeks, oldest first
+function weeklyHistory(tasks, amountOf, weeks, now) {
+  const history = new Array(weeks).fill(0);
+  tasks.forEach((task) => {
+    if (task.status !== 'completed') return;
+    const completed = parseTimestamp(task.completed_at);
+    const weeksAgo = Math.floor((now - completed) / WEEK_MS);
+    if (weeksAgo >= 0 && weeksAgo < weeks) {
+      history[weeks - 1 - weeksAgo] += amountOf(task);
+    }
+  });
+  return history;
+}
+
+// goal: { progress_mode, target_date }; tasks: the goal's tasks
+// { status, estimated_time, created_at, completed_at, recurrence_id }
+function forecastGoal(goal, allTasks, { now = Date.now(), minutes = estimatedMinutes } = {}) {
+  const tasks = allTasks.filter(task => !task.recurrence_id);
+  const unit = goal.progress_mode === 'time' ? 'minutes' : 'tasks';
+  const amountOf = unit === 'tasks' ? () => 1 : sizedMinutes(tasks, minutes);
+  const today = recurrence.today(now);
+  const target = goal.target_date ? String(goal.target_date).slice(0, 10) : null;
+
+  const openTasks = tasks.filter(task => task.status !== 'completed');
+  const remaining = openTasks.reduce((sum, task) => sum + amountOf(task), 0);
+
+  // Measure only the weeks the goal has had tasks, so new goals are not diluted
+  const firstCreated = Math.min(...tasks.map(task => parseTimestamp(task.created_at)).filter(time => !Number.isNaN(time)));
+  const age = Number.isFinite(firstCreated) ? Math.ceil((now - firstCreated) / WEEK_MS) : 1;
+  const weeks = Math.min(Math.max(age, 1), VELOCITY_WEEKS);
+  const history = weeklyHistory(tasks, amountOf, weeks, now);
+
+  const mean = history.reduce((sum, amount) => sum + amount, 0) / weeks;
+  const deviation = Math.sqrt(history.reduce((sum, amount) => sum + (amount - mean) ** 2, 0) / weeks);
+
+  const forecast = {
+    unit,
+    remaining,
+    velocity_per_week: round(mean),
+    weeks_measured: weeks,
+    history,
+    expected_date: null,
+    earliest_date: null,
+    latest_date: null,
+    target_date: target,
+    slack_days: null,
+    status: 'no_data'
+  };
+
+  if (tasks.length === 0) return forecast;
+
+  if (openTasks.length === 0) {
+    return { ...forecast, expected_date: today, earliest_date: today, latest_date: today, status: 'complete' };
+  }
+
+  // Open work that nothing in the goal gives a size to cannot be timed
+  if (remaining === 0) return forecast;
+
+  if (mean > 0) {
+    forecast.expected_date = dateAfterWeeks(now, remaining / mean);
+    forecast.earliest_date = dateAfterWeeks(now, remaining / (mean + deviation));
+    forecast.latest_date = dateAfterWeeks(now, remaining / Math.max(mean - deviation, mean / 2));
+  }
+
+  if (!target) {
+    forecast.status = mean > 0 ? 'no_target' : 'no_data';
+  } else if (target < today) {
+    forecast.status = 'overdue';
+  } else if (!forecast.expected_date || forecast.expected_date > target) {
+    // No recent progress at all also puts a dated goal at risk
+    forecast.status = 'at_risk';
+  } else {
+    forecast.status = 'on_track';
+  }
+
+  if (target && forecast.expected_date) {
+    forecast.slack_days = Math.round((Date.parse(target) - Date.parse(forecast.expected_date)) / DAY_MS);
+  }
+
+  return forecast;
+}
+
+module.exports = {
+  STATUSES,
+  forecastGoal
+};
@@ -0,0 +1,194 @@
+// Nexus 2.0 - iCalendar (RFC 5545)
+// buildCalendar() writes a VCALENDAR from plain component objects;
+// parseCalendar() reads VEVENT and VTODO components back out of an uploaded
+// .ics file. Only what the app needs is supported: no time zone definitions
+// (TZID times are read as the wall-clock date) and no recurrence expansion.
+
+const PRODUCT_ID = '-//Nexus 2.0//Goal Acceleration Platform//EN';
+
+// Lines longer than this many octets are folded
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+// Split a content line into 75-octet pieces, continuing each with a space
+function foldLine(line) {
+  const pieces = [];
+  let current = '';
+  for (const char of line) {
+    const limit = pieces.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      pieces.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  pieces.push(current);
+  return pieces.join('\r\n ');
+}
+
+// 'YYYY-MM-DD' -> '20250131'
+function formatDay(day) {
+  return String(day).slice(0, 10).replace(/-/g, '');
+}
+
+// Timestamp (ms) -> '20250131T093000Z'
+function formatTime(time) {
+  return new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// A day is an all-day DATE; a time is a UTC DATE-TIME
+function dateProperty(name, { day, time }) {
+  return day ? `${name};VALUE=DATE:${formatDay(day)}` : `${name}:${formatTime(time)}`;
+}
+
+// component: { type: 'VEVENT' | 'VTODO', uid, summary, description, start,
+// end, due, status, completed, categories, url } where start, end and due are
+// { day } or { time }. Empty fields are left out.
+function formatComponent(component, stamp) {
+  const lines = [`BEGIN:${component.type}`, `UID:${component.uid}`, `DTSTAMP:${formatTime(stamp)}`];
+  if (component.start) lines.push(dateProperty('DTSTART', component.start));
+  if (component.end) lines.push(dateProperty('DTEND', component.end));
+  if (component.due) lines.push(dateProperty('DUE', component.due));
+  lines.push(`SUMMARY:${escapeText(component.summary)}`);
+  if (component.description) lines.push(`DESCRIPTION:${escapeText(component.description)}`);
+  if (component.categories && component.categories.length > 0) {
+    lines.push(`CATEGORIES:${component.categories.map(escapeText).join(',')}`);
+  }
+  if (component.status) lines.push(`STATUS:${component.status}`);
+  if (component.completed) lines.push(`COMPLETED:${formatTime(component.completed)}`);
+  if (component.url) lines.push(`URL:${component.url}`);
+  lines.push(`END:${component.type}`);
+  return lines;
+}
+
+function buildCalendar({ name, components, now = Date.now() }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...components.flatMap(component => formatComponent(component, now)),
+    'END:VCALENDAR'
+  ];
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+// 'NAME;PARAM=x:value' -> { name, params, value }
+function parseContentLine(line) {
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      const [name, ...rawParams] = line.slice(0, i).split(';');
+      const params = {};
+      rawParams.forEach((param) => {
+        const [key, ...value] = param.split('=');
+        params[key.toUpperCase()] = value.join('=').replace(/^"|"$/g, '');
+      });
+      return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+    }
+  }
+  return null;
+}
+
+// Returns { components, errors }. Each component is { type, line, properties }
+// where properties maps a property name to its first { value, params }.
+function parseCalendar(text) {
+  const errors = [];
+  const components = [];
+  const source = String(text || '').replace(/^\uFEFF/, '');
+  if (!/^BEGIN:VCALENDAR/im.test(source)) {
+    return { components, errors: ['The file is not an iCalendar file (no BEGIN:VCALENDAR)'] };
+  }
+
+  // Unfold: a line starting with a space or tab continues the previous one
+  const lines = [];
+  source.split(/\r?\n/).forEach((line, index) => {
+    if (/^[ \t]/.test(line) && lines.length > 0) {
+      lines[lines.length - 1].text += line.slice(1);
+    } else if (line.trim() !== '') {
+      lines.push({ text: line, number: index + 1 });
+    }
+  });
+
+  // Nested components (VALARM inside VEVENT) are skipped
+  const stack = [];
+  lines.forEach(({ text: line, number }) => {
+    const property = parseContentLine(line);
+    if (!property) {
+      errors.push(`Line ${number}: not a valid iCalendar line`);
+      return;
+    }
+    if (property.name === 'BEGIN') {
+      const type = property.value.toUpperCase();
+      stack.push({ type, line: number, properties: {} });
+    } else if (property.name === 'END') {
+      const component = stack.pop();
+      if (component && (component.type === 'VEVENT' || component.type === 'VTODO') && stack.length === 1) {
+        components.push(component);
+      }
+    } else if (stack.length > 0) {
+      const current = stack[stack.length - 1];
+      if (!current.properties[property.name]) {
+        current.properties[property.name] = { value: property.value, params: property.params };
+      }
+    }
+  });
+
+  return { components, errors };
+}
+
+function textValue(component, name) {
+  const property = component.properties[name];
+  return property ? unescapeText(property.value).trim() : null;
+}
+
+// DATE or DATE-TIME property -> { day: 'YYYY-MM-DD', time (ms, UTC or floating
+// as UTC), allDay }, or null when missing or unreadable
+function dateValue(component, name) {
+  const property = component.properties[name];
+  if (!property) return null;
+  const match = property.value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, dayOfMonth, hours, minutes, seconds, utc] = match;
+  const allDay = hours === undefined;
+  const time = Date.UTC(year, month - 1, dayOfMonth, hours || 0, minutes || 0, seconds || 0);
+  // UTC times are dated in the server's zone, like other dates the app shows
+  let day = `${year}-${month}-${dayOfMonth}`;
+  if (utc) {
+    const local = new Date(time);
+    day = [local.getFullYear(), local.getMonth() + 1, local.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+  }
+  return { day, time, allDay };
+}
+
+// 'PT1H30M' -> 90; null when missing or unreadable
+function durationMinutes(component) {
+  const property = component.properties.DURATION;
+  if (!property) return null;
+  const match = property.value.match(/^P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [weeks, days, hours, minutes] = match.slice(1, 5).map(part => Number(part || 0));
+  return ((weeks * 7 + days) * 24 + hours) * 60 + minutes;
+}
+
+module.exports = {
+  buildCalendar,
+  parseCalendar,
+  textValue,
+  dateValue,
+  durationMinutes
+};
@@ -0,0 +1,13 @@
+// Nexus 2.0 - Keyword helpers
+// Lower-case words of a text without common filler words, shared by task
+// generation and resource matching.
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'the', 'to', 'of', 'for', 'on', 'in', 'with', 'your', 'you', 'my', 'it', 'or', 'up', 'one', 'out'
+]);
+
+function words(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word && !STOP_WORDS.has(word));
+}
+
+module.exports = { words };
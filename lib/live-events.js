@@ -0,0 +1,84 @@
+// Nexus 2.0 - Live updates
+// Changes are published per user and fanned out to open Server-Sent Events
+// streams. The last few hundred events are kept in memory so a browser that
+// reconnects with Last-Event-ID gets what it missed. Ids look like
+// "<epoch>:<sequence>"; the epoch changes on every server start, so an id from
+// before a restart (or one older than the history) cannot be replayed and the
+// caller is told to reload instead.
+
+const DEFAULT_HISTORY_SIZE = 500;
+
+class LiveEvents {
+  constructor({ historySize = DEFAULT_HISTORY_SIZE, epoch = Date.now().toString(36) } = {}) {
+    this.historySize = historySize;
+    this.epoch = epoch;
+    this.sequence = 0;
+    this.history = [];
+    this.listeners = new Map(); // user id -> Set of listeners
+  }
+
+  // Id of the newest event, for a stream to start from
+  latestId() {
+    return `${this.epoch}:${this.sequence}`;
+  }
+
+  publish(userId, type, data) {
+    this.sequence += 1;
+    const event = { id: this.latestId(), sequence: this.sequence, userId, type, data };
+    this.history.push(event);
+    if (this.history.length > this.historySize) {
+      this.history.splice(0, this.history.length - this.historySize);
+    }
+
+    (this.listeners.get(userId) || []).forEach((listener) => {
+      try {
+        listener(event);
+      } catch (err) {
+        console.error(`❌ Live event listener failed: ${err.message}`);
+      }
+    });
+    return event;
+  }
+
+  // The user's events after `lastEventId`, or null when some of them are no
+  // longer known (another server run, or pushed out of the history)
+  since(userId, lastEventId) {
+    const [epoch, sequence] = String(lastEventId).split(':');
+    const after = Number(sequence);
+    if (epoch !== this.epoch || !Number.isInteger(after) || after < 0 || after > this.sequence) return null;
+
+    const oldest = this.history.length > 0 ? this.history[0].sequence : this.sequence + 1;
+    if (after < oldest - 1) return null;
+    return this.history.filter(event => event.sequence > after && event.userId === userId);
+  }
+
+  // Returns a function that removes the listener
+  subscribe(userId, listener) {
+    if (!this.listeners.has(userId)) this.listeners.set(userId, new Set());
+    this.listeners.get(userId).add(listener);
+    return () => {
+      const listeners = this.listeners.get(userId);
+      if (!listeners) return;
+      listeners.delete(listener);
+      if (listeners.size === 0) this.listeners.delete(userId);
+    };
+  }
+
+  streamCount() {
+    let count = 0;
+    this.listeners.forEach((listeners) => {
+      count += listeners.size;
+    });
+    return count;
+  }
+}
+
+// One event in text/event-stream framing
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = {
+  LiveEvents,
+  formatEvent
+};
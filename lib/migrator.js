@@ -0,0 +1,219 @@
+// Nexus 2.0 - Schema migrations
+// Numbered files in migrations/ (e.g. 003_user_ownership.js) export async
+// up(m) and down(m) functions. Applied versions are recorded in the
+// schema_migrations table; each migration runs inside its own transaction.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Raised when the database and the code disagree about the schema version
+class SchemaVersionError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SchemaVersionError';
+    this.status = status;
+  }
+}
+
+// Promise wrappers over the sqlite3 callback API
+function run(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) return reject(err);
+      resolve({ changes: this.changes, lastID: this.lastID });
+    });
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) return reject(err);
+      resolve(rows || []);
+    });
+  });
+}
+
+// Load migration modules sorted by version number
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = fs.readdirSync(dir)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map((file) => {
+      const migration = require(path.join(dir, file));
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export up() and down()`);
+      }
+      return {
+        version: parseInt(file, 10),
+        name: file.replace(/^\d+_/, '').replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migration.version === migrations[index - 1].version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// The helper object handed to up()/down(). Column helpers are idempotent so
+// databases that already picked up a column through the old
+// CREATE TABLE IF NOT EXISTS / ALTER TABLE startup code migrate cleanly.
+function createHelpers(db) {
+  const helpers = {
+    run: (sql, params) => run(db, sql, params),
+    all: (sql, params) => all(db, sql, params),
+
+    async hasColumn(table, column) {
+      const columns = await all(db, `PRAGMA table_info(${table})`);
+      return columns.some(info => info.name === column);
+    },
+
+    async addColumn(table, column, definition) {
+      if (!(await helpers.hasColumn(table, column))) {
+        await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      }
+    },
+
+    async dropColumn(table, column) {
+      if (await helpers.hasColumn(table, column)) {
+        await run(db, `ALTER TABLE ${table} DROP COLUMN ${column}`);
+      }
+    }
+  };
+  return helpers;
+}
+
+async function ensureMigrationsTable(db) {
+  await run(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+async function hasMigrationsTable(db) {
+  const rows = await all(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'");
+  return rows.length > 0;
+}
+
+// Compare applied migrations with the ones this code knows about.
+// Works on read-only connections (a missing table means version 0).
+async function getStatus(db, migrations = loadMigrations()) {
+  const applied = (await hasMigrationsTable(db))
+    ? await all(db, 'SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+    : [];
+  const appliedVersions = new Set(applied.map(row => row.version));
+  const knownVersions = new Set(migrations.map(migration => migration.version));
+
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+    unknown: applied.filter(row => !knownVersions.has(row.version))
+  };
+}
+
+async function runInTransaction(db, work) {
+  await run(db, 'BEGIN TRANSACTION');
+  try {
+    await work();
+    await run(db, 'COMMIT');
+  } catch (err) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw err;
+  }
+}
+
+// Apply every pending migration in order. Refuses to touch a database that
+// has migrations this code does not know about (i.e. it is newer than the code).
+async function migrate(db, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  await ensureMigrationsTable(db);
+  const status = await getStatus(db, migrations);
+
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current} but this code only knows up to ${status.latest}. ` +
+      'Upgrade Nexus before starting it against this database.',
+      status
+    );
+  }
+
+  const helpers = createHelpers(db);
+  for (const migration of status.pending) {
+    await runInTransaction(db, async () => {
+      await migration.up(helpers);
+      await run(db, 'INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+    });
+    log(`🗃️ Applied migration ${migration.version} (${migration.name})`);
+  }
+
+  return status.pending;
+}
+
+// Undo the most recently applied migrations
+async function rollback(db, steps = 1, { log = console.log } = {}) {
+  const migrations = loadMigrations();
+  await ensureMigrationsTable(db);
+  const status = await getStatus(db, migrations);
+
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(
+      `Cannot roll back: database has migrations this code does not know (${status.unknown.map(row => row.version).join(', ')})`,
+      status
+    );
+  }
+
+  const helpers = createHelpers(db);
+  const toUndo = status.applied.slice(-steps).reverse();
+  for (const row of toUndo) {
+    const migration = migrations.find(candidate => candidate.version === row.version);
+    await runInTransaction(db, async () => {
+      await migration.down(helpers);
+      await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    });
+    log(`↩️ Rolled back migration ${migration.version} (${migration.name})`);
+  }
+
+  return toUndo;
+}
+
+// For processes that must not change the schema (the read-only viewer):
+// the database has to be exactly at the version this code expects.
+async function checkSchemaVersion(db) {
+  const status = await getStatus(db);
+
+  if (status.unknown.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current} but this code only knows up to ${status.latest}`,
+      status
+    );
+  }
+  if (status.pending.length > 0) {
+    throw new SchemaVersionError(
+      `Database schema is at version ${status.current} but this code needs ${status.latest}. ` +
+      'Start the main server (or run npm run migrate) to apply pending migrations.',
+      status
+    );
+  }
+
+  return status;
+}
+
+module.exports = {
+  SchemaVersionError,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  checkSchemaVersion
+};
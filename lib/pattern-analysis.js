@@ -0,0 +1,277 @@
+// Nexus 2.0 - Usage patterns and Smart Insights
+// analyzePatterns() turns a user's recent focus sessions and tasks into rows
+// for learning_patterns; buildInsights() reads those rows back as advice.
+// A focus session succeeds when it is completed rather than abandoned; a task
+// succeeds when it is completed. Hours and weekdays are the user's: tzOffset
+// is their Date.getTimezoneOffset() (minutes behind UTC); without it, the
+// server's local time zone.
+
+const { parseTimestamp } = require('./focus-scoring');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Only this much history is analyzed
+const ANALYSIS_WINDOW_DAYS = 90;
+
+// Open tasks younger than this have not had a fair chance yet and are left out
+const TASK_GRACE_DAYS = 7;
+
+// Fewer samples than this are stored but never turned into advice
+const MIN_SAMPLE = 5;
+
+// Hours grouped into a window when looking for the best time of day
+const HOUR_WINDOW = 3;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Estimate buckets, in minutes
+const ESTIMATE_SIZES = [
+  { value: 'small', max: 30 },
+  { value: 'medium', max: 90 },
+  { value: 'large', max: Infinity }
+];
+
+function estimateSize(minutes) {
+  if (!minutes) return 'none';
+  return ESTIMATE_SIZES.find(size => minutes <= size.max).value;
+}
+
+function pad(hour) {
+  return String(hour).padStart(2, '0');
+}
+
+// Hour and weekday of a timestamp on the user's clock
+function localClock(timestamp, tzOffset) {
+  if (tzOffset == null) {
+    const date = new Date(timestamp);
+    return { hour: date.getHours(), weekday: date.getDay() };
+  }
+  const date = new Date(timestamp - tzOffset * 60 * 1000);
+  return { hour: date.getUTCHours(), weekday: date.getUTCDay() };
+}
+
+// Collects successes per pattern key and returns learning_patterns rows
+function tally() {
+  const groups = new Map();
+  return {
+    add(type, value, success, extra = 0) {
+      const key = `${type}\u0000${value}`;
+      const group = groups.get(key) || { pattern_type: type, pattern_value: value, successes: 0, total: 0, extra: 0 };
+      group.successes += success ? 1 : 0;
+      group.total += 1;
+      group.extra += extra;
+      groups.set(key, group);
+    },
+    rows() {
+      return [...groups.values()].map(group => ({
+        pattern_type: group.pattern_type,
+        pattern_value: group.pattern_value,
+        success_rate: Math.round((group.successes / group.total) * 1000) / 1000,
+        sample_size: group.total,
+        average: group.pattern_type.startsWith('distractions')
+          ? Math.round((group.extra / group.total) * 100) / 100
+          : null
+      }));
+    }
+  };
+}
+
+// sessions: finished focus sessions { start_time, status, distractions, priority }
+// tasks: { status, priority, estimated_time, created_at }
+function analyzePatterns({ sessions, tasks }, { now = Date.now(), tzOffset = null } = {}) {
+  const since = now - ANALYSIS_WINDOW_DAYS * DAY_MS;
+  const settledBefore = now - TASK_GRACE_DAYS * DAY_MS;
+  const patterns = tally();
+
+  sessions.forEach((session) => {
+    const started = parseTimestamp(session.start_time);
+    if (Number.isNaN(started) || started < since) return;
+    if (session.status !== 'completed' && session.status !== 'abandoned') return;
+
+    const clock = localClock(started, tzOffset);
+    const success = session.status === 'completed';
+    const hour = pad(clock.hour);
+    const distractions = session.distractions || 0;
+
+    patterns.add('session_hour', hour, success);
+    patterns.add('session_weekday', WEEKDAYS[clock.weekday], success);
+    if (session.priority) {
+      patterns.add('priority_hour', `${session.priority}:${hour}`, success);
+    }
+    patterns.add('distractions', 'all', distractions === 0, distractions);
+    patterns.add('distractions_hour', hour, distractions === 0, distractions);
+  });
+
+  tasks.forEach((task) => {
+    const created = parseTimestamp(task.created_at);
+    if (Number.isNaN(created) || created < since) return;
+    const completed = task.status === 'completed';
+    if (!completed && task.status !== 'missed' && created > settledBefore) return;
+
+    patterns.add('priority_completion', task.priority || 'medium', completed);
+    patterns.add('estimate_completion', estimateSize(task.estimated_time), completed);
+  });
+
+  return patterns.rows();
+}
+
+// Best run of up to HOUR_WINDOW consecutive hours among hour-keyed patterns,
+// trimmed to the hours that actually have sessions
+function bestHourWindow(rows) {
+  const byHour = new Map(rows.map(row => [Number(row.pattern_value.split(':').pop()), row]));
+  let best = null;
+
+  for (let start = 0; start < 24; start++) {
+    let successes = 0;
+    let total = 0;
+    const used = [];
+    for (let offset = 0; offset < HOUR_WINDOW; offset++) {
+      const row = byHour.get((start + offset) % 24);
+      if (row) {
+        successes += row.success_rate * row.sample_size;
+        total += row.sample_size;
+        used.push(offset);
+      }
+    }
+    if (total >= MIN_SAMPLE && (!best || successes / total > best.rate)) {
+      best = {
+        start: (start + used[0]) % 24,
+        end: (start + used[used.length - 1] + 1) % 24,
+        rate: successes / total,
+        sample: total
+      };
+    }
+  }
+  return best;
+}
+
+function overallRate(rows) {
+  const total = rows.reduce((sum, row) => sum + row.sample_size, 0);
+  if (total === 0) return null;
+  return rows.reduce((sum, row) => sum + row.success_rate * row.sample_size, 0) / total;
+}
+
+function percent(rate) {
+  return `${Math.round(rate * 100)}%`;
+}
+
+function describeWindow({ start, end }) {
+  return start <= 6 ? `before ${pad(end)}:00` : `between ${pad(start)}:00 and ${pad(end)}:00`;
+}
+
+// Advice cards from stored patterns: { id, icon, title, message, action, tone }.
+// quickWins is the number of open tasks estimated at 30 minutes or less.
+function buildInsights(patterns, { quickWins = 0 } = {}) {
+  const ofType = type => patterns.filter(row => row.pattern_type === type);
+  const insights = [];
+
+  const hours = ofType('session_hour');
+  const bestTime = bestHourWindow(hours);
+  const sessionRate = overallRate(hours);
+  if (bestTime && bestTime.rate > sessionRate) {
+    insights.push({
+      id: 'best_time',
+      icon: 'lightbulb',
+      title: 'Productivity Pattern',
+      message: `You complete ${percent(bestTime.rate)} of focus sessions started ${describeWindow(bestTime)}, against ${percent(sessionRate)} overall.`,
+      action: `Keep ${describeWindow(bestTime)} free for your most demanding tasks.`,
+      tone: 'tip'
+    });
+  }
+
+  const highPriority = ofType('priority_hour').filter(row => row.pattern_value.startsWith('high:'));
+  const bestHighTime = bestHourWindow(highPriority);
+  if (bestHighTime && bestHighTime.rate > overallRate(highPriority)) {
+    insights.push({
+      id: 'high_priority_time',
+      icon: 'fire',
+      title: 'High-Priority Work',
+      message: `You finish high-priority tasks best ${describeWindow(bestHighTime)} (${percent(bestHighTime.rate)} of sessions completed).`,
+      action: `Plan your next high-priority task for ${describeWindow(bestHighTime)}.`,
+      tone: 'tip'
+    });
+  }
+
+  const weekdays = ofType('session_weekday').filter(row => row.sample_size >= MIN_SAMPLE)
+    .sort((a, b) => b.success_rate - a.success_rate);
+  if (weekdays.length >= 2) {
+    const best = weekdays[0];
+    const worst = weekdays[weekdays.length - 1];
+    if (best.success_rate - worst.success_rate >= 0.2) {
+      const name = value => WEEKDAY_NAMES[WEEKDAYS.indexOf(value)];
+      insights.push({
+        id: 'weekday',
+        icon: 'calendar-week',
+        title: 'Best Day',
+        message: `${name(best.pattern_value)} sessions succeed ${percent(best.success_rate)} of the time; ${name(worst.pattern_value)} only ${percent(worst.success_rate)}.`,
+        action: `Put hard tasks on ${name(best.pattern_value)} and lighter ones on ${name(worst.pattern_value)}.`,
+        tone: 'tip'
+      });
+    }
+  }
+
+  const sizes = new Map(ofType('estimate_completion').map(row => [row.pattern_value, row]));
+  const small = sizes.get('small');
+  const large = sizes.get('large');
+  if (small && large && small.sample_size >= MIN_SAMPLE && large.sample_size >= MIN_SAMPLE
+    && small.success_rate - large.success_rate >= 0.2) {
+    insights.push({
+      id: 'task_size',
+      icon: 'cut',
+      title: 'Task Size',
+      message: `You complete ${percent(small.success_rate)} of tasks estimated at 30 minutes or less, but only ${percent(large.success_rate)} of those over 90 minutes.`,
+      action: 'Split big tasks into steps of 30 minutes or less.',
+      tone: 'warning'
+    });
+  }
+
+  const high = ofType('priority_completion').find(row => row.pattern_value === 'high');
+  if (high && high.sample_size >= MIN_SAMPLE && high.success_rate < 0.5) {
+    insights.push({
+      id: 'high_priority_completion',
+      icon: 'flag',
+      title: 'High-Priority Follow-Through',
+      message: `Only ${percent(high.success_rate)} of your high-priority tasks get done.`,
+      action: 'Mark fewer tasks as high priority, or break them into smaller steps.',
+      tone: 'warning'
+    });
+  }
+
+  const distractions = ofType('distractions').find(row => row.pattern_value === 'all');
+  if (distractions && distractions.sample_size >= MIN_SAMPLE) {
+    const calmest = ofType('distractions_hour').filter(row => row.sample_size >= MIN_SAMPLE)
+      .sort((a, b) => a.average - b.average)[0];
+    const busy = distractions.average >= 1;
+    insights.push({
+      id: 'distractions',
+      icon: busy ? 'bell' : 'shield-alt',
+      title: 'Distractions',
+      message: `You average ${distractions.average} distraction${distractions.average === 1 ? '' : 's'} per focus session.`,
+      action: busy
+        ? `Silence notifications before starting${calmest ? `; sessions around ${calmest.pattern_value}:00 are your calmest` : ''}.`
+        : 'Your focus sessions are mostly uninterrupted. Keep it up.',
+      tone: busy ? 'warning' : 'positive'
+    });
+  }
+
+  if (quickWins > 0) {
+    insights.push({
+      id: 'quick_wins',
+      icon: 'bolt',
+      title: 'Quick Wins',
+      message: `${quickWins} open task${quickWins === 1 ? '' : 's'} can be finished in 30 minutes or less.`,
+      action: 'Pick one when you only have a short gap.',
+      tone: 'positive'
+    });
+  }
+
+  return insights;
+}
+
+module.exports = {
+  ANALYSIS_WINDOW_DAYS,
+  MIN_SAMPLE,
+  analyzePatterns,
+  buildInsights
+};
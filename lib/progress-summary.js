@@ -0,0 +1,58 @@
+// Nexus 2.0 - Progress summary
+// Goal forecasts and the progress summary, loaded the same way by server.js
+// and the read-only viewer. `conn` is anything with get(sql, params) and
+// all(sql, params) methods, such as a lib/db.js connection or transaction.
+
+const { forecastGoal, STATUSES } = require('./forecast');
+const estimateCalibration = require('./estimate-calibration');
+
+// Completion forecasts for a user's goals { id, category, progress_mode,
+// target_date } (see lib/forecast.js), keyed by goal id. Finished work counts
+// at its actual time and open work at its calibrated estimate.
+async function loadGoalForecasts(conn, userId, goals) {
+  const [tasks, calibration] = await Promise.all([
+    conn.all(
+      'SELECT goal_id, status, priority, estimated_time, actual_time, created_at, completed_at, recurrence_id FROM tasks WHERE user_id = ?',
+      [userId]
+    ),
+    estimateCalibration.loadEstimateCalibration(conn, userId)
+  ]);
+  const now = Date.now();
+  return new Map(goals.map((goal) => {
+    const minutes = task => (task.status === 'completed' && task.actual_time > 0
+      ? task.actual_time
+      : estimateCalibration.calibratedEstimate({ ...task, category: goal.category }, calibration));
+    return [goal.id, forecastGoal(goal, tasks.filter(task => task.goal_id === goal.id), { now, minutes })];
+  }));
+}
+
+// { summary, tasks, forecasts }: goal totals, task counts per status and how
+// many goals each forecast status covers
+async function loadProgressSummary(conn, userId) {
+  const [summary, tasks, goals] = await Promise.all([
+    conn.get(
+      `SELECT
+         COUNT(*) as total_goals,
+         SUM(CASE WHEN progress = 100 THEN 1 ELSE 0 END) as completed_goals,
+         AVG(progress) as average_progress,
+         COUNT(DISTINCT category) as categories_count
+       FROM goals
+       WHERE user_id = ?`,
+      [userId]
+    ),
+    conn.all('SELECT status, COUNT(*) as count FROM tasks WHERE user_id = ? GROUP BY status', [userId]),
+    conn.all('SELECT id, category, progress_mode, target_date FROM goals WHERE user_id = ?', [userId])
+  ]);
+
+  const forecasts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+  (await loadGoalForecasts(conn, userId, goals)).forEach((forecast) => {
+    forecasts[forecast.status] += 1;
+  });
+
+  return { summary, tasks, forecasts };
+}
+
+module.exports = {
+  loadGoalForecasts,
+  loadProgressSummary
+};
@@ -0,0 +1,176 @@
+// Nexus 2.0 - Recurring tasks and habits
+// A recurrence rule says when a repeating task is due. Every occurrence becomes
+// its own task row (tasks.recurrence_id + occurrence_date) with its own
+// completion; streaks and adherence are read back from those rows.
+// Dates are YYYY-MM-DD calendar days in UTC and weeks start on Monday.
+
+const FREQUENCIES = ['daily', 'weekly', 'interval', 'monthly', 'times_per_week'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Adherence looks at this many days back from today
+const ADHERENCE_WINDOW_DAYS = 28;
+
+function toDate(day) {
+  return new Date(`${day}T00:00:00Z`);
+}
+
+function formatDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(day, days) {
+  return formatDay(new Date(toDate(day).getTime() + days * DAY_MS));
+}
+
+function today(now = Date.now()) {
+  return formatDay(new Date(now));
+}
+
+function isDay(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(toDate(value).getTime());
+}
+
+// Monday of the week containing `day`
+function weekStart(day) {
+  return addDays(day, -((toDate(day).getUTCDay() + 6) % 7));
+}
+
+// Weekdays are stored as "1,3,5" (0 = Sunday ... 6 = Saturday)
+function parseWeekdays(value) {
+  if (value == null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(Number);
+}
+
+// Returns an error message for an invalid rule, or null
+function validateRecurrence(rule) {
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (rule.frequency === 'weekly') {
+    const weekdays = parseWeekdays(rule.weekdays);
+    if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return 'Weekly recurrences need weekdays from 0 (Sunday) to 6 (Saturday)';
+    }
+  }
+  if (rule.frequency === 'interval') {
+    const days = Number(rule.interval_days);
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return 'interval_days must be a whole number of days between 1 and 365';
+    }
+  }
+  if (rule.frequency === 'monthly') {
+    const day = Number(rule.day_of_month);
+    if (!Number.isInteger(day) || day < 1 || day > 31) {
+      return 'day_of_month must be between 1 and 31';
+    }
+  }
+  if (rule.frequency === 'times_per_week') {
+    const times = Number(rule.times_per_week);
+    if (!Number.isInteger(times) || times < 1 || times > 7) {
+      return 'times_per_week must be between 1 and 7';
+    }
+  }
+  if (rule.start_date && !isDay(rule.start_date)) {
+    return 'start_date must be a YYYY-MM-DD date';
+  }
+  if (rule.end_date && !isDay(rule.end_date)) {
+    return 'end_date must be a YYYY-MM-DD date';
+  }
+  if (rule.start_date && rule.end_date && rule.end_date < rule.start_date) {
+    return 'end_date cannot be before start_date';
+  }
+  return null;
+}
+
+function isScheduled(rule, day, weekdays) {
+  const date = toDate(day);
+  switch (rule.frequency) {
+    case 'daily':
+      return true;
+    case 'weekly':
+      return weekdays.includes(date.getUTCDay());
+    case 'interval':
+      return Math.round((date - toDate(rule.start_date)) / DAY_MS) % rule.interval_days === 0;
+    case 'monthly': {
+      // Short months use their last day
+      const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+      return date.getUTCDate() === Math.min(rule.day_of_month, lastDay);
+    }
+    default:
+      return false;
+  }
+}
+
+// Scheduled periods from `from` to `to` (inclusive). A period is the day it
+// belongs to, when it is due and how many completions it needs: one for
+// dated rules, the weekly quota (due on Sunday) for times_per_week.
+function listPeriods(rule, from, to) {
+  const start = from > rule.start_date ? from : rule.start_date;
+  const end = rule.end_date && rule.end_date < to ? rule.end_date : to;
+  const periods = [];
+  if (start > end) return periods;
+
+  if (rule.frequency === 'times_per_week') {
+    for (let week = weekStart(start); week <= end; week = addDays(week, 7)) {
+      periods.push({ date: week, due_date: addDays(week, 6), required: rule.times_per_week });
+    }
+    return periods;
+  }
+
+  const weekdays = parseWeekdays(rule.weekdays);
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    if (isScheduled(rule, day, weekdays)) {
+      periods.push({ date: day, due_date: day, required: 1 });
+    }
+  }
+  return periods;
+}
+
+// Streaks and adherence for one rule. `completions` maps occurrence_date to
+// the number of completed instances for that period.
+function computeHabitStats(rule, completions, { now = Date.now(), windowDays = ADHERENCE_WINDOW_DAYS } = {}) {
+  const day = today(now);
+  const done = period => (completions[period.date] || 0) >= period.required;
+  // A period that is still running only counts once it has been met
+  const settled = listPeriods(rule, rule.start_date, day)
+    .filter(period => period.due_date < day || done(period));
+
+  let currentStreak = 0;
+  for (let i = settled.length - 1; i >= 0 && done(settled[i]); i--) {
+    currentStreak += 1;
+  }
+
+  let bestStreak = 0;
+  let run = 0;
+  settled.forEach((period) => {
+    run = done(period) ? run + 1 : 0;
+    bestStreak = Math.max(bestStreak, run);
+  });
+
+  const windowStart = addDays(day, -(windowDays - 1));
+  const recent = settled.filter(period => period.due_date >= windowStart);
+  const expected = recent.reduce((sum, period) => sum + period.required, 0);
+  const completed = recent.reduce((sum, period) => sum + Math.min(completions[period.date] || 0, period.required), 0);
+
+  return {
+    current_streak: currentStreak,
+    best_streak: bestStreak,
+    streak_unit: rule.frequency === 'times_per_week' ? 'weeks' : 'occurrences',
+    // null until the first period has ended
+    adherence: expected > 0 ? Math.round((completed / expected) * 100) : null,
+    window_days: windowDays
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  today,
+  addDays,
+  isDay,
+  parseWeekdays,
+  validateRecurrence,
+  listPeriods,
+  computeHabitStats
+};
@@ -0,0 +1,77 @@
+// Nexus 2.0 - Resource recommendations
+// Ranks library resources for one task. Resources linked to the task come
+// first, then those linked to its goal, then any that fit the goal's category
+// or share keywords with the task and goal. Each pick carries a short reason.
+
+const { words } = require('./keywords');
+
+const RESOURCE_TYPES = ['tool', 'tutorial', 'template', 'person'];
+
+const SCORES = {
+  taskLink: 100,
+  goalLink: 50,
+  category: 3,
+  tag: 2,
+  keyword: 1
+};
+
+const DEFAULT_LIMIT = 5;
+
+// Tags are stored as "pricing,stripe" and sent to clients as an array
+function parseTags(value) {
+  if (value == null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+}
+
+function formatTags(value) {
+  const tags = parseTags(value);
+  return tags.length > 0 ? tags.join(',') : null;
+}
+
+// `task` carries goal_title and goal_category; each resource carries
+// linked_to_task and linked_to_goal flags. Resources that match nothing are left out.
+function recommendResources(task, resources, { limit = DEFAULT_LIMIT } = {}) {
+  const taskWords = new Set([...words(task.title), ...words(task.description), ...words(task.goal_title)]);
+
+  return resources
+    .map((resource) => {
+      const tags = parseTags(resource.tags);
+      let score = 0;
+      let reason = null;
+
+      if (resource.linked_to_task) {
+        score += SCORES.taskLink;
+        reason = 'Linked to this task';
+      } else if (resource.linked_to_goal) {
+        score += SCORES.goalLink;
+        reason = 'Linked to this goal';
+      }
+
+      const tagMatches = tags.filter(tag => words(tag).some(word => taskWords.has(word)));
+      const keywordMatches = [...new Set([...words(resource.title), ...words(resource.description)])]
+        .filter(word => taskWords.has(word));
+      score += tagMatches.length * SCORES.tag + keywordMatches.length * SCORES.keyword;
+
+      const categoryMatch = Boolean(resource.category && resource.category === task.goal_category);
+      if (categoryMatch) score += SCORES.category;
+
+      if (!reason) {
+        const match = tagMatches[0] || keywordMatches[0];
+        if (match) reason = `Mentions "${match}"`;
+        else if (categoryMatch) reason = `Useful for ${resource.category} goals`;
+      }
+
+      return { ...resource, tags, score, reason };
+    })
+    .filter(resource => resource.score > 0)
+    .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+    .slice(0, limit);
+}
+
+module.exports = {
+  RESOURCE_TYPES,
+  parseTags,
+  formatTags,
+  recommendResources
+};
@@ -0,0 +1,193 @@
+// Nexus 2.0 - Task generation
+// Suggests next-step tasks for a goal. Suggestions are never saved here: the
+// user reviews them and creates the ones they want through POST /api/tasks.
+//
+// Strategies are pluggable. A generator is an object with a unique `name`, a
+// short `description` and `generate(goal, tasks, options)`, which returns (or
+// resolves to) a list of suggestions { title, description, priority,
+// estimated_time, reason }. registerGenerator() adds one; generateSuggestions()
+// runs it and takes care of cleanup, duplicates and the limit.
+
+const { words } = require('./keywords');
+
+const PRIORITIES = ['high', 'medium', 'low'];
+
+const DEFAULT_ESTIMATE = 30;
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 10;
+
+// A goal with this many tasks already has a plan, so planning steps are left out
+const PLANNED_TASK_COUNT = 3;
+
+// Titles sharing at least this share of their words count as the same task
+const SIMILAR_TITLE_OVERLAP = 0.6;
+
+// Steps per goal category (the options of the goal form), roughly in the
+// order they are usually done. `keywords` move a step forward when they appear
+// in the goal; `stage: 'plan'` marks steps that only make sense early on.
+const TEMPLATES = {
+  business: [
+    { title: 'Define the target customer and the problem you solve', estimated_time: 45, priority: 'high', stage: 'plan', keywords: ['customer', 'market', 'audience', 'niche'] },
+    { title: 'Research three competitors and how they price', estimated_time: 60, priority: 'medium', stage: 'plan', keywords: ['competitor', 'competition', 'pricing', 'market'] },
+    { title: 'Outline the offer: scope, price and delivery', estimated_time: 45, priority: 'high', keywords: ['offer', 'product', 'service', 'pricing', 'price'] },
+    { title: 'Build the smallest version you can show a customer', estimated_time: 120, priority: 'high', keywords: ['mvp', 'prototype', 'product', 'app', 'website'] },
+    { title: 'Contact five potential customers for feedback', estimated_time: 60, priority: 'medium', keywords: ['sales', 'customer', 'feedback', 'clients', 'leads'] },
+    { title: 'Plan the launch announcement and channels', estimated_time: 45, priority: 'medium', keywords: ['launch', 'marketing', 'announce', 'social'] },
+    { title: 'Set up a simple tracker for revenue and key numbers', estimated_time: 30, priority: 'low', keywords: ['revenue', 'metrics', 'profit', 'growth'] }
+  ],
+  personal: [
+    { title: 'Write down what done looks like and why it matters', estimated_time: 20, priority: 'high', stage: 'plan' },
+    { title: 'Break the goal into three smaller outcomes', estimated_time: 30, priority: 'high', stage: 'plan' },
+    { title: 'Block recurring time in your calendar for this goal', estimated_time: 15, priority: 'medium', keywords: ['time', 'schedule', 'routine'] },
+    { title: 'Remove one obstacle that keeps getting in the way', estimated_time: 30, priority: 'medium', keywords: ['habit', 'distraction', 'clutter'] },
+    { title: 'Tell someone about the goal and agree on a check-in', estimated_time: 15, priority: 'low', keywords: ['accountability', 'friend', 'family'] },
+    { title: 'Review progress and adjust the plan', estimated_time: 20, priority: 'low', keywords: ['review', 'reflect', 'weekly'] }
+  ],
+  health: [
+    { title: 'Record a baseline of where you are today', estimated_time: 20, priority: 'high', stage: 'plan', keywords: ['weight', 'baseline', 'fitness', 'measure'] },
+    { title: 'Pick a weekly exercise routine you can keep', estimated_time: 30, priority: 'high', keywords: ['exercise', 'workout', 'gym', 'run', 'running', 'fitness'] },
+    { title: 'Plan meals and groceries for the week', estimated_time: 45, priority: 'medium', keywords: ['diet', 'nutrition', 'meal', 'eat', 'eating', 'weight'] },
+    { title: 'Set a consistent sleep schedule', estimated_time: 15, priority: 'medium', keywords: ['sleep', 'rest', 'energy', 'tired'] },
+    { title: 'Book a check-up or talk to a professional', estimated_time: 30, priority: 'low', keywords: ['doctor', 'injury', 'medical', 'pain', 'therapy'] },
+    { title: 'Log workouts and meals for two weeks', estimated_time: 15, priority: 'low', keywords: ['track', 'log', 'journal'] }
+  ],
+  learning: [
+    { title: 'Choose one main course, book or resource', estimated_time: 30, priority: 'high', stage: 'plan', keywords: ['course', 'book', 'tutorial', 'class'] },
+    { title: 'Split the material into weekly sections', estimated_time: 30, priority: 'high', stage: 'plan', keywords: ['curriculum', 'syllabus', 'chapters'] },
+    { title: 'Set up a practice environment', estimated_time: 45, priority: 'medium', keywords: ['code', 'coding', 'programming', 'language', 'practice', 'instrument'] },
+    { title: 'Build a small project that uses what you learned', estimated_time: 120, priority: 'medium', keywords: ['project', 'build', 'portfolio'] },
+    { title: 'Write notes or flashcards for review', estimated_time: 30, priority: 'low', keywords: ['exam', 'memorize', 'vocabulary', 'notes'] },
+    { title: 'Test yourself with a quiz or explain it to someone', estimated_time: 30, priority: 'low', keywords: ['exam', 'test', 'certification', 'interview'] }
+  ],
+  financial: [
+    { title: 'List all income, expenses and debts', estimated_time: 60, priority: 'high', stage: 'plan', keywords: ['budget', 'debt', 'expenses', 'spending'] },
+    { title: 'Set a monthly budget with category limits', estimated_time: 45, priority: 'high', keywords: ['budget', 'spending', 'expenses'] },
+    { title: 'Set up an automatic transfer to savings', estimated_time: 15, priority: 'medium', keywords: ['save', 'savings', 'emergency', 'fund'] },
+    { title: 'Make a debt payoff plan', estimated_time: 45, priority: 'medium', keywords: ['debt', 'loan', 'credit', 'mortgage'] },
+    { title: 'Review subscriptions and cancel unused ones', estimated_time: 30, priority: 'low', keywords: ['subscriptions', 'spending', 'bills'] },
+    { title: 'Compare investment or savings account options', estimated_time: 60, priority: 'low', keywords: ['invest', 'investing', 'retirement', 'interest', 'stocks'] }
+  ],
+  // Goals without a known category
+  general: [
+    { title: 'Write down what done looks like', estimated_time: 20, priority: 'high', stage: 'plan' },
+    { title: 'List the first three concrete steps', estimated_time: 20, priority: 'high', stage: 'plan' },
+    { title: 'Schedule time to work on this goal', estimated_time: 15, priority: 'medium' },
+    { title: 'Review progress at the end of the week', estimated_time: 20, priority: 'low' }
+  ]
+};
+
+const generators = new Map();
+
+function isSimilarTitle(a, b) {
+  const left = new Set(words(a));
+  const right = new Set(words(b));
+  if (left.size === 0 || right.size === 0) return false;
+  const shared = [...left].filter(word => right.has(word)).length;
+  return shared / Math.min(left.size, right.size) >= SIMILAR_TITLE_OVERLAP;
+}
+
+// Middle estimate of the goal's existing tasks, so suggestions match how the user sizes work
+function typicalEstimate(tasks) {
+  const estimates = tasks.map(task => task.estimated_time).filter(minutes => minutes > 0).sort((a, b) => a - b);
+  if (estimates.length === 0) return DEFAULT_ESTIMATE;
+  return estimates[Math.floor(estimates.length / 2)];
+}
+
+// Bullet or numbered lines in the goal description read as steps the user already has in mind
+function descriptionSteps(description) {
+  return String(description || '').split('\n')
+    .map(line => line.match(/^\s*(?:[-*•]|\d+[.)])\s+(.+)$/))
+    .filter(Boolean)
+    .map(match => match[1].trim());
+}
+
+// Default strategy: the goal's own listed steps first, then category
+// templates, with those matching words in the goal moved ahead
+const templateGenerator = {
+  name: 'templates',
+  description: 'Steps from the goal description and a template library for its category',
+  generate(goal, tasks) {
+    const estimate = typicalEstimate(tasks);
+    const fromDescription = descriptionSteps(goal.description).map(title => ({
+      title,
+      priority: 'medium',
+      estimated_time: estimate,
+      reason: 'Listed in the goal description'
+    }));
+
+    const goalWords = new Set([...words(goal.title), ...words(goal.description)]);
+    const category = TEMPLATES[goal.category] ? goal.category : 'general';
+    const planned = tasks.length >= PLANNED_TASK_COUNT;
+    const fromTemplates = TEMPLATES[category]
+      .filter(step => !(planned && step.stage === 'plan'))
+      .map((step, order) => ({ step, order, matches: (step.keywords || []).filter(word => goalWords.has(word)) }))
+      .sort((a, b) => b.matches.length - a.matches.length || a.order - b.order)
+      .map(({ step, matches }) => ({
+        title: step.title,
+        priority: step.priority,
+        estimated_time: step.estimated_time,
+        reason: matches.length > 0
+          ? `Matches "${matches[0]}" in your goal`
+          : `Common step for ${category === 'general' ? '' : `${category} `}goals`
+      }));
+
+    return [...fromDescription, ...fromTemplates];
+  }
+};
+
+function registerGenerator(generator) {
+  if (!generator || !generator.name || typeof generator.generate !== 'function') {
+    throw new Error('A task generator needs a name and a generate(goal, tasks, options) function');
+  }
+  generators.set(generator.name, generator);
+}
+
+function getGenerator(name) {
+  return generators.get(name) || null;
+}
+
+function listGenerators() {
+  return [...generators.values()].map(({ name, description }) => ({ name, description: description || null }));
+}
+
+// Runs one strategy for `goal` (with its existing `tasks`) and returns at most
+// `limit` clean suggestions that do not repeat an existing task or each other
+async function generateSuggestions(goal, tasks, { strategy = templateGenerator.name, limit = DEFAULT_LIMIT, ...options } = {}) {
+  const generator = getGenerator(strategy);
+  if (!generator) {
+    throw new Error(`Unknown task generator "${strategy}"`);
+  }
+
+  const count = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const raw = await generator.generate(goal, tasks, options);
+  const suggestions = [];
+
+  for (const suggestion of raw || []) {
+    const title = String(suggestion.title || '').trim().slice(0, 200);
+    if (!title) continue;
+    const taken = [...tasks, ...suggestions].some(existing => isSimilarTitle(existing.title, title));
+    if (taken) continue;
+
+    const minutes = parseInt(suggestion.estimated_time, 10);
+    suggestions.push({
+      title,
+      description: suggestion.description || null,
+      priority: PRIORITIES.includes(suggestion.priority) ? suggestion.priority : 'medium',
+      estimated_time: minutes > 0 ? minutes : DEFAULT_ESTIMATE,
+      reason: suggestion.reason || null,
+      strategy: generator.name
+    });
+    if (suggestions.length >= count) break;
+  }
+
+  return suggestions;
+}
+
+registerGenerator(templateGenerator);
+
+module.exports = {
+  registerGenerator,
+  getGenerator,
+  listGenerators,
+  generateSuggestions
+};
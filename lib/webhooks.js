@@ -0,0 +1,116 @@
+// Nexus 2.0 - Outgoing webhooks
+// Subscriptions name the events they want; each delivery is a JSON POST of
+//   { event, occurred_at, data }
+// signed with HMAC-SHA256 over "<timestamp>.<body>" using the webhook's
+// secret, so a receiver can check both who sent it and when:
+//   X-Nexus-Signature: sha256=<hex digest>
+//   X-Nexus-Timestamp: <unix seconds>
+//   X-Nexus-Delivery: <delivery id, the same for every retry>
+// Failed deliveries are retried with exponential backoff until MAX_ATTEMPTS.
+
+const crypto = require('crypto');
+
+const EVENTS = [
+  'goal.created',
+  'goal.updated',
+  'goal.deleted',
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.deleted',
+  'focus_session.started',
+  'focus_session.ended'
+];
+
+// Sent by POST /api/webhooks/:id/ping whatever the subscription
+const PING_EVENT = 'ping';
+
+const MAX_ATTEMPTS = 8;
+// First retry after this long, doubling each time up to MAX_RETRY_DELAY
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 6 * 60 * 60 * 1000;
+const MIN_SECRET_LENGTH = 16;
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Request body -> { webhook: { url, events, description, enabled, secret } } or
+// { error }. `partial` allows leaving fields out (for updates).
+function validateWebhook(input, { partial = false } = {}) {
+  const body = input || {};
+  const webhook = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(String(body.url || ''));
+    } catch (err) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    webhook.url = url.toString();
+  }
+
+  if (body.events !== undefined || !partial) {
+    const events = Array.isArray(body.events) ? [...new Set(body.events)] : [];
+    if (events.length === 0) {
+      return { error: `events must list at least one of: ${EVENTS.join(', ')}` };
+    }
+    const unknown = events.find(event => !EVENTS.includes(event));
+    if (unknown) {
+      return { error: `Unknown event "${unknown}"; expected one of: ${EVENTS.join(', ')}` };
+    }
+    webhook.events = events;
+  }
+
+  if (body.description !== undefined) {
+    webhook.description = body.description ? String(body.description).trim().slice(0, 200) : null;
+  }
+  if (body.enabled !== undefined || !partial) {
+    webhook.enabled = body.enabled !== false;
+  }
+  if (body.secret !== undefined && body.secret !== null && body.secret !== '') {
+    if (typeof body.secret !== 'string' || body.secret.length < MIN_SECRET_LENGTH) {
+      return { error: `secret must be at least ${MIN_SECRET_LENGTH} characters` };
+    }
+    webhook.secret = body.secret;
+  }
+  return { webhook };
+}
+
+function sign(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Headers for one attempt at delivering `body` (the stored JSON payload)
+function deliveryHeaders({ deliveryId, event, body, secret, now = Date.now() }) {
+  const timestamp = Math.floor(now / 1000);
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Nexus2-Webhooks/1.0',
+    'X-Nexus-Event': event,
+    'X-Nexus-Delivery': String(deliveryId),
+    'X-Nexus-Timestamp': String(timestamp),
+    'X-Nexus-Signature': `sha256=${sign(secret, timestamp, body)}`
+  };
+}
+
+// Wait before the next try after `attempts` failed ones, or null to give up
+function retryDelay(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+module.exports = {
+  EVENTS,
+  PING_EVENT,
+  MAX_ATTEMPTS,
+  newSecret,
+  validateWebhook,
+  sign,
+  deliveryHeaders,
+  retryDelay
+};
@@ -0,0 +1,70 @@
+// Tables from the first release. IF NOT EXISTS lets databases created before
+// migrations existed adopt this version without losing data.
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS goals (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    description TEXT,
+    category TEXT,
+    target_date TEXT,
+    priority TEXT DEFAULT 'medium',
+    progress INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  await m.run(`CREATE TABLE IF NOT EXISTS tasks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    goal_id INTEGER,
+    title TEXT NOT NULL,
+    description TEXT,
+    status TEXT DEFAULT 'pending',
+    priority TEXT DEFAULT 'medium',
+    estimated_time INTEGER,
+    actual_time INTEGER,
+    due_date TEXT,
+    completed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE
+  )`);
+
+  await m.run(`CREATE TABLE IF NOT EXISTS resources (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER,
+    title TEXT NOT NULL,
+    url TEXT,
+    type TEXT,
+    description TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+  )`);
+
+  await m.run(`CREATE TABLE IF NOT EXISTS focus_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER,
+    duration INTEGER,
+    start_time DATETIME,
+    end_time DATETIME,
+    distractions INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+  )`);
+
+  await m.run(`CREATE TABLE IF NOT EXISTS learning_patterns (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    pattern_type TEXT,
+    pattern_value TEXT,
+    success_rate REAL,
+    sample_size INTEGER,
+    last_updated DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP TABLE IF EXISTS learning_patterns');
+  await m.run('DROP TABLE IF EXISTS focus_sessions');
+  await m.run('DROP TABLE IF EXISTS resources');
+  await m.run('DROP TABLE IF EXISTS tasks');
+  await m.run('DROP TABLE IF EXISTS goals');
+};
@@ -0,0 +1,18 @@
+// Per-user ownership. Existing rows stay unowned until the server assigns
+// them to the first admin account (see claimUnownedRows in server.js).
+
+const OWNED_TABLES = ['goals', 'tasks', 'resources', 'focus_sessions', 'learning_patterns'];
+
+exports.up = async (m) => {
+  for (const table of OWNED_TABLES) {
+    await m.addColumn(table, 'user_id', 'INTEGER REFERENCES users(id) ON DELETE CASCADE');
+    await m.run(`CREATE INDEX IF NOT EXISTS idx_${table}_user ON ${table}(user_id)`);
+  }
+};
+
+exports.down = async (m) => {
+  for (const table of OWNED_TABLES) {
+    await m.run(`DROP INDEX IF EXISTS idx_${table}_user`);
+    await m.dropColumn(table, 'user_id');
+  }
+};
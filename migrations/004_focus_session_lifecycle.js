@@ -0,0 +1,15 @@
+// Server-side focus sessions: status, planned length and pause bookkeeping
+
+exports.up = async (m) => {
+  await m.addColumn('focus_sessions', 'status', "TEXT DEFAULT 'active'");
+  await m.addColumn('focus_sessions', 'planned_duration', 'INTEGER');
+  await m.addColumn('focus_sessions', 'paused_at', 'DATETIME');
+  await m.addColumn('focus_sessions', 'paused_seconds', 'INTEGER DEFAULT 0');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('focus_sessions', 'paused_seconds');
+  await m.dropColumn('focus_sessions', 'paused_at');
+  await m.dropColumn('focus_sessions', 'planned_duration');
+  await m.dropColumn('focus_sessions', 'status');
+};
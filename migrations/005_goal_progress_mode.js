@@ -0,0 +1,10 @@
+// How a goal's progress is derived: manual, tasks or time.
+// Existing goals keep manual progress; new goals default to tasks in the API.
+
+exports.up = async (m) => {
+  await m.addColumn('goals', 'progress_mode', "TEXT DEFAULT 'manual'");
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('goals', 'progress_mode');
+};
@@ -0,0 +1,18 @@
+// "Blocked by" relationships: task_id cannot start until blocked_by is completed
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS task_dependencies (
+    task_id INTEGER NOT NULL,
+    blocked_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (task_id, blocked_by),
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (blocked_by) REFERENCES tasks(id) ON DELETE CASCADE
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_task_dependencies_blocked_by ON task_dependencies(blocked_by)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_task_dependencies_blocked_by');
+  await m.run('DROP TABLE IF EXISTS task_dependencies');
+};
@@ -0,0 +1,23 @@
+// Skips and snoozes of focus suggestions. task_skips keeps the history for
+// reports and scoring; tasks.snoozed_until hides a task until that time.
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS task_skips (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    task_id INTEGER NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    kind TEXT NOT NULL DEFAULT 'skip',
+    reason TEXT,
+    snoozed_until DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_task_skips_task ON task_skips(task_id, created_at)');
+  await m.addColumn('tasks', 'snoozed_until', 'DATETIME');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('tasks', 'snoozed_until');
+  await m.run('DROP INDEX IF EXISTS idx_task_skips_task');
+  await m.run('DROP TABLE IF EXISTS task_skips');
+};
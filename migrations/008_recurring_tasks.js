@@ -0,0 +1,37 @@
+// Recurring tasks and habits: task_recurrences holds the rule, and every
+// occurrence is a normal task pointing back at it (see lib/recurrence.js)
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS task_recurrences (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    goal_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    description TEXT,
+    priority TEXT DEFAULT 'medium',
+    estimated_time INTEGER,
+    frequency TEXT NOT NULL,
+    weekdays TEXT,
+    interval_days INTEGER,
+    day_of_month INTEGER,
+    times_per_week INTEGER,
+    start_date TEXT NOT NULL,
+    end_date TEXT,
+    generated_through TEXT,
+    active INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_task_recurrences_goal ON task_recurrences(goal_id)');
+  await m.addColumn('tasks', 'recurrence_id', 'INTEGER REFERENCES task_recurrences(id) ON DELETE SET NULL');
+  await m.addColumn('tasks', 'occurrence_date', 'TEXT');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_tasks_recurrence ON tasks(recurrence_id, occurrence_date)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_tasks_recurrence');
+  await m.dropColumn('tasks', 'occurrence_date');
+  await m.dropColumn('tasks', 'recurrence_id');
+  await m.run('DROP INDEX IF EXISTS idx_task_recurrences_goal');
+  await m.run('DROP TABLE IF EXISTS task_recurrences');
+};
@@ -0,0 +1,28 @@
+// Milestones: ordered checkpoints inside a goal that tasks can be assigned to
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS milestones (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    goal_id INTEGER NOT NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    description TEXT,
+    target_date TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    status TEXT DEFAULT 'pending',
+    completed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_milestones_goal ON milestones(goal_id, position)');
+  await m.addColumn('tasks', 'milestone_id', 'INTEGER REFERENCES milestones(id) ON DELETE SET NULL');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_tasks_milestone ON tasks(milestone_id)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_tasks_milestone');
+  await m.dropColumn('tasks', 'milestone_id');
+  await m.run('DROP INDEX IF EXISTS idx_milestones_goal');
+  await m.run('DROP TABLE IF EXISTS milestones');
+};
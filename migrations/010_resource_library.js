@@ -0,0 +1,39 @@
+// Resource library: resources become reusable and link to any number of tasks
+// and goals through resource_links. resources.task_id stays (SQLite cannot drop
+// a column used by a table-level foreign key) but is no longer read; existing
+// task links are moved into resource_links.
+
+exports.up = async (m) => {
+  await m.addColumn('resources', 'tags', 'TEXT');
+  await m.addColumn('resources', 'category', 'TEXT');
+  await m.addColumn('resources', 'updated_at', 'DATETIME');
+  await m.run(`CREATE TABLE IF NOT EXISTS resource_links (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    resource_id INTEGER NOT NULL,
+    task_id INTEGER,
+    goal_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (resource_id) REFERENCES resources(id) ON DELETE CASCADE,
+    FOREIGN KEY (task_id) REFERENCES tasks(id) ON DELETE CASCADE,
+    FOREIGN KEY (goal_id) REFERENCES goals(id) ON DELETE CASCADE
+  )`);
+  await m.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_resource_links_task ON resource_links(task_id, resource_id) WHERE task_id IS NOT NULL');
+  await m.run('CREATE UNIQUE INDEX IF NOT EXISTS idx_resource_links_goal ON resource_links(goal_id, resource_id) WHERE goal_id IS NOT NULL');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_resource_links_resource ON resource_links(resource_id)');
+  await m.run('INSERT INTO resource_links (resource_id, task_id) SELECT id, task_id FROM resources WHERE task_id IS NOT NULL');
+  await m.run('UPDATE resources SET task_id = NULL');
+};
+
+exports.down = async (m) => {
+  // Each resource keeps (at most) one of its task links
+  await m.run(`UPDATE resources SET task_id = (
+    SELECT MIN(task_id) FROM resource_links l WHERE l.resource_id = resources.id
+  )`);
+  await m.run('DROP INDEX IF EXISTS idx_resource_links_resource');
+  await m.run('DROP INDEX IF EXISTS idx_resource_links_goal');
+  await m.run('DROP INDEX IF EXISTS idx_resource_links_task');
+  await m.run('DROP TABLE IF EXISTS resource_links');
+  await m.dropColumn('resources', 'updated_at');
+  await m.dropColumn('resources', 'category');
+  await m.dropColumn('resources', 'tags');
+};
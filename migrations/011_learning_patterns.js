@@ -0,0 +1,14 @@
+// learning_patterns is filled by the usage analyzer (lib/pattern-analysis.js):
+// one row per user, pattern_type and pattern_value. Rates go in success_rate;
+// `average` holds per-session counts such as distractions.
+
+exports.up = async (m) => {
+  await m.addColumn('learning_patterns', 'average', 'REAL');
+  await m.run(`CREATE UNIQUE INDEX IF NOT EXISTS idx_learning_patterns_key
+    ON learning_patterns(user_id, pattern_type, pattern_value)`);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_learning_patterns_key');
+  await m.dropColumn('learning_patterns', 'average');
+};
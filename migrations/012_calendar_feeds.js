@@ -0,0 +1,17 @@
+// Calendar feeds: one secret feed token per user, so calendar apps (which
+// cannot sign in) can subscribe to GET /api/calendar.ics. Only the token's
+// SHA-256 digest is stored, like session tokens.
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS calendar_feeds (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME
+  )`);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP TABLE IF EXISTS calendar_feeds');
+};
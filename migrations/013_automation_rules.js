@@ -0,0 +1,42 @@
+// Automation Hub: trigger → action rules (lib/automation.js) and a log of every
+// time a rule fired. Trigger and action settings are JSON objects; the log
+// keeps the task, goal or focus session the event was about so a rule fires
+// only once for the same overdue task.
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS automation_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    trigger_type TEXT NOT NULL,
+    trigger_config TEXT NOT NULL DEFAULT '{}',
+    action_type TEXT NOT NULL,
+    action_config TEXT NOT NULL DEFAULT '{}',
+    enabled INTEGER NOT NULL DEFAULT 1,
+    run_count INTEGER NOT NULL DEFAULT 0,
+    last_run_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_automation_rules_user ON automation_rules(user_id, trigger_type)');
+  await m.run(`CREATE TABLE IF NOT EXISTS automation_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    rule_id INTEGER NOT NULL REFERENCES automation_rules(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    event_type TEXT NOT NULL,
+    task_id INTEGER,
+    goal_id INTEGER,
+    session_id INTEGER,
+    status TEXT NOT NULL,
+    message TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_automation_runs_rule ON automation_runs(rule_id, task_id)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_automation_runs_rule');
+  await m.run('DROP TABLE IF EXISTS automation_runs');
+  await m.run('DROP INDEX IF EXISTS idx_automation_rules_user');
+  await m.run('DROP TABLE IF EXISTS automation_rules');
+};
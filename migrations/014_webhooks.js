@@ -0,0 +1,44 @@
+// Outgoing webhooks: subscriptions to goal, task and focus session events, and
+// the delivery queue. Every delivery is a row that stays after it is sent (or
+// given up on), which doubles as the delivery history. The secret is kept in
+// the clear because it is needed to sign each delivery.
+
+exports.up = async (m) => {
+  await m.run(`CREATE TABLE IF NOT EXISTS webhooks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    events TEXT NOT NULL,
+    description TEXT,
+    enabled INTEGER NOT NULL DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_webhooks_user ON webhooks(user_id)');
+  await m.run(`CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL,
+    event TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TEXT,
+    response_status INTEGER,
+    last_error TEXT,
+    replay_of INTEGER,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT
+  )`);
+  await m.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue ON webhook_deliveries(status, next_attempt_at)');
+  await m.run('CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id)');
+};
+
+exports.down = async (m) => {
+  await m.run('DROP INDEX IF EXISTS idx_webhook_deliveries_webhook');
+  await m.run('DROP INDEX IF EXISTS idx_webhook_deliveries_queue');
+  await m.run('DROP TABLE IF EXISTS webhook_deliveries');
+  await m.run('DROP INDEX IF EXISTS idx_webhooks_user');
+  await m.run('DROP TABLE IF EXISTS webhooks');
+};
@@ -0,0 +1,25 @@
+// Tasks get an updated_at like goals have, so offline edits replayed from the
+// browser's outbox can tell whether the task changed in the meantime. Tasks are
+// updated from many places, so triggers keep the column current rather than
+// every UPDATE statement.
+
+exports.up = async (m) => {
+  await m.addColumn('tasks', 'updated_at', 'DATETIME');
+  await m.run('UPDATE tasks SET updated_at = COALESCE(completed_at, created_at, CURRENT_TIMESTAMP) WHERE updated_at IS NULL');
+  await m.run(`CREATE TRIGGER IF NOT EXISTS tasks_set_updated_at_on_insert AFTER INSERT ON tasks
+    FOR EACH ROW WHEN NEW.updated_at IS NULL
+    BEGIN
+      UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END`);
+  await m.run(`CREATE TRIGGER IF NOT EXISTS tasks_set_updated_at_on_update AFTER UPDATE ON tasks
+    FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN
+      UPDATE tasks SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+    END`);
+};
+
+exports.down = async (m) => {
+  await m.run('DROP TRIGGER IF EXISTS tasks_set_updated_at_on_update');
+  await m.run('DROP TRIGGER IF EXISTS tasks_set_updated_at_on_insert');
+  await m.dropColumn('tasks', 'updated_at');
+};
@@ -0,0 +1,39 @@
+// Edit conflicts are detected by comparing updated_at, and CURRENT_TIMESTAMP
+// only has one-second resolution: a second change within the same second
+// looked like no change at all. The triggers now stamp milliseconds, and goals
+// get the same triggers as tasks instead of each UPDATE setting the column.
+// Rolling back keeps goals on triggers (at second resolution again), since
+// the routes no longer set updated_at themselves.
+
+const NOW = "strftime('%Y-%m-%d %H:%M:%f', 'now')";
+
+async function createTriggers(m, table, stamp) {
+  await m.run(`CREATE TRIGGER IF NOT EXISTS ${table}_set_updated_at_on_insert AFTER INSERT ON ${table}
+    FOR EACH ROW WHEN NEW.updated_at IS NULL
+    BEGIN
+      UPDATE ${table} SET updated_at = ${stamp} WHERE id = NEW.id;
+    END`);
+  await m.run(`CREATE TRIGGER IF NOT EXISTS ${table}_set_updated_at_on_update AFTER UPDATE ON ${table}
+    FOR EACH ROW WHEN NEW.updated_at IS OLD.updated_at
+    BEGIN
+      UPDATE ${table} SET updated_at = ${stamp} WHERE id = NEW.id;
+    END`);
+}
+
+async function dropTriggers(m, table) {
+  await m.run(`DROP TRIGGER IF EXISTS ${table}_set_updated_at_on_update`);
+  await m.run(`DROP TRIGGER IF EXISTS ${table}_set_updated_at_on_insert`);
+}
+
+exports.up = async (m) => {
+  await dropTriggers(m, 'tasks');
+  await createTriggers(m, 'tasks', NOW);
+  await createTriggers(m, 'goals', NOW);
+};
+
+exports.down = async (m) => {
+  await dropTriggers(m, 'goals');
+  await dropTriggers(m, 'tasks');
+  await createTriggers(m, 'tasks', 'CURRENT_TIMESTAMP');
+  await createTriggers(m, 'goals', 'CURRENT_TIMESTAMP');
+};
@@ -0,0 +1,11 @@
+// The time zone each user's browser last reported, as Date.getTimezoneOffset()
+// (minutes behind UTC), so the background pattern analysis can bucket focus
+// sessions by the user's hour and weekday rather than the server's.
+
+exports.up = async (m) => {
+  await m.addColumn('users', 'tz_offset', 'INTEGER');
+};
+
+exports.down = async (m) => {
+  await m.dropColumn('users', 'tz_offset');
+};
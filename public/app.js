@@ -7,8 +7,21 @@ class NexusApp {
         this.goals = [];
         this.tasks = [];
         this.currentFocusTask = null;
+        this.focusShortlist = []; // Ranked alternatives from the focus engine
+        this.editingGoalId = null;
+        this.milestoneGoalId = null; // Goal whose milestones are open in the milestone modal
+        this.automationRules = [];
+        this.editingAutomationId = null; // Rule being edited in the Automation Hub
+        this.webhooks = [];
         this.focusTimer = null;
-        this.focusTime = 25 * 60; // 25 minutes in seconds
+        this.focusSession = null; // Active focus session from the server
+        this.focusMinutes = 25;
+        this.liveEvents = null; // EventSource for /api/events
+        this.liveStatsTimer = null; // Polling fallback when there is no event stream
+        this.pendingChanges = []; // Outbox entries not yet sent
+        this.syncing = false;
+        this.syncTimer = null; // Retries the outbox while changes wait
+        this.serverUnreachable = false; // navigator.onLine, but the last change could not be sent
         
         this.initializeApp();
     }
@@ -16,11 +29,12 @@ class NexusApp {
     initializeApp() {
         this.initializeTheme();
         this.bindEvents();
+        this.registerServiceWorker();
+        this.initializeOutbox();
         this.loadInitialData();
+        this.restoreFocusSession();
         this.updateLiveStats();
-        
-        // Start periodic updates
-        setInterval(() => this.updateLiveStats(), 30000); // Every 30 seconds
+        this.connectLiveEvents();
     }
 
     initializeTheme() {
@@ -48,15 +62,101 @@ class NexusApp {
         document.getElementById('addGoalBtn').addEventListener('click', () => this.showGoalModal());
         document.getElementById('cancelGoalBtn').addEventListener('click', () => this.hideGoalModal());
         document.getElementById('goalForm').addEventListener('submit', (e) => this.handleGoalSubmit(e));
+        document.getElementById('goalProgressMode').addEventListener('change', () => this.toggleManualProgressField());
+        
+        // Task modal
+        document.getElementById('cancelTaskBtn').addEventListener('click', () => this.hideTaskModal());
+        document.getElementById('taskForm').addEventListener('submit', (e) => this.handleTaskSubmit(e));
+        document.getElementById('taskRepeat').addEventListener('change', () => this.toggleRepeatFields());
+        document.getElementById('taskGoal').addEventListener('change', () => {
+            this.fillMilestoneSelect();
+            this.updateEstimateHint();
+        });
+        ['taskPriority', 'taskEstimate'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateEstimateHint());
+        });
+        document.getElementById('taskModal').addEventListener('click', (e) => {
+            if (e.target.id === 'taskModal') this.hideTaskModal();
+        });
         
         // Focus engine
         document.getElementById('focusBtn').addEventListener('click', () => this.getNextTask());
+        document.getElementById('availableMinutes')?.addEventListener('change', () => {
+            if (!this.focusSession) this.getNextTask();
+        });
         
         // Quick actions
         document.getElementById('generateTasksBtn').addEventListener('click', () => this.generateTasks());
         document.getElementById('reviewProgressBtn').addEventListener('click', () => this.reviewProgress());
         document.getElementById('automateBtn').addEventListener('click', () => this.showAutomationOptions());
         
+        // Automation Hub modal
+        document.getElementById('closeAutomationBtn').addEventListener('click', () => this.hideAutomationModal());
+        document.getElementById('cancelAutomationEditBtn').addEventListener('click', () => this.resetAutomationForm());
+        document.getElementById('testAutomationBtn').addEventListener('click', () => this.testAutomation());
+        document.getElementById('automationForm').addEventListener('submit', (e) => this.handleAutomationSubmit(e));
+        ['automationTrigger', 'automationAction'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.toggleAutomationFields());
+        });
+        document.getElementById('automationModal').addEventListener('click', (e) => {
+            if (e.target.id === 'automationModal') this.hideAutomationModal();
+        });
+        
+        // Task suggestion modal
+        document.getElementById('cancelGenerateBtn').addEventListener('click', () => this.hideGenerateModal());
+        document.getElementById('generateGoal').addEventListener('change', () => this.loadTaskSuggestions());
+        document.getElementById('generateForm').addEventListener('submit', (e) => this.handleGenerateSubmit(e));
+        document.getElementById('generateModal').addEventListener('click', (e) => {
+            if (e.target.id === 'generateModal') this.hideGenerateModal();
+        });
+        
+        // Resource modal
+        document.getElementById('cancelResourceBtn').addEventListener('click', () => this.hideResourceModal());
+        document.getElementById('resourceForm').addEventListener('submit', (e) => this.handleResourceSubmit(e));
+        document.getElementById('resourceModal').addEventListener('click', (e) => {
+            if (e.target.id === 'resourceModal') this.hideResourceModal();
+        });
+        
+        // Milestone modal
+        document.getElementById('closeMilestoneBtn').addEventListener('click', () => this.hideMilestoneModal());
+        document.getElementById('milestoneForm').addEventListener('submit', (e) => this.handleMilestoneSubmit(e));
+        document.getElementById('milestoneModal').addEventListener('click', (e) => {
+            if (e.target.id === 'milestoneModal') this.hideMilestoneModal();
+        });
+        
+        // Export & import modal
+        document.getElementById('dataBtn').addEventListener('click', () => this.showDataModal());
+        document.getElementById('closeDataBtn').addEventListener('click', () => this.hideDataModal());
+        document.getElementById('importForm').addEventListener('submit', (e) => this.handleImportSubmit(e));
+        document.getElementById('importFile').addEventListener('change', () => this.resetImportPreview(true));
+        ['importType', 'importReplace', 'importGoal'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.resetImportPreview());
+        });
+        document.getElementById('calendarFeedCreateBtn').addEventListener('click', () => this.createCalendarFeed());
+        document.getElementById('calendarFeedDisableBtn').addEventListener('click', () => this.disableCalendarFeed());
+        ['calendarFeedFocus', 'calendarFeedTodos'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.updateCalendarFeedUrl());
+        });
+        document.getElementById('dataModal').addEventListener('click', (e) => {
+            if (e.target.id === 'dataModal') this.hideDataModal();
+        });
+        
+        // Webhooks modal
+        document.getElementById('webhooksBtn').addEventListener('click', () => this.showWebhookModal());
+        document.getElementById('closeWebhookBtn').addEventListener('click', () => this.hideWebhookModal());
+        document.getElementById('webhookForm').addEventListener('submit', (e) => this.handleWebhookSubmit(e));
+        document.getElementById('webhookModal').addEventListener('click', (e) => {
+            if (e.target.id === 'webhookModal') this.hideWebhookModal();
+        });
+        
+        // Offline outbox
+        document.getElementById('syncStatus').addEventListener('click', () => this.showOutboxModal());
+        document.getElementById('closeOutboxBtn').addEventListener('click', () => this.hideOutboxModal());
+        document.getElementById('syncOutboxBtn').addEventListener('click', () => this.syncOutbox());
+        document.getElementById('outboxModal').addEventListener('click', (e) => {
+            if (e.target.id === 'outboxModal') this.hideOutboxModal();
+        });
+        
         // Close modal on outside click
         document.getElementById('goalModal').addEventListener('click', (e) => {
             if (e.target.id === 'goalModal') this.hideGoalModal();
@@ -88,7 +188,9 @@ class NexusApp {
         try {
             await Promise.all([
                 this.loadGoals(),
-                this.loadProgressSummary()
+                this.loadProgressSummary(),
+                this.loadInsights(),
+                this.loadSkippedTasksReport()
             ]);
         } catch (error) {
             console.error('Error loading initial data:', error);
@@ -98,54 +200,38 @@ class NexusApp {
 
     async loadGoals() {
         try {
-            // Try real API first, fall back to mock data
             const response = await fetch(`${this.apiBase}/goals`);
             if (response.ok) {
                 this.goals = await response.json();
+            } else if (NexusOutbox.isOffline(response)) {
+                // Offline with nothing cached yet: keep what is on screen
             } else {
-                // Fall back to mock data
-                console.log('Using mock goals data');
-                const mockResponse = await fetch(`${this.apiBase}/mock/goals`);
-                this.goals = await mockResponse.json();
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.message || result.error || `HTTP ${response.status}`);
             }
+            this.goals = this.withPendingChanges(this.goals);
             this.renderGoals();
         } catch (error) {
-            console.error('Error loading goals, using mock data:', error);
-            // Use mock data as fallback
-            try {
-                const mockResponse = await fetch(`${this.apiBase}/mock/goals`);
-                this.goals = await mockResponse.json();
-                this.renderGoals();
-            } catch (mockError) {
-                console.error('Failed to load mock goals:', mockError);
-            }
+            console.error('Error loading goals:', error);
+            this.showNotification('Failed to load goals. Please refresh the page.', 'error');
         }
     }
 
     async loadProgressSummary() {
         try {
-            // Try real API first, fall back to mock data
             const response = await fetch(`${this.apiBase}/progress/summary`);
             if (response.ok) {
                 const data = await response.json();
                 this.renderProgressSummary(data);
+            } else if (NexusOutbox.isOffline(response)) {
+                // As for goals: the last summary shown stays up
             } else {
-                // Fall back to mock data
-                console.log('Using mock progress summary');
-                const mockResponse = await fetch(`${this.apiBase}/mock/progress/summary`);
-                const mockData = await mockResponse.json();
-                this.renderProgressSummary(mockData);
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.message || result.error || `HTTP ${response.status}`);
             }
         } catch (error) {
-            console.error('Error loading progress summary, using mock data:', error);
-            // Use mock data as fallback
-            try {
-                const mockResponse = await fetch(`${this.apiBase}/mock/progress/summary`);
-                const mockData = await mockResponse.json();
-                this.renderProgressSummary(mockData);
-            } catch (mockError) {
-                console.error('Failed to load mock progress summary:', mockError);
-            }
+            // The goals list reports the failure; this is a side panel
+            console.error('Error loading progress summary:', error);
         }
     }
 
@@ -169,11 +255,14 @@ class NexusApp {
         }
 
         container.innerHTML = this.goals.map(goal => `
-            <div class="goal-card fade-in" data-goal-id="${goal.id}">
+            <div class="goal-card fade-in ${goal.pending ? 'goal-pending' : ''}" data-goal-id="${goal.id}">
                 <div class="goal-header">
                     <div>
                         <div class="goal-title">${this.escapeHtml(goal.title)}</div>
-                        <div class="goal-category">${goal.category || 'Uncategorized'}</div>
+                        <div class="goal-category">
+                            ${goal.category || 'Uncategorized'}
+                            ${goal.pending ? '<span class="pending-badge" title="Saved on this device, not yet synced"><i class="fas fa-cloud-upload-alt"></i> Pending</span>' : ''}
+                        </div>
                     </div>
                     <div class="goal-priority priority-${goal.priority}">
                         ${goal.priority}
@@ -187,7 +276,7 @@ class NexusApp {
                         <div class="progress-fill" style="width: ${goal.progress || 0}%"></div>
                     </div>
                     <div class="progress-text">
-                        <span>Progress</span>
+                        <span>${this.describeProgressSource(goal)}</span>
                         <span>${goal.progress || 0}%</span>
                     </div>
                 </div>
@@ -199,6 +288,10 @@ class NexusApp {
                     </div>
                 ` : ''}
                 
+                ${this.renderGoalForecast(goal)}
+                
+                ${this.renderMilestoneStrip(goal)}
+                
                 <div class="goal-actions">
                     <button class="btn-action btn-edit" data-goal-id="${goal.id}" title="Edit Goal">
                         <i class="fas fa-edit"></i> Edit
@@ -209,6 +302,11 @@ class NexusApp {
                     <button class="btn-action btn-progress" data-goal-id="${goal.id}" title="Update Progress">
                         <i class="fas fa-chart-line"></i> Progress
                     </button>
+                    ${goal.milestones ? `
+                        <button class="btn-action btn-milestones" data-goal-id="${goal.id}" title="Manage Milestones">
+                            <i class="fas fa-flag-checkered"></i> Milestones
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         `).join('');
@@ -217,11 +315,88 @@ class NexusApp {
         this.bindGoalActions();
     }
 
+    // One dot per milestone, then the next open milestone and whether it is slipping.
+    // The read-only viewer does not send milestones, so nothing is shown there.
+    renderMilestoneStrip(goal) {
+        if (!goal.milestones || goal.milestones.length === 0) return '';
+        
+        const next = goal.next_milestone;
+        const dots = goal.milestones.map(milestone => `
+            <span class="milestone-dot milestone-${milestone.health}${next && milestone.id === next.id ? ' milestone-next' : ''}"
+                  title="${this.escapeHtml(milestone.title)}"></span>
+        `).join('');
+        
+        let label = '<span>All milestones reached</span>';
+        if (next) {
+            const date = next.target_date ? ` · ${new Date(next.target_date).toLocaleDateString()}` : '';
+            label = `
+                <span>Next: ${this.escapeHtml(next.title)}${date}</span>
+                ${next.slipping ? `<span class="milestone-slipping" title="${this.escapeHtml(next.health_reason || '')}">Slipping</span>` : ''}
+            `;
+        }
+        
+        return `
+            <div class="milestone-strip">
+                <div class="milestone-dots">${dots}</div>
+                <div class="milestone-next-label">${label}</div>
+            </div>
+        `;
+    }
+
+    // Predicted finish date with its range, and a badge when the goal has a target
+    renderGoalForecast(goal) {
+        const forecast = goal.forecast;
+        if (!forecast || forecast.status === 'complete') return '';
+        
+        const badges = {
+            on_track: 'On track',
+            at_risk: 'At risk',
+            overdue: 'Overdue'
+        };
+        if (!forecast.expected_date && !badges[forecast.status]) return '';
+        
+        const format = date => new Date(`${date}T00:00:00`).toLocaleDateString();
+        let label = 'No recent progress to forecast from';
+        let title = '';
+        if (forecast.expected_date) {
+            const range = forecast.earliest_date !== forecast.latest_date
+                ? ` (${format(forecast.earliest_date)} – ${format(forecast.latest_date)})`
+                : '';
+            const unit = forecast.unit === 'minutes' ? 'min' : `task${forecast.velocity_per_week === 1 ? '' : 's'}`;
+            label = `Forecast: ${format(forecast.expected_date)}${range}`;
+            title = `Based on ${forecast.velocity_per_week} ${unit}/week over the last ${forecast.weeks_measured} week${forecast.weeks_measured === 1 ? '' : 's'}`;
+        }
+        
+        return `
+            <div class="goal-forecast" title="${title}">
+                <i class="fas fa-chart-line"></i>
+                <span>${label}</span>
+                ${badges[forecast.status] ? `<span class="forecast-badge forecast-${forecast.status}">${badges[forecast.status]}</span>` : ''}
+            </div>
+        `;
+    }
+
+    describeProgressSource(goal) {
+        if (!goal.progress_mode || goal.progress_mode === 'manual') return 'Progress';
+        if (goal.progress_mode === 'habits') {
+            // The read-only viewer does not send habit details
+            if (goal.habits_total === undefined) return 'From habits';
+            const habits = goal.habits_total;
+            if (habits === 0) return 'No recurring tasks yet';
+            return `${habits} habit${habits === 1 ? '' : 's'}, streak ${goal.habit_streak || 0}`;
+        }
+        const total = goal.tasks_total || 0;
+        if (total === 0) return 'No tasks yet';
+        return `${goal.tasks_completed || 0}/${total} tasks${goal.progress_mode === 'time' ? ' (by estimate)' : ''}`;
+    }
+
     renderProgressSummary(data) {
         const container = document.getElementById('progressStats');
         if (!container || !data) return;
 
-        const { summary, tasks } = data;
+        const { summary, tasks, forecasts } = data;
+        
+        const atRisk = forecasts.at_risk + forecasts.overdue;
         
         container.innerHTML = `
             <div class="stat-card">
@@ -240,28 +415,36 @@ class NexusApp {
                 <div class="stat-value">${summary.categories_count || 0}</div>
                 <div class="stat-label">Categories</div>
             </div>
+            <div class="stat-card">
+                <div class="stat-value">${atRisk}</div>
+                <div class="stat-label">At Risk</div>
+            </div>
         `;
     }
 
     async getNextTask() {
         try {
-            // Try real API first, fall back to mock data
-            let response = await fetch(`${this.apiBase}/focus/next-task`);
+            const availableMinutes = document.getElementById('availableMinutes')?.value;
+            const query = availableMinutes ? `?available_minutes=${availableMinutes}` : '';
+            const response = await fetch(`${this.apiBase}/focus/next-task${query}`);
             if (!response.ok) {
-                // Fall back to mock data
-                console.log('Using mock focus data');
-                response = await fetch(`${this.apiBase}/mock/focus/next-task`);
+                const result = await response.json().catch(() => ({}));
+                this.showNotification(result.message || 'Failed to get next task. Please try again.', 'error');
+                return;
             }
             
             this.currentFocusTask = await response.json();
             
             if (this.currentFocusTask.message) {
+                this.focusShortlist = [];
                 this.showFocusPlaceholder(this.currentFocusTask.message);
                 return;
             }
             
+            // Alternatives the engine ranked below its pick
+            this.focusShortlist = this.currentFocusTask.shortlist || [];
+            
             this.renderFocusTask(this.currentFocusTask);
-            this.startFocusTimer();
             
         } catch (error) {
             console.error('Error getting next task:', error);
@@ -269,7 +452,7 @@ class NexusApp {
         }
     }
 
-    renderFocusTask(task) {
+    renderFocusTask(task, session = null) {
         const focusContainer = document.getElementById('focusTask');
         const detailsContainer = document.getElementById('taskDetails');
         
@@ -296,16 +479,35 @@ class NexusApp {
                     <div class="focus-task-time">
                         <i class="fas fa-clock"></i>
                         Estimated: ${task.estimated_time} minutes
+                        ${task.calibrated_estimate && task.calibrated_estimate !== task.estimated_time ? `
+                            <span class="focus-task-calibrated" title="Adjusted by how long tasks like this usually take you">
+                                (usually ~${task.calibrated_estimate})
+                            </span>
+                        ` : ''}
                     </div>
                 ` : ''}
+                ${!session && task.reasons && task.reasons.length > 0 ? `
+                    <ul class="focus-reasons" title="Score ${task.score}">
+                        ${task.reasons.slice(0, 3).map(reason => `
+                            <li><i class="fas fa-lightbulb"></i> ${this.escapeHtml(reason)}</li>
+                        `).join('')}
+                    </ul>
+                ` : ''}
                 <div class="focus-task-actions">
-                    <button class="btn-primary" id="startTaskBtn">
-                        <i class="fas fa-play"></i> Start Working
-                    </button>
-                    <button class="btn-secondary" id="skipTaskBtn">
-                        <i class="fas fa-forward"></i> Skip for Now
-                    </button>
+                    ${session ? this.renderSessionControls(session) : `
+                        <button class="btn-primary" id="startTaskBtn">
+                            <i class="fas fa-play"></i> Start Working
+                        </button>
+                        <button class="btn-secondary" id="skipTaskBtn">
+                            <i class="fas fa-forward"></i> Skip for Now
+                        </button>
+                        <button class="btn-secondary" id="snoozeTaskBtn">
+                            <i class="fas fa-bed"></i> Snooze
+                        </button>
+                    `}
                 </div>
+                ${!session ? this.renderSnoozeMenu() : ''}
+                ${!session ? this.renderFocusShortlist(task) : ''}
             </div>
         `;
 
@@ -322,240 +524,2109 @@ class NexusApp {
                     <i class="fas fa-flag"></i>
                     Status: ${task.status}
                 </div>
+                ${task.recurrence_id ? `
+                    <div class="task-meta-item">
+                        <i class="fas fa-redo"></i>
+                        Recurring (${task.occurrence_date})
+                    </div>
+                ` : ''}
                 <div class="task-meta-item">
                     <i class="fas fa-calendar-plus"></i>
                     Created: ${new Date(task.created_at).toLocaleDateString()}
                 </div>
             </div>
+            <div class="task-dependencies" id="taskDependencies"></div>
         `;
+        this.loadTaskDependencies(task.id);
+        this.loadRecommendedResources(task.id);
 
         // Bind task action events
         document.getElementById('startTaskBtn')?.addEventListener('click', () => this.startWorkingOnTask(task.id));
         document.getElementById('skipTaskBtn')?.addEventListener('click', () => this.skipTask(task.id));
+        document.getElementById('snoozeTaskBtn')?.addEventListener('click', () => {
+            document.getElementById('snoozeMenu')?.classList.toggle('open');
+        });
+        document.querySelectorAll('[data-snooze]').forEach(button => {
+            button.addEventListener('click', () => {
+                const reason = document.getElementById('snoozeReason').value;
+                const option = button.dataset.snooze;
+                if (option === 'tomorrow') {
+                    // The server works out midnight in this browser's time zone
+                    this.snoozeTask(task.id, { until: 'tomorrow', tz_offset: new Date().getTimezoneOffset(), reason });
+                } else if (option === 'date') {
+                    const until = document.getElementById('snoozeUntil').value;
+                    if (!until) {
+                        this.showNotification('Pick a date and time to snooze until', 'error');
+                        return;
+                    }
+                    this.snoozeTask(task.id, { until: new Date(until).toISOString(), reason });
+                } else {
+                    this.snoozeTask(task.id, { hours: parseInt(option, 10), reason });
+                }
+            });
+        });
+        document.querySelectorAll('[data-shortlist-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                const choice = this.focusShortlist.find(item => item.id === parseInt(button.dataset.shortlistId, 10));
+                if (choice) {
+                    this.currentFocusTask = choice;
+                    this.renderFocusTask(choice);
+                }
+            });
+        });
+        
+        // Bind focus session controls
+        document.querySelectorAll('[data-session-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                const action = button.dataset.sessionAction;
+                if (action === 'complete') {
+                    this.focusSessionAction('stop', { complete_task: true });
+                } else {
+                    this.focusSessionAction(action);
+                }
+            });
+        });
     }
 
-    showFocusPlaceholder(message) {
-        const focusContainer = document.getElementById('focusTask');
-        if (!focusContainer) return;
+    // Other tasks from the engine's shortlist, with their top reason
+    renderFocusShortlist(task) {
+        const others = (this.focusShortlist || []).filter(item => item.id !== task.id);
+        if (others.length === 0) return '';
 
-        focusContainer.innerHTML = `
-            <div class="focus-placeholder">
-                <i class="fas fa-check-circle"></i>
-                <h3>${message}</h3>
-                <p>All caught up! Add more tasks or review your goals.</p>
-                <button class="btn-primary" id="addTaskFromFocusBtn">
-                    <i class="fas fa-plus"></i> Add New Task
-                </button>
+        return `
+            <div class="focus-shortlist">
+                <div class="focus-shortlist-label">Other good options</div>
+                ${others.map(item => `
+                    <button class="focus-shortlist-item" data-shortlist-id="${item.id}">
+                        <span class="focus-shortlist-title">${this.escapeHtml(item.title)}</span>
+                        <span class="focus-shortlist-reason">${this.escapeHtml(item.reasons[0] || '')}</span>
+                    </button>
+                `).join('')}
             </div>
         `;
+    }
+
+    // "Blocked by" / "Unblocks" lists for the task in focus
+    async loadTaskDependencies(taskId) {
+        const container = document.getElementById('taskDependencies');
+        if (!container) return;
+
+        try {
+            const [dependenciesResponse, tasksResponse] = await Promise.all([
+                fetch(`${this.apiBase}/tasks/${taskId}/dependencies`),
+                fetch(`${this.apiBase}/tasks`)
+            ]);
+            if (!dependenciesResponse.ok) {
+                container.innerHTML = '';
+                return;
+            }
+            const dependencies = await dependenciesResponse.json();
+            const tasks = tasksResponse.ok ? await tasksResponse.json() : [];
+            this.renderTaskDependencies(container, dependencies, tasks);
+        } catch (error) {
+            console.error('Error loading task dependencies:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    renderTaskDependencies(container, dependencies, tasks) {
+        const canEdit = window.NexusAuth ? window.NexusAuth.canEdit() : true;
+        const linked = new Set([dependencies.task_id, ...dependencies.blocked_by.map(task => task.id)]);
+        const candidates = tasks.filter(task => !linked.has(task.id) && task.status !== 'completed');
+
+        const renderItem = (task, removable) => `
+            <li class="dependency-item ${task.status === 'completed' ? 'dependency-done' : ''}">
+                <i class="fas fa-${task.status === 'completed' ? 'check-circle' : 'lock'}"></i>
+                <span>${this.escapeHtml(task.title)}</span>
+                ${removable ? `
+                    <button class="btn-action btn-unlink" data-blocker-id="${task.id}" title="Remove prerequisite">
+                        <i class="fas fa-times"></i>
+                    </button>
+                ` : ''}
+            </li>
+        `;
+
+        container.innerHTML = `
+            <h4><i class="fas fa-link"></i> Dependencies</h4>
+            ${dependencies.blocked_by.length > 0 ? `
+                <div class="dependency-label">Blocked by</div>
+                <ul class="dependency-list">
+                    ${dependencies.blocked_by.map(task => renderItem(task, canEdit)).join('')}
+                </ul>
+            ` : '<p class="dependency-empty">No prerequisites</p>'}
+            ${dependencies.blocking.length > 0 ? `
+                <div class="dependency-label">Unblocks</div>
+                <ul class="dependency-list">
+                    ${dependencies.blocking.map(task => renderItem(task, false)).join('')}
+                </ul>
+            ` : ''}
+            ${canEdit && candidates.length > 0 ? `
+                <div class="dependency-add">
+                    <select id="dependencySelect">
+                        <option value="">Blocked by...</option>
+                        ${candidates.map(task => `
+                            <option value="${task.id}">${this.escapeHtml(task.title)}</option>
+                        `).join('')}
+                    </select>
+                    <button class="btn-secondary" id="addDependencyBtn">
+                        <i class="fas fa-plus"></i> Add
+                    </button>
+                </div>
+            ` : ''}
+        `;
 
-        document.getElementById('addTaskFromFocusBtn')?.addEventListener('click', () => {
-            // TODO: Implement add task modal
-            this.showNotification('Task creation coming soon!', 'info');
+        container.querySelectorAll('.btn-unlink').forEach(button => {
+            button.addEventListener('click', () => {
+                this.removeTaskDependency(dependencies.task_id, button.dataset.blockerId);
+            });
+        });
+        document.getElementById('addDependencyBtn')?.addEventListener('click', () => {
+            const blockerId = document.getElementById('dependencySelect').value;
+            if (blockerId) {
+                this.addTaskDependency(dependencies.task_id, parseInt(blockerId, 10));
+            }
         });
     }
 
-    startFocusTimer() {
-        const timerElement = document.getElementById('focusTimer').querySelector('span');
-        if (!timerElement) return;
+    async addTaskDependency(taskId, blockerId) {
+        try {
+            const response = await fetch(`${this.apiBase}/tasks/${taskId}/dependencies`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ blocked_by: blockerId })
+            });
+            const result = await response.json();
 
-        if (this.focusTimer) {
-            clearInterval(this.focusTimer);
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to add prerequisite', 'error');
+                return;
+            }
+
+            this.showNotification('Prerequisite added', 'success');
+            // A newly blocked task should give way to one that can be started
+            if (result.is_blocked && !this.focusSession) {
+                this.getNextTask();
+            } else {
+                this.loadTaskDependencies(taskId);
+            }
+        } catch (error) {
+            console.error('Error adding task dependency:', error);
+            this.showNotification('Failed to add prerequisite. Please try again.', 'error');
         }
+    }
 
-        let timeLeft = this.focusTime;
-        
-        this.focusTimer = setInterval(() => {
-            timeLeft--;
-            
-            const minutes = Math.floor(timeLeft / 60);
-            const seconds = timeLeft % 60;
-            timerElement.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
-            
-            if (timeLeft <= 0) {
-                clearInterval(this.focusTimer);
-                this.showNotification('Focus session complete! Take a short break.', 'success');
-                timerElement.textContent = '25:00';
+    async removeTaskDependency(taskId, blockerId) {
+        try {
+            const response = await fetch(`${this.apiBase}/tasks/${taskId}/dependencies/${blockerId}`, {
+                method: 'DELETE'
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to remove prerequisite', 'error');
+                return;
             }
-        }, 1000);
+
+            this.showNotification('Prerequisite removed', 'info');
+            this.loadTaskDependencies(taskId);
+        } catch (error) {
+            console.error('Error removing task dependency:', error);
+            this.showNotification('Failed to remove prerequisite. Please try again.', 'error');
+        }
     }
 
-    async startWorkingOnTask(taskId) {
+    // "Recommended Resources" panel for the task in focus
+    async loadRecommendedResources(taskId) {
+        const container = document.getElementById('resourcesList');
+        if (!container) return;
+
         try {
-            // TODO: Implement task start API
-            this.showNotification('Starting work session...', 'info');
-            
-            // For now, just show a notification
-            setTimeout(() => {
-                this.showNotification('Great work! Task marked as in progress.', 'success');
-            }, 2000);
-            
+            const response = await fetch(`${this.apiBase}/tasks/${taskId}/recommended-resources`);
+            if (!response.ok) {
+                container.innerHTML = '';
+                return;
+            }
+            this.renderRecommendedResources(container, taskId, await response.json());
         } catch (error) {
-            console.error('Error starting task:', error);
-            this.showNotification('Failed to start task. Please try again.', 'error');
+            console.error('Error loading recommended resources:', error);
+            container.innerHTML = '';
         }
     }
 
-    async skipTask(taskId) {
+    renderRecommendedResources(container, taskId, resources) {
+        const canEdit = window.NexusAuth ? window.NexusAuth.canEdit() : true;
+        const icons = { tool: 'wrench', tutorial: 'graduation-cap', template: 'file-alt', person: 'user' };
+
+        container.innerHTML = `
+            ${resources.length === 0 ? '<p class="dependency-empty">No matching resources yet</p>' : ''}
+            ${resources.map(resource => `
+                <div class="resource-item">
+                    <div class="resource-icon"><i class="fas fa-${icons[resource.type] || 'link'}"></i></div>
+                    <div class="resource-info">
+                        ${resource.url ? `
+                            <a href="${this.escapeHtml(resource.url)}" target="_blank" rel="noopener">${this.escapeHtml(resource.title)}</a>
+                        ` : `<span>${this.escapeHtml(resource.title)}</span>`}
+                        <small>${this.escapeHtml(resource.reason || resource.type)}</small>
+                    </div>
+                    ${canEdit ? `
+                        <button class="btn-action btn-unlink" data-resource-id="${resource.id}" data-linked="${resource.linked_to_task ? 1 : 0}"
+                                title="${resource.linked_to_task ? 'Unlink from this task' : 'Link to this task'}">
+                            <i class="fas fa-${resource.linked_to_task ? 'unlink' : 'thumbtack'}"></i>
+                        </button>
+                    ` : ''}
+                </div>
+            `).join('')}
+            ${canEdit ? `
+                <button class="btn-secondary" id="addResourceBtn">
+                    <i class="fas fa-plus"></i> Add Resource
+                </button>
+            ` : ''}
+        `;
+
+        container.querySelectorAll('[data-resource-id]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.toggleResourceLink(taskId, button.dataset.resourceId, button.dataset.linked === '1');
+            });
+        });
+        document.getElementById('addResourceBtn')?.addEventListener('click', () => this.showResourceModal(taskId));
+    }
+
+    async toggleResourceLink(taskId, resourceId, linked) {
         try {
-            // TODO: Implement task skip API
-            this.showNotification('Task skipped. Getting next task...', 'info');
-            
-            // Get next task
-            setTimeout(() => {
-                this.getNextTask();
-            }, 1000);
-            
+            const response = await fetch(
+                linked ? `${this.apiBase}/tasks/${taskId}/resources/${resourceId}` : `${this.apiBase}/tasks/${taskId}/resources`,
+                linked ? { method: 'DELETE' } : {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ resource_id: parseInt(resourceId, 10) })
+                }
+            );
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to update resource link', 'error');
+                return;
+            }
+            this.loadRecommendedResources(taskId);
         } catch (error) {
-            console.error('Error skipping task:', error);
-            this.showNotification('Failed to skip task. Please try again.', 'error');
+            console.error('Error updating resource link:', error);
+            this.showNotification('Failed to update resource link. Please try again.', 'error');
         }
     }
 
-    showGoalModal() {
-        document.getElementById('goalModal').classList.add('active');
-        document.getElementById('goalTitle').focus();
-        
-        // Set default target date to 30 days from now
-        const defaultDate = new Date();
-        defaultDate.setDate(defaultDate.getDate() + 30);
-        document.getElementById('goalTargetDate').value = defaultDate.toISOString().split('T')[0];
+    showResourceModal(taskId) {
+        document.getElementById('resourceForm').dataset.taskId = taskId;
+        document.getElementById('resourceModal').classList.add('active');
+        document.getElementById('resourceTitle').focus();
     }
 
-    hideGoalModal() {
-        document.getElementById('goalModal').classList.remove('active');
-        document.getElementById('goalForm').reset();
+    hideResourceModal() {
+        document.getElementById('resourceModal').classList.remove('active');
+        document.getElementById('resourceForm').reset();
     }
 
-    async handleGoalSubmit(e) {
+    // New resources are linked to the task in focus and filed under its goal's category
+    async handleResourceSubmit(e) {
         e.preventDefault();
-        
-        const goalData = {
-            title: document.getElementById('goalTitle').value.trim(),
-            description: document.getElementById('goalDescription').value.trim(),
-            category: document.getElementById('goalCategory').value,
-            priority: document.getElementById('goalPriority').value,
-            target_date: document.getElementById('goalTargetDate').value || null
+
+        const taskId = parseInt(e.target.dataset.taskId, 10);
+        const task = this.currentFocusTask && this.currentFocusTask.id === taskId ? this.currentFocusTask : null;
+        const goal = task ? this.goals.find(g => g.id === task.goal_id) : null;
+        const resourceData = {
+            title: document.getElementById('resourceTitle').value.trim(),
+            type: document.getElementById('resourceType').value,
+            url: document.getElementById('resourceUrl').value.trim() || null,
+            description: document.getElementById('resourceDescription').value.trim() || null,
+            tags: document.getElementById('resourceTags').value,
+            category: goal ? goal.category : null,
+            task_id: taskId || null
         };
 
-        if (!goalData.title) {
-            this.showNotification('Goal title is required', 'error');
+        if (!resourceData.title) {
+            this.showNotification('Resource title is required', 'error');
             return;
         }
 
         try {
-            // Try real API first
-            const response = await fetch(`${this.apiBase}/goals`, {
+            const response = await fetch(`${this.apiBase}/resources`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                },
-                body: JSON.stringify(goalData)
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(resourceData)
             });
+            const result = await response.json();
 
-            if (response.ok) {
-                const result = await response.json();
-                this.showNotification('Goal created successfully!', 'success');
-                this.hideGoalModal();
-                await this.loadGoals();
-                await this.loadProgressSummary();
-                this.updateLiveStats();
-            } else {
-                // Fall back to mock API
-                console.log('Real API failed, using mock API');
-                await this.createGoalWithMockAPI(goalData);
-            }
-        } catch (error) {
-            console.error('Error creating goal, trying mock API:', error);
-            // Try mock API as fallback
-            try {
-                await this.createGoalWithMockAPI(goalData);
-            } catch (mockError) {
-                console.error('Failed to create goal with mock API:', mockError);
-                this.showNotification('Failed to create goal. Database issues being fixed.', 'error');
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to add resource', 'error');
+                return;
             }
-        }
-    }
-
-    async createGoalWithMockAPI(goalData) {
-        const response = await fetch(`${this.apiBase}/mock/goals`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-            },
-            body: JSON.stringify(goalData)
-        });
 
-        if (response.ok) {
-            const result = await response.json();
-            this.showNotification('Goal created successfully! (Using mock data for now)', 'success');
-            this.hideGoalModal();
-            
-            // Add the new goal to our local list
-            const newGoal = {
-                id: result.id,
-                ...goalData,
-                progress: 0,
-                created_at: new Date().toISOString()
-            };
-            this.goals.unshift(newGoal);
-            this.renderGoals();
-            
-            // Update progress summary
-            await this.loadProgressSummary();
-            this.updateLiveStats();
-        } else {
-            throw new Error('Mock API failed');
+            this.showNotification('Resource added', 'success');
+            this.hideResourceModal();
+            if (taskId) this.loadRecommendedResources(taskId);
+        } catch (error) {
+            console.error('Error adding resource:', error);
+            this.showNotification('Failed to add resource. Please try again.', 'error');
         }
     }
 
-    async generateTasks() {
-        this.showNotification('Generating smart task suggestions...', 'info');
-        
-        // TODO: Implement AI task generation
-        setTimeout(() => {
-            this.showNotification('Task generation coming soon with AI integration!', 'info');
-        }, 1500);
+    renderSessionControls(session) {
+        const paused = session.status === 'paused';
+        return `
+            <button class="btn-primary" data-session-action="${paused ? 'resume' : 'pause'}">
+                <i class="fas fa-${paused ? 'play' : 'pause'}"></i> ${paused ? 'Resume' : 'Pause'}
+            </button>
+            <button class="btn-secondary" data-session-action="distraction" title="Log a distraction">
+                <i class="fas fa-bell"></i> Distracted (${session.distractions || 0})
+            </button>
+            <button class="btn-secondary" data-session-action="complete">
+                <i class="fas fa-check"></i> Done
+            </button>
+            <button class="btn-secondary" data-session-action="stop">
+                <i class="fas fa-stop"></i> Stop
+            </button>
+            <button class="btn-secondary" data-session-action="abandon">
+                <i class="fas fa-times"></i> Abandon
+            </button>
+        `;
     }
 
-    async reviewProgress() {
-        try {
-            await this.loadProgressSummary();
-            this.showNotification('Progress review loaded. Check your stats!', 'success');
-        } catch (error) {
-            console.error('Error reviewing progress:', error);
-            this.showNotification('Failed to load progress review.', 'error');
-        }
+    // Focus sessions carry their task's fields under task_* names
+    sessionToTask(session) {
+        return {
+            id: session.task_id,
+            title: session.task_title,
+            description: session.task_description,
+            priority: session.task_priority,
+            status: session.task_status,
+            estimated_time: session.estimated_time,
+            due_date: session.due_date,
+            goal_id: session.goal_id,
+            goal_title: session.goal_title,
+            created_at: session.created_at
+        };
     }
 
-    showAutomationOptions() {
-        this.showNotification('Automation hub coming soon!', 'info');
-        // TODO: Implement automation options modal
+    showFocusSession(session) {
+        this.focusSession = session;
+        this.currentFocusTask = this.sessionToTask(session);
+        this.renderFocusTask(this.currentFocusTask, session);
+        this.startFocusTimer(session);
     }
 
-    async updateLiveStats() {
+    // Pick up a session that is still running on the server (e.g. after a reload)
+    async restoreFocusSession() {
         try {
-            const [goalsResponse, tasksResponse] = await Promise.all([
-                fetch(`${this.apiBase}/goals`),
-                fetch(`${this.apiBase}/tasks`)
-            ]);
-            
-            const goals = await goalsResponse.json();
-            const tasks = await tasksResponse.json();
-            
-            document.getElementById('taskCount').textContent = tasks.length;
-            document.getElementById('goalCount').textContent = goals.length;
+            const response = await fetch(`${this.apiBase}/focus/sessions/active`);
+            if (!response.ok) return;
             
+            const { session } = await response.json();
+            if (session) {
+                this.showFocusSession(session);
+            }
         } catch (error) {
-            console.error('Error updating live stats:', error);
+            console.error('Error restoring focus session:', error);
         }
     }
 
-    showNotification(message, type = 'info') {
-        // Remove existing notification
-        const existingNotification = document.querySelector('.notification');
-        if (existingNotification) {
-            existingNotification.remove();
+    showFocusPlaceholder(message) {
+        const focusContainer = document.getElementById('focusTask');
+        if (!focusContainer) return;
+
+        focusContainer.innerHTML = `
+            <div class="focus-placeholder">
+                <i class="fas fa-check-circle"></i>
+                <h3>${message}</h3>
+                <p>All caught up! Add more tasks or review your goals.</p>
+                <button class="btn-primary" id="addTaskFromFocusBtn">
+                    <i class="fas fa-plus"></i> Add New Task
+                </button>
+            </div>
+        `;
+
+        document.getElementById('addTaskFromFocusBtn')?.addEventListener('click', () => this.showTaskModal());
+        
+        // Recommendations belong to a task in focus
+        const resourcesList = document.getElementById('resourcesList');
+        if (resourcesList) resourcesList.innerHTML = '';
+    }
+
+    // Count down from the server's remaining time; paused sessions just show it
+    startFocusTimer(session) {
+        const timerElement = document.getElementById('focusTimer').querySelector('span');
+        if (!timerElement) return;
+
+        this.stopFocusTimer();
+
+        let timeLeft = session.remaining_seconds;
+        const renderTime = () => {
+            const minutes = Math.floor(timeLeft / 60);
+            const seconds = timeLeft % 60;
+            timerElement.textContent = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        };
+        renderTime();
+        
+        if (session.status !== 'active') return;
+        
+        this.focusTimer = setInterval(() => {
+            timeLeft = Math.max(0, timeLeft - 1);
+            renderTime();
+            
+            if (timeLeft <= 0) {
+                this.stopFocusTimer();
+                this.showNotification('Focus session complete! Take a short break.', 'success');
+                this.focusSessionAction('stop');
+            }
+        }, 1000);
+    }
+
+    stopFocusTimer(reset = false) {
+        if (this.focusTimer) {
+            clearInterval(this.focusTimer);
+            this.focusTimer = null;
+        }
+        if (reset) {
+            const minutes = this.focusMinutes.toString().padStart(2, '0');
+            document.getElementById('focusTimer').querySelector('span').textContent = `${minutes}:00`;
+        }
+    }
+
+    async startWorkingOnTask(taskId) {
+        try {
+            const response = await fetch(`${this.apiBase}/focus/sessions`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ task_id: taskId, planned_minutes: this.focusMinutes })
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                // Another session is still running - show that one instead
+                if (result.session) {
+                    this.showFocusSession(result.session);
+                }
+                this.showNotification(result.message || 'Failed to start focus session', 'error');
+                return;
+            }
+            
+            this.showFocusSession(result.session);
+            this.showNotification('Focus session started. Go!', 'success');
+        } catch (error) {
+            console.error('Error starting task:', error);
+            this.showNotification('Failed to start task. Please try again.', 'error');
+        }
+    }
+
+    async focusSessionAction(action, body = {}) {
+        if (!this.focusSession) return;
+        
+        try {
+            const response = await fetch(`${this.apiBase}/focus/sessions/${this.focusSession.id}/${action}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || `Failed to ${action} focus session`, 'error');
+                return;
+            }
+            
+            const session = result.session;
+            if (session.status === 'completed' || session.status === 'abandoned') {
+                this.focusSession = null;
+                this.stopFocusTimer(true);
+                // Completing the task can make tasks that waited on it available
+                const unblocked = (result.unblocked || []).map(task => this.escapeHtml(task.title));
+                this.showNotification(
+                    (session.status === 'completed'
+                        ? `Session saved: ${session.duration} min focused, ${session.distractions} distraction(s)` +
+                          (unblocked.length > 0 ? `. Now available: ${unblocked.join(', ')}` : '')
+                        : 'Focus session abandoned') + this.escapeHtml(this.describeAutomations(result.automations)),
+                    session.status === 'completed' ? 'success' : 'info'
+                );
+                if (session.task_status === 'completed') {
+                    this.getNextTask();
+                } else {
+                    this.renderFocusTask(this.sessionToTask(session));
+                }
+                await this.loadGoals();
+                await this.loadProgressSummary();
+                this.updateLiveStats();
+                return;
+            }
+            
+            this.showFocusSession(session);
+        } catch (error) {
+            console.error(`Error on focus session ${action}:`, error);
+            this.showNotification('Focus session update failed. Please try again.', 'error');
+        }
+    }
+
+    async skipTask(taskId) {
+        try {
+            const response = await fetch(`${this.apiBase}/tasks/${taskId}/skip`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to skip task', 'error');
+                return;
+            }
+            
+            this.showNotification('Task skipped. Getting next task...', 'info');
+            this.loadSkippedTasksReport();
+            this.getNextTask();
+        } catch (error) {
+            console.error('Error skipping task:', error);
+            this.showNotification('Failed to skip task. Please try again.', 'error');
+        }
+    }
+
+    renderSnoozeMenu() {
+        return `
+            <div class="snooze-menu" id="snoozeMenu">
+                <div class="snooze-options">
+                    <button class="btn-secondary" data-snooze="1">1 hour</button>
+                    <button class="btn-secondary" data-snooze="3">3 hours</button>
+                    <button class="btn-secondary" data-snooze="tomorrow">Until tomorrow</button>
+                </div>
+                <div class="snooze-options">
+                    <input type="datetime-local" id="snoozeUntil">
+                    <button class="btn-secondary" data-snooze="date">Until then</button>
+                </div>
+                <input type="text" id="snoozeReason" placeholder="Why not now? (optional)">
+            </div>
+        `;
+    }
+
+    // options: { until: 'tomorrow' (with tz_offset) | ISO date } or { hours }, plus an optional reason
+    async snoozeTask(taskId, options) {
+        try {
+            const response = await fetch(`${this.apiBase}/tasks/${taskId}/snooze`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(options)
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || 'Failed to snooze task', 'error');
+                return;
+            }
+            
+            const until = new Date(result.snoozed_until).toLocaleString();
+            this.showNotification(`Snoozed until ${until}. Getting next task...`, 'info');
+            this.loadSkippedTasksReport();
+            this.getNextTask();
+        } catch (error) {
+            console.error('Error snoozing task:', error);
+            this.showNotification('Failed to snooze task. Please try again.', 'error');
+        }
+    }
+
+    // Insight card for tasks that keep getting skipped or snoozed
+    // Smart Insights worked out from focus sessions and completed tasks
+    async loadInsights() {
+        const container = document.getElementById('insightsContainer');
+        if (!container) return;
+        
+        try {
+            // Patterns are bucketed by the hour and weekday where the user is
+            const response = await fetch(`${this.apiBase}/insights?tz_offset=${new Date().getTimezoneOffset()}`);
+            if (!response.ok) return;
+            this.renderInsights(container, await response.json());
+        } catch (error) {
+            console.error('Error loading insights:', error);
+        }
+    }
+    
+    renderInsights(container, report) {
+        // The "Often Put Off" card is managed by loadSkippedTasksReport
+        container.querySelectorAll('.insight-card:not(#skippedTasksInsight)').forEach(card => card.remove());
+        
+        const tones = { warning: 'insight-warning', positive: 'insight-positive' };
+        const cards = report.insights.length > 0 ? report.insights.map(insight => `
+            <div class="insight-card ${tones[insight.tone] || ''}">
+                <i class="fas fa-${insight.icon}"></i>
+                <h4>${this.escapeHtml(insight.title)}</h4>
+                <p>${this.escapeHtml(insight.message)}</p>
+                <p class="insight-action">${this.escapeHtml(insight.action)}</p>
+            </div>
+        `) : [`
+            <div class="insight-card">
+                <i class="fas fa-seedling"></i>
+                <h4>Learning Your Patterns</h4>
+                <p>Insights appear once you have finished at least ${report.min_sample} focus sessions.</p>
+            </div>
+        `];
+        container.insertAdjacentHTML('beforeend', cards.join(''));
+    }
+
+    async loadSkippedTasksReport() {
+        const container = document.getElementById('insightsContainer');
+        if (!container) return;
+        
+        try {
+            const response = await fetch(`${this.apiBase}/focus/skipped-tasks`);
+            if (!response.ok) return;
+            const report = await response.json();
+            
+            document.getElementById('skippedTasksInsight')?.remove();
+            if (report.tasks.length === 0) return;
+            
+            const card = document.createElement('div');
+            card.className = 'insight-card insight-warning';
+            card.id = 'skippedTasksInsight';
+            card.innerHTML = `
+                <i class="fas fa-hourglass-half"></i>
+                <h4>Often Put Off</h4>
+                <ul class="skipped-tasks">
+                    ${report.tasks.slice(0, 3).map(task => `
+                        <li>
+                            <strong>${this.escapeHtml(task.title)}</strong>
+                            <span>${task.skips + task.snoozes} times in ${report.days} days. ${this.escapeHtml(task.suggestion_text)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+            container.prepend(card);
+        } catch (error) {
+            console.error('Error loading skipped tasks report:', error);
+        }
+    }
+
+    showGoalModal(goal = null) {
+        this.editingGoalId = goal ? goal.id : null;
+        
+        document.getElementById('goalModalTitle').innerHTML = goal
+            ? '<i class="fas fa-edit"></i> Edit Goal'
+            : '<i class="fas fa-bullseye"></i> Add New Goal';
+        document.getElementById('goalSubmitBtn').textContent = goal ? 'Save Changes' : 'Create Goal';
+        
+        if (goal) {
+            document.getElementById('goalTitle').value = goal.title || '';
+            document.getElementById('goalDescription').value = goal.description || '';
+            document.getElementById('goalCategory').value = goal.category || 'business';
+            document.getElementById('goalPriority').value = goal.priority || 'medium';
+            document.getElementById('goalTargetDate').value = goal.target_date ? goal.target_date.split('T')[0] : '';
+            document.getElementById('goalProgress').value = goal.progress || 0;
+            document.getElementById('goalProgressMode').value = goal.progress_mode || 'manual';
+        } else {
+            // Set default target date to 30 days from now
+            const defaultDate = new Date();
+            defaultDate.setDate(defaultDate.getDate() + 30);
+            document.getElementById('goalTargetDate').value = defaultDate.toISOString().split('T')[0];
+        }
+        this.toggleManualProgressField();
+        
+        document.getElementById('goalModal').classList.add('active');
+        document.getElementById('goalTitle').focus();
+    }
+
+    // Progress can only be typed in for goals that don't compute it from tasks
+    toggleManualProgressField() {
+        const isManual = document.getElementById('goalProgressMode').value === 'manual';
+        document.getElementById('goalProgressGroup').style.display = this.editingGoalId && isManual ? '' : 'none';
+    }
+
+    hideGoalModal() {
+        document.getElementById('goalModal').classList.remove('active');
+        document.getElementById('goalForm').reset();
+        this.editingGoalId = null;
+    }
+
+    async handleGoalSubmit(e) {
+        e.preventDefault();
+        
+        const goalData = {
+            title: document.getElementById('goalTitle').value.trim(),
+            description: document.getElementById('goalDescription').value.trim(),
+            category: document.getElementById('goalCategory').value,
+            priority: document.getElementById('goalPriority').value,
+            target_date: document.getElementById('goalTargetDate').value || null,
+            progress_mode: document.getElementById('goalProgressMode').value
+        };
+
+        if (!goalData.title) {
+            this.showNotification('Goal title is required', 'error');
+            return;
+        }
+
+        if (this.editingGoalId) {
+            if (goalData.progress_mode === 'manual') {
+                const progressValue = parseInt(document.getElementById('goalProgress').value);
+                if (isNaN(progressValue) || progressValue < 0 || progressValue > 100) {
+                    this.showNotification('Please enter a valid percentage between 0 and 100', 'error');
+                    return;
+                }
+                goalData.progress = progressValue;
+            }
+            await this.saveGoalChanges(this.editingGoalId, goalData);
+            return;
+        }
+
+        try {
+            const sent = await this.sendMutation({
+                method: 'POST',
+                path: 'goals',
+                body: goalData,
+                entity: 'goal',
+                tempId: NexusOutbox.tempId(),
+                label: `Create goal "${goalData.title}"`
+            });
+            if (sent.queued) {
+                this.hideGoalModal();
+                this.showQueuedChange('Goal');
+                return;
+            }
+            
+            const { response, result } = sent;
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to create goal', 'error');
+                return;
+            }
+            
+            this.showNotification('Goal created successfully!', 'success');
+            this.hideGoalModal();
+            await this.loadGoals();
+            await this.loadProgressSummary();
+            this.updateLiveStats();
+        } catch (error) {
+            console.error('Error creating goal:', error);
+            this.showNotification('Failed to create goal. Please try again.', 'error');
+        }
+    }
+
+    async saveGoalChanges(goalId, goalData) {
+        const goal = this.goals.find(g => g.id == goalId);
+        try {
+            const sent = await this.sendMutation({
+                method: 'PUT',
+                path: `goals/${goalId}`,
+                body: goalData,
+                expectedUpdatedAt: goal?.updated_at,
+                label: `Edit goal "${goalData.title}"`
+            });
+            if (sent.queued) {
+                this.hideGoalModal();
+                this.showQueuedChange('Goal changes');
+                return;
+            }
+            
+            const { response, result } = sent;
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to update goal', 'error');
+                return;
+            }
+            
+            const automated = this.describeAutomations(result.automations);
+            this.showNotification(`Goal updated successfully!${this.escapeHtml(automated)}`, 'success');
+            this.hideGoalModal();
+            
+            // Replace the goal in our local list with the saved version, or
+            // reload everything when automation rules changed more
+            const goalIndex = this.goals.findIndex(g => g.id == goalId);
+            if (automated) {
+                await this.loadGoals();
+            } else if (goalIndex !== -1) {
+                this.goals[goalIndex] = result.goal;
+            }
+            this.renderGoals();
+            await this.loadProgressSummary();
+        } catch (error) {
+            console.error('Error updating goal:', error);
+            this.showNotification('Failed to update goal. Please try again.', 'error');
+        }
+    }
+
+    showTaskModal(goalId = null) {
+        if (this.goals.length === 0) {
+            this.showNotification('Create a goal first - every task belongs to a goal', 'info');
+            this.showGoalModal();
+            return;
+        }
+        
+        const goalSelect = document.getElementById('taskGoal');
+        goalSelect.innerHTML = this.goals.map(goal => `
+            <option value="${goal.id}">${this.escapeHtml(goal.title)}</option>
+        `).join('');
+        if (goalId) goalSelect.value = goalId;
+        this.fillMilestoneSelect();
+        this.updateEstimateHint();
+        
+        document.getElementById('taskModal').classList.add('active');
+        document.getElementById('taskTitle').focus();
+    }
+
+    // Milestones offered in the task form are the open ones of the selected goal
+    fillMilestoneSelect() {
+        const goal = this.goals.find(g => g.id == document.getElementById('taskGoal').value);
+        const milestones = ((goal && goal.milestones) || []).filter(milestone => milestone.status !== 'completed');
+        document.getElementById('taskMilestone').innerHTML = '<option value="">No milestone</option>' +
+            milestones.map(milestone => `
+                <option value="${milestone.id}">${this.escapeHtml(milestone.title)}</option>
+            `).join('');
+        document.getElementById('taskMilestoneGroup').style.display = milestones.length > 0 ? '' : 'none';
+    }
+
+    // "You usually take 1.4× longer on learning tasks", from the user's past
+    // estimates for tasks like the one being created
+    async updateEstimateHint() {
+        const hint = document.getElementById('taskEstimateHint');
+        const goal = this.goals.find(g => g.id == document.getElementById('taskGoal').value);
+        const estimate = document.getElementById('taskEstimate').value;
+        const params = new URLSearchParams({ priority: document.getElementById('taskPriority').value });
+        if (goal && goal.category) params.set('category', goal.category);
+        if (estimate > 0) params.set('estimated_time', estimate);
+        
+        try {
+            const response = await fetch(`${this.apiBase}/estimates/calibration?${params}`);
+            const correction = response.ok ? (await response.json()).correction : null;
+            if (!correction || !correction.message) {
+                hint.style.display = 'none';
+                return;
+            }
+            const plan = correction.calibrated_estimate && correction.calibrated_estimate != estimate
+                ? ` Plan for about ${correction.calibrated_estimate} minutes.`
+                : '';
+            hint.innerHTML = `<i class="fas fa-balance-scale"></i> ${this.escapeHtml(correction.message)}.${plan}`;
+            hint.style.display = '';
+        } catch (error) {
+            console.error('Error loading estimate calibration:', error);
+            hint.style.display = 'none';
+        }
+    }
+
+    hideTaskModal() {
+        document.getElementById('taskModal').classList.remove('active');
+        document.getElementById('taskForm').reset();
+        this.toggleRepeatFields();
+    }
+
+    // Show the settings for the chosen repeat frequency; a repeating task's
+    // date is when it starts rather than when it is due
+    toggleRepeatFields() {
+        const frequency = document.getElementById('taskRepeat').value;
+        document.querySelectorAll('.repeat-option').forEach(group => {
+            group.style.display = group.dataset.repeat === frequency ? '' : 'none';
+        });
+        document.getElementById('taskDueDateLabel').textContent = frequency ? 'Starting' : 'Due Date';
+    }
+
+    // Recurrence rule fields for POST /api/recurrences, from the task form
+    readRepeatRule(frequency) {
+        const rule = { frequency };
+        if (frequency === 'weekly') {
+            rule.weekdays = [...document.querySelectorAll('input[name="taskWeekday"]:checked')]
+                .map(input => parseInt(input.value));
+        } else if (frequency === 'interval') {
+            rule.interval_days = parseInt(document.getElementById('taskIntervalDays').value);
+        } else if (frequency === 'monthly') {
+            rule.day_of_month = parseInt(document.getElementById('taskDayOfMonth').value);
+        } else if (frequency === 'times_per_week') {
+            rule.times_per_week = parseInt(document.getElementById('taskTimesPerWeek').value);
+        }
+        return rule;
+    }
+
+    async handleTaskSubmit(e) {
+        e.preventDefault();
+        
+        const estimate = document.getElementById('taskEstimate').value;
+        const milestone = document.getElementById('taskMilestone').value;
+        const taskData = {
+            goal_id: parseInt(document.getElementById('taskGoal').value),
+            milestone_id: milestone ? parseInt(milestone) : null,
+            title: document.getElementById('taskTitle').value.trim(),
+            description: document.getElementById('taskDescription').value.trim(),
+            priority: document.getElementById('taskPriority').value,
+            estimated_time: estimate ? parseInt(estimate) : null,
+            due_date: document.getElementById('taskDueDate').value || null
+        };
+
+        if (!taskData.title) {
+            this.showNotification('Task title is required', 'error');
+            return;
+        }
+
+        // Repeating tasks are created as a rule; the server makes each occurrence
+        const frequency = document.getElementById('taskRepeat').value;
+        let endpoint = 'tasks';
+        let body = taskData;
+        if (frequency) {
+            const { due_date, milestone_id, ...fields } = taskData;
+            endpoint = 'recurrences';
+            body = { ...fields, ...this.readRepeatRule(frequency), start_date: due_date };
+        }
+
+        try {
+            const sent = await this.sendMutation({
+                method: 'POST',
+                path: endpoint,
+                body,
+                label: `${frequency ? 'Create recurring task' : 'Create task'} "${taskData.title}"`
+            });
+            if (sent.queued) {
+                this.hideTaskModal();
+                this.showQueuedChange(frequency ? 'Recurring task' : 'Task');
+                return;
+            }
+            
+            const { response, result } = sent;
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to create task', 'error');
+                return;
+            }
+            
+            this.showNotification(frequency ? 'Recurring task created!' : 'Task created successfully!', 'success');
+            this.hideTaskModal();
+            await this.loadGoals();
+            await this.loadProgressSummary();
+            this.updateLiveStats();
+        } catch (error) {
+            console.error('Error creating task:', error);
+            this.showNotification('Failed to create task. Please try again.', 'error');
+        }
+    }
+
+    // Open the suggestion modal for a goal (the current focus task's goal by default)
+    async generateTasks(goalId = null) {
+        if (this.goals.length === 0) {
+            this.showNotification('Create a goal first - suggestions are made for a goal', 'info');
+            this.showGoalModal();
+            return;
+        }
+        
+        const goalSelect = document.getElementById('generateGoal');
+        goalSelect.innerHTML = this.goals.map(goal => `
+            <option value="${goal.id}">${this.escapeHtml(goal.title)}</option>
+        `).join('');
+        const preferred = goalId || (this.currentFocusTask && this.currentFocusTask.goal_id);
+        if (preferred && this.goals.some(goal => goal.id == preferred)) goalSelect.value = preferred;
+        
+        document.getElementById('generateModal').classList.add('active');
+        await this.loadTaskSuggestions();
+    }
+
+    hideGenerateModal() {
+        document.getElementById('generateModal').classList.remove('active');
+        document.getElementById('suggestionList').innerHTML = '';
+    }
+
+    async loadTaskSuggestions() {
+        const goalId = document.getElementById('generateGoal').value;
+        const container = document.getElementById('suggestionList');
+        container.innerHTML = '<p class="dependency-empty">Looking for next steps...</p>';
+        
+        try {
+            const response = await fetch(`${this.apiBase}/goals/${goalId}/generate-tasks`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({})
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                container.innerHTML = '';
+                this.showNotification(result.message || result.error || 'Failed to suggest tasks', 'error');
+                return;
+            }
+            this.renderTaskSuggestions(result.suggestions);
+        } catch (error) {
+            console.error('Error generating tasks:', error);
+            container.innerHTML = '';
+            this.showNotification('Failed to suggest tasks. Please try again.', 'error');
+        }
+    }
+
+    // Each suggestion can be edited or unticked before it is saved
+    renderTaskSuggestions(suggestions) {
+        const container = document.getElementById('suggestionList');
+        if (suggestions.length === 0) {
+            container.innerHTML = '<p class="dependency-empty">No new suggestions - this goal already covers the usual steps.</p>';
+            return;
+        }
+        
+        container.innerHTML = suggestions.map((suggestion, index) => `
+            <li class="suggestion-item">
+                <input type="checkbox" class="suggestion-accept" checked title="Add this task">
+                <div class="suggestion-fields">
+                    <input type="text" class="suggestion-title" value="${this.escapeHtml(suggestion.title)}" aria-label="Task title">
+                    <div class="suggestion-meta">
+                        <select class="suggestion-priority" aria-label="Priority">
+                            ${['high', 'medium', 'low'].map(priority => `
+                                <option value="${priority}" ${suggestion.priority === priority ? 'selected' : ''}>${priority}</option>
+                            `).join('')}
+                        </select>
+                        <input type="number" class="suggestion-estimate" min="0" step="5" value="${suggestion.estimated_time}" aria-label="Estimate (minutes)">
+                        <span>min</span>
+                        ${suggestion.reason ? `<small>${this.escapeHtml(suggestion.reason)}</small>` : ''}
+                    </div>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    async handleGenerateSubmit(e) {
+        e.preventDefault();
+        
+        const goalId = parseInt(document.getElementById('generateGoal').value);
+        const accepted = [...document.querySelectorAll('#suggestionList .suggestion-item')]
+            .filter(item => item.querySelector('.suggestion-accept').checked)
+            .map(item => {
+                const estimate = item.querySelector('.suggestion-estimate').value;
+                return {
+                    goal_id: goalId,
+                    title: item.querySelector('.suggestion-title').value.trim(),
+                    priority: item.querySelector('.suggestion-priority').value,
+                    estimated_time: estimate ? parseInt(estimate) : null
+                };
+            })
+            .filter(task => task.title);
+        
+        if (accepted.length === 0) {
+            this.showNotification('Tick at least one suggestion to add', 'info');
+            return;
+        }
+        
+        let created = 0;
+        try {
+            for (const task of accepted) {
+                const response = await fetch(`${this.apiBase}/tasks`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(task)
+                });
+                if (!response.ok) {
+                    const result = await response.json();
+                    this.showNotification(result.message || result.error || `Failed to add "${task.title}"`, 'error');
+                    break;
+                }
+                created++;
+            }
+        } catch (error) {
+            console.error('Error adding suggested tasks:', error);
+            this.showNotification('Failed to add tasks. Please try again.', 'error');
+        }
+        
+        if (created > 0) {
+            this.showNotification(`Added ${created} task${created === 1 ? '' : 's'}`, 'success');
+            this.hideGenerateModal();
+            await this.loadGoals();
+            await this.loadProgressSummary();
+            this.updateLiveStats();
+        }
+    }
+
+    async reviewProgress() {
+        try {
+            await Promise.all([this.loadProgressSummary(), this.loadInsights()]);
+            this.showNotification('Progress review loaded. Check your stats!', 'success');
+        } catch (error) {
+            console.error('Error reviewing progress:', error);
+            this.showNotification('Failed to load progress review.', 'error');
+        }
+    }
+
+    showAutomationOptions() {
+        const goalOptions = this.goals.map(goal => `<option value="${goal.id}">${this.escapeHtml(goal.title)}</option>`).join('');
+        document.getElementById('automationTriggerGoal').innerHTML = `<option value="">Any goal</option>${goalOptions}`;
+        document.getElementById('automationActionGoal').innerHTML = `<option value="">The goal involved</option>${goalOptions}`;
+        document.getElementById('automationResults').innerHTML = '';
+        this.resetAutomationForm();
+        this.loadAutomations();
+        document.getElementById('automationModal').classList.add('active');
+    }
+
+    hideAutomationModal() {
+        document.getElementById('automationModal').classList.remove('active');
+        this.resetAutomationForm();
+    }
+
+    resetAutomationForm() {
+        this.editingAutomationId = null;
+        document.getElementById('automationForm').reset();
+        document.getElementById('automationFormTitle').textContent = 'New Rule';
+        document.getElementById('automationSubmitBtn').textContent = 'Add Rule';
+        document.getElementById('cancelAutomationEditBtn').style.display = 'none';
+        this.toggleAutomationFields();
+    }
+
+    // Only the settings of the chosen trigger and action are shown. Snoozing
+    // needs an open task, so it is not offered for completions and goal progress.
+    toggleAutomationFields() {
+        const trigger = document.getElementById('automationTrigger').value;
+        const actionSelect = document.getElementById('automationAction');
+        const canSnooze = trigger === 'task_overdue' || trigger === 'focus_session_ended';
+        actionSelect.querySelector('option[value="snooze_task"]').disabled = !canSnooze;
+        if (!canSnooze && actionSelect.value === 'snooze_task') actionSelect.value = 'create_task';
+        
+        const form = document.getElementById('automationForm');
+        form.querySelectorAll('[data-trigger]').forEach(group => {
+            group.style.display = group.dataset.trigger === trigger ? '' : 'none';
+        });
+        form.querySelectorAll('[data-action]').forEach(group => {
+            group.style.display = group.dataset.action.split(' ').includes(actionSelect.value) ? '' : 'none';
+        });
+    }
+
+    async loadAutomations() {
+        try {
+            const response = await fetch(`${this.apiBase}/automations`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.automationRules = await response.json();
+            this.renderAutomationList();
+        } catch (error) {
+            console.error('Error loading automation rules:', error);
+            this.showNotification('Failed to load automation rules', 'error');
+        }
+    }
+
+    renderAutomationList() {
+        const container = document.getElementById('automationList');
+        if (this.automationRules.length === 0) {
+            container.innerHTML = '<p class="dependency-empty">No rules yet. Pick a trigger and an action below to add the first one.</p>';
+            return;
+        }
+        
+        container.innerHTML = this.automationRules.map(rule => `
+            <li class="automation-item ${rule.enabled ? '' : 'automation-disabled'}" data-rule-id="${rule.id}">
+                <input type="checkbox" class="automation-enabled" title="Enabled" ${rule.enabled ? 'checked' : ''}>
+                <span class="automation-item-title">
+                    ${this.escapeHtml(rule.name)}
+                    <small>${this.escapeHtml(rule.description)}</small>
+                    <small>${rule.run_count > 0
+                        ? `Ran ${rule.run_count} time(s), last ${new Date(rule.last_run_at.replace(' ', 'T') + 'Z').toLocaleString()}`
+                        : 'Has not run yet'}</small>
+                </span>
+                <button class="btn-action btn-unlink automation-test" title="Test against current data"><i class="fas fa-vial"></i></button>
+                <button class="btn-action btn-unlink automation-runs" title="Run log"><i class="fas fa-history"></i></button>
+                <button class="btn-action btn-unlink automation-edit" title="Edit rule"><i class="fas fa-edit"></i></button>
+                <button class="btn-action btn-unlink automation-remove" title="Delete rule"><i class="fas fa-times"></i></button>
+            </li>
+        `).join('');
+        
+        container.querySelectorAll('.automation-item').forEach(item => {
+            const rule = this.automationRules.find(r => r.id === parseInt(item.dataset.ruleId));
+            item.querySelector('.automation-enabled').addEventListener('change', (e) => {
+                this.saveAutomation(`automations/${rule.id}`, 'PUT', { enabled: e.target.checked });
+            });
+            item.querySelector('.automation-test').addEventListener('click', () => this.testAutomation(rule));
+            item.querySelector('.automation-runs').addEventListener('click', () => this.showAutomationRuns(rule));
+            item.querySelector('.automation-edit').addEventListener('click', () => this.editAutomation(rule));
+            item.querySelector('.automation-remove').addEventListener('click', () => {
+                if (confirm(`Delete the rule "${rule.name}" and its run log?`)) {
+                    this.saveAutomation(`automations/${rule.id}`, 'DELETE');
+                }
+            });
+        });
+    }
+
+    editAutomation(rule) {
+        this.resetAutomationForm();
+        this.editingAutomationId = rule.id;
+        const { trigger, action } = rule;
+        const set = (id, value) => {
+            document.getElementById(id).value = value != null ? value : '';
+        };
+        
+        set('automationName', rule.name);
+        set('automationTrigger', trigger.type);
+        set('automationTriggerGoal', trigger.goal_id);
+        set('automationTriggerPriority', trigger.priority);
+        if (trigger.threshold != null) set('automationThreshold', trigger.threshold);
+        if (trigger.days != null) set('automationOverdueDays', trigger.days);
+        set('automationOutcome', trigger.outcome || 'any');
+        set('automationMinMinutes', trigger.min_minutes);
+        this.toggleAutomationFields();
+        set('automationAction', action.type);
+        set('automationActionGoal', action.goal_id);
+        if (action.hours != null) set('automationSnoozeHours', action.hours);
+        set('automationTaskTitle', action.title);
+        set('automationTaskPriority', action.priority || 'medium');
+        set('automationTaskDueDays', action.due_in_days);
+        this.toggleAutomationFields();
+        
+        document.getElementById('automationFormTitle').textContent = `Edit "${rule.name}"`;
+        document.getElementById('automationSubmitBtn').textContent = 'Save Changes';
+        document.getElementById('cancelAutomationEditBtn').style.display = '';
+        document.getElementById('automationName').focus();
+    }
+
+    // The rule as the API expects it; empty number fields are left out
+    readAutomationForm() {
+        const value = id => document.getElementById(id).value.trim();
+        const number = id => (value(id) === '' ? null : parseInt(value(id)));
+        const trigger = { type: value('automationTrigger'), goal_id: number('automationTriggerGoal') };
+        const action = { type: value('automationAction') };
+        
+        if (trigger.type === 'task_completed') trigger.priority = value('automationTriggerPriority') || null;
+        if (trigger.type === 'goal_progress') trigger.threshold = number('automationThreshold');
+        if (trigger.type === 'task_overdue') trigger.days = number('automationOverdueDays');
+        if (trigger.type === 'focus_session_ended') {
+            trigger.outcome = value('automationOutcome');
+            trigger.min_minutes = number('automationMinMinutes');
+        }
+        if (action.type === 'create_task' || action.type === 'complete_goal') action.goal_id = number('automationActionGoal');
+        if (action.type === 'create_task') {
+            action.title = value('automationTaskTitle');
+            action.priority = value('automationTaskPriority');
+            action.due_in_days = number('automationTaskDueDays');
+        }
+        if (action.type === 'snooze_task') action.hours = number('automationSnoozeHours');
+        
+        return { name: value('automationName'), trigger, action };
+    }
+
+    async handleAutomationSubmit(e) {
+        e.preventDefault();
+        
+        const saved = this.editingAutomationId
+            ? await this.saveAutomation(`automations/${this.editingAutomationId}`, 'PUT', this.readAutomationForm())
+            : await this.saveAutomation('automations', 'POST', this.readAutomationForm());
+        if (saved) this.resetAutomationForm();
+    }
+
+    // Send one rule change, then refresh the list. A new overdue rule acts on
+    // tasks that are already overdue, so goals and tasks are reloaded too.
+    async saveAutomation(path, method, body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}/${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to save the rule', 'error');
+                return false;
+            }
+            
+            this.showNotification(result.message, 'success');
+            await this.loadAutomations();
+            if (result.rule && result.rule.run_count > 0) await this.loadGoals();
+            return true;
+        } catch (error) {
+            console.error('Error saving automation rule:', error);
+            this.showNotification('Failed to save the rule. Please try again.', 'error');
+            return false;
+        }
+    }
+
+    // Dry run of a saved rule, or of the form when no rule is given
+    async testAutomation(rule = null) {
+        const url = rule ? `${this.apiBase}/automations/${rule.id}/test` : `${this.apiBase}/automations/test`;
+        
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: rule ? undefined : JSON.stringify(this.readAutomationForm())
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Could not test the rule', 'error');
+                return;
+            }
+            
+            const more = result.matched > result.matches.length ? `<small>…and ${result.matched - result.matches.length} more</small>` : '';
+            this.renderAutomationResults(`Test: ${result.description}`, result.message, result.matches.map(match => ({
+                status: match.status === 'would_run' ? 'success' : 'skipped',
+                text: `${match.subject}: ${match.message}`
+            })), more);
+        } catch (error) {
+            console.error('Error testing automation rule:', error);
+            this.showNotification('Could not test the rule. Please try again.', 'error');
+        }
+    }
+
+    async showAutomationRuns(rule) {
+        try {
+            const response = await fetch(`${this.apiBase}/automations/${rule.id}/runs`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const runs = await response.json();
+            
+            this.renderAutomationResults(
+                `Run log: ${rule.name}`,
+                runs.length === 0 ? 'This rule has not fired yet.' : `Last ${runs.length} run(s), newest first.`,
+                runs.map(run => ({
+                    status: run.status,
+                    text: `${new Date(run.created_at.replace(' ', 'T') + 'Z').toLocaleString()} - ${run.message}`
+                }))
+            );
+        } catch (error) {
+            console.error('Error loading automation runs:', error);
+            this.showNotification('Failed to load the run log', 'error');
+        }
+    }
+
+    renderAutomationResults(title, summary, lines, footer = '') {
+        const icons = { success: 'check-circle', skipped: 'minus-circle', error: 'exclamation-circle' };
+        document.getElementById('automationResults').innerHTML = `
+            <strong>${this.escapeHtml(title)}</strong>
+            <small>${this.escapeHtml(summary)}</small>
+            <ul>
+                ${lines.map(line => `
+                    <li class="automation-run-${line.status}">
+                        <i class="fas fa-${icons[line.status]}"></i> ${this.escapeHtml(line.text)}
+                    </li>
+                `).join('')}
+            </ul>
+            ${footer}
+        `;
+    }
+
+    // Appended to a notification when automation rules acted on a change
+    describeAutomations(automations = []) {
+        const done = automations.filter(run => run.status === 'success').map(run => run.message);
+        return done.length > 0 ? ` Automations: ${done.join('; ')}.` : '';
+    }
+
+    async showWebhookModal() {
+        document.getElementById('webhookSecret').innerHTML = '';
+        document.getElementById('webhookResults').innerHTML = '';
+        document.getElementById('webhookForm').reset();
+        document.getElementById('webhookModal').classList.add('active');
+        
+        try {
+            const response = await fetch(`${this.apiBase}/webhooks/events`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const { events } = await response.json();
+            document.getElementById('webhookEvents').innerHTML = events.map(event => `
+                <label><input type="checkbox" value="${event}"> ${event}</label>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading webhook events:', error);
+        }
+        this.loadWebhooks();
+    }
+
+    hideWebhookModal() {
+        document.getElementById('webhookModal').classList.remove('active');
+        // The secret is only shown once
+        document.getElementById('webhookSecret').innerHTML = '';
+    }
+
+    async loadWebhooks() {
+        try {
+            const response = await fetch(`${this.apiBase}/webhooks`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.webhooks = await response.json();
+            this.renderWebhookList();
+        } catch (error) {
+            console.error('Error loading webhooks:', error);
+            this.showNotification('Failed to load webhooks', 'error');
+        }
+    }
+
+    renderWebhookList() {
+        const container = document.getElementById('webhookList');
+        if (this.webhooks.length === 0) {
+            container.innerHTML = '<p class="dependency-empty">No webhooks yet. Add a URL below to have events sent to it.</p>';
+            return;
+        }
+        
+        container.innerHTML = this.webhooks.map(webhook => `
+            <li class="automation-item ${webhook.enabled ? '' : 'automation-disabled'}" data-webhook-id="${webhook.id}">
+                <input type="checkbox" class="webhook-enabled" title="Enabled" ${webhook.enabled ? 'checked' : ''}>
+                <span class="automation-item-title">
+                    ${this.escapeHtml(webhook.url)}
+                    <small>${this.escapeHtml(webhook.description ? `${webhook.description} - ` : '')}${this.escapeHtml(webhook.events.join(', '))}</small>
+                    <small>Secret ${this.escapeHtml(webhook.secret_hint)}${webhook.pending_deliveries > 0 ? ` · ${webhook.pending_deliveries} waiting to retry` : ''}${webhook.failed_deliveries > 0 ? ` · ${webhook.failed_deliveries} failed` : ''}</small>
+                </span>
+                <button class="btn-action btn-unlink webhook-ping" title="Send a test event"><i class="fas fa-paper-plane"></i></button>
+                <button class="btn-action btn-unlink webhook-deliveries" title="Delivery history"><i class="fas fa-history"></i></button>
+                <button class="btn-action btn-unlink webhook-rotate" title="New secret"><i class="fas fa-key"></i></button>
+                <button class="btn-action btn-unlink webhook-remove" title="Delete webhook"><i class="fas fa-times"></i></button>
+            </li>
+        `).join('');
+        
+        container.querySelectorAll('.automation-item').forEach(item => {
+            const webhook = this.webhooks.find(w => w.id === parseInt(item.dataset.webhookId));
+            item.querySelector('.webhook-enabled').addEventListener('change', (e) => {
+                this.saveWebhook(`webhooks/${webhook.id}`, 'PUT', { enabled: e.target.checked });
+            });
+            item.querySelector('.webhook-ping').addEventListener('click', () => this.sendWebhookDelivery(webhook, `webhooks/${webhook.id}/ping`));
+            item.querySelector('.webhook-deliveries').addEventListener('click', () => this.showWebhookDeliveries(webhook));
+            item.querySelector('.webhook-rotate').addEventListener('click', () => {
+                if (confirm('Generate a new secret? The receiver must be updated to check signatures with it.')) {
+                    this.saveWebhook(`webhooks/${webhook.id}`, 'PUT', { rotate_secret: true });
+                }
+            });
+            item.querySelector('.webhook-remove').addEventListener('click', () => {
+                if (confirm(`Delete the webhook for ${webhook.url} and its delivery history?`)) {
+                    this.saveWebhook(`webhooks/${webhook.id}`, 'DELETE');
+                }
+            });
+        });
+    }
+
+    async handleWebhookSubmit(e) {
+        e.preventDefault();
+        
+        const events = [...document.querySelectorAll('#webhookEvents input:checked')].map(input => input.value);
+        if (events.length === 0) {
+            this.showNotification('Pick at least one event', 'error');
+            return;
+        }
+        const saved = await this.saveWebhook('webhooks', 'POST', {
+            url: document.getElementById('webhookUrl').value.trim(),
+            description: document.getElementById('webhookDescription').value.trim(),
+            secret: document.getElementById('webhookSecretInput').value.trim(),
+            events
+        });
+        if (saved) document.getElementById('webhookForm').reset();
+    }
+
+    // Send one webhook change, then refresh the list. Creating a webhook or
+    // rotating its secret returns the secret, which is shown until the modal closes.
+    async saveWebhook(path, method, body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}/${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to save the webhook', 'error');
+                return false;
+            }
+            
+            if (result.secret) {
+                document.getElementById('webhookSecret').innerHTML = `
+                    <strong>Signing secret for ${this.escapeHtml(result.webhook.url)}</strong>
+                    <small>Copy it now - it will not be shown again.</small>
+                    <input type="text" readonly value="${this.escapeHtml(result.secret)}">
+                `;
+            }
+            this.showNotification(result.message, 'success');
+            await this.loadWebhooks();
+            return true;
+        } catch (error) {
+            console.error('Error saving webhook:', error);
+            this.showNotification('Failed to save the webhook. Please try again.', 'error');
+            return false;
+        }
+    }
+
+    // Pings and replays are sent straight away and answer with the delivery
+    async sendWebhookDelivery(webhook, path) {
+        try {
+            const response = await fetch(`${this.apiBase}/${path}`, { method: 'POST' });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Could not send the delivery', 'error');
+                return;
+            }
+            this.showNotification(result.message, result.delivery.status === 'delivered' ? 'success' : 'error');
+            await this.showWebhookDeliveries(webhook);
+            await this.loadWebhooks();
+        } catch (error) {
+            console.error('Error sending webhook delivery:', error);
+            this.showNotification('Could not send the delivery. Please try again.', 'error');
+        }
+    }
+
+    async showWebhookDeliveries(webhook) {
+        try {
+            const response = await fetch(`${this.apiBase}/webhooks/${webhook.id}/deliveries`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const deliveries = await response.json();
+            
+            const icons = { delivered: 'check-circle', pending: 'clock', failed: 'exclamation-circle' };
+            const classes = { delivered: 'success', pending: 'skipped', failed: 'error' };
+            const container = document.getElementById('webhookResults');
+            container.innerHTML = `
+                <strong>Deliveries: ${this.escapeHtml(webhook.url)}</strong>
+                <small>${deliveries.length === 0 ? 'Nothing has been sent yet.' : `Last ${deliveries.length} deliveries, newest first.`}</small>
+                <ul>
+                    ${deliveries.map(delivery => {
+                        const detail = delivery.status === 'delivered'
+                            ? `HTTP ${delivery.response_status}`
+                            : `${delivery.last_error || 'Not sent yet'} (attempt ${delivery.attempts})${delivery.next_attempt_at ? `, retrying ${new Date(delivery.next_attempt_at).toLocaleString()}` : ''}`;
+                        return `
+                            <li class="automation-run-${classes[delivery.status]}" data-delivery-id="${delivery.id}">
+                                <i class="fas fa-${icons[delivery.status]}"></i>
+                                ${new Date(delivery.created_at).toLocaleString()} - ${this.escapeHtml(delivery.event)}${delivery.replay_of ? ` (replay of #${delivery.replay_of})` : ''}: ${this.escapeHtml(detail)}
+                                <button class="btn-action btn-unlink webhook-replay" title="Send again"><i class="fas fa-redo"></i></button>
+                            </li>
+                        `;
+                    }).join('')}
+                </ul>
+            `;
+            container.querySelectorAll('.webhook-replay').forEach(button => {
+                const deliveryId = button.closest('li').dataset.deliveryId;
+                button.addEventListener('click', () => {
+                    this.sendWebhookDelivery(webhook, `webhooks/${webhook.id}/deliveries/${deliveryId}/replay`);
+                });
+            });
+        } catch (error) {
+            console.error('Error loading webhook deliveries:', error);
+            this.showNotification('Failed to load the delivery history', 'error');
+        }
+    }
+
+    // Changes from other tabs (or other people on the same account) arrive
+    // over /api/events and are applied in place. EventSource reconnects by
+    // itself with Last-Event-ID, so missed events are replayed. Where the
+    // stream is not available (e.g. the read-only viewer), stats are polled.
+    connectLiveEvents() {
+        if (!window.EventSource) {
+            this.startLiveStatsPolling();
+            return;
+        }
+        
+        this.liveEvents = new EventSource(`${this.apiBase}/events`);
+        const types = [
+            'goal.created', 'goal.updated', 'goal.deleted',
+            'task.created', 'task.updated', 'task.completed', 'task.deleted',
+            'focus_session.started', 'focus_session.updated', 'focus_session.ended',
+            'resync', 'signed_out'
+        ];
+        types.forEach(type => {
+            this.liveEvents.addEventListener(type, (e) => this.handleLiveEvent(type, JSON.parse(e.data)));
+        });
+        this.liveEvents.addEventListener('error', () => {
+            // CLOSED means the server refused the stream; otherwise it is reconnecting
+            if (this.liveEvents.readyState === EventSource.CLOSED) {
+                this.liveEvents = null;
+                this.startLiveStatsPolling();
+            }
+        });
+    }
+
+    startLiveStatsPolling() {
+        if (!this.liveStatsTimer) {
+            this.liveStatsTimer = setInterval(() => this.updateLiveStats(), 30000); // Every 30 seconds
+        }
+    }
+
+    handleLiveEvent(type, data) {
+        if (type === 'signed_out') {
+            window.location.href = '/';
+            return;
+        }
+        if (type === 'resync') {
+            this.loadInitialData();
+            this.restoreFocusSession();
+            this.updateLiveStats();
+            return;
+        }
+        
+        if (type === 'goal.deleted') {
+            this.goals = this.goals.filter(goal => goal.id !== data.goal.id);
+            this.adjustTaskCount(-(data.deleted?.tasks || 0));
+            this.renderGoals();
+        } else if (data.goal) {
+            // Goals come in the same shape as GET /api/goals; task events carry their goal
+            const index = this.goals.findIndex(goal => goal.id === data.goal.id);
+            if (index >= 0) {
+                this.goals[index] = data.goal;
+            } else {
+                this.goals.unshift(data.goal);
+            }
+            // Edits still in the outbox stay on top
+            this.goals = this.withPendingChanges(this.goals);
+            this.renderGoals();
+        }
+        document.getElementById('goalCount').textContent = this.goals.length;
+        
+        if (type === 'task.created') this.adjustTaskCount(1);
+        if (type === 'task.deleted') this.adjustTaskCount(-1);
+        if (data.task) this.applyLiveTask(type, data.task);
+        if (data.session) this.applyLiveFocusSession(type, data.session, data.replayed);
+    }
+
+    adjustTaskCount(delta) {
+        const element = document.getElementById('taskCount');
+        element.textContent = Math.max(0, (parseInt(element.textContent) || 0) + delta);
+    }
+
+    // Keep the focus panel's task current, and move on when it is gone or done
+    applyLiveTask(type, task) {
+        if (this.focusSession || !this.currentFocusTask || this.currentFocusTask.id !== task.id) return;
+        if (type === 'task.deleted' || task.status === 'completed') {
+            this.getNextTask();
+        } else {
+            this.currentFocusTask = { ...this.currentFocusTask, ...task };
+            this.renderFocusTask(this.currentFocusTask);
+        }
+    }
+
+    // A session started, paused or ended elsewhere shows up here too
+    applyLiveFocusSession(type, session, replayed = false) {
+        if (this.focusSession && this.focusSession.id !== session.id) return;
+        
+        if (type === 'focus_session.ended') {
+            if (!this.focusSession) return;
+            this.focusSession = null;
+            this.stopFocusTimer(true);
+            if (session.task_status === 'completed') {
+                this.getNextTask();
+            } else {
+                this.renderFocusTask(this.sessionToTask(session));
+            }
+            return;
+        }
+        
+        // A replayed session's remaining time is stale, so ask for the current one
+        if (replayed) {
+            this.restoreFocusSession();
+        } else {
+            this.showFocusSession(session);
+        }
+    }
+
+    async updateLiveStats() {
+        try {
+            const [goalsResponse, tasksResponse] = await Promise.all([
+                fetch(`${this.apiBase}/goals`),
+                fetch(`${this.apiBase}/tasks`)
+            ]);
+            
+            if (!goalsResponse.ok || !tasksResponse.ok) return;
+            const goals = await goalsResponse.json();
+            const tasks = await tasksResponse.json();
+            
+            document.getElementById('taskCount').textContent = tasks.length;
+            document.getElementById('goalCount').textContent = goals.length;
+            
+        } catch (error) {
+            console.error('Error updating live stats:', error);
+        }
+    }
+
+    // Goal and task changes go through the offline outbox (outbox.js) when
+    // the server cannot be reached, and are replayed in order once it can.
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('/sw.js').catch((error) => {
+            console.error('Service worker registration failed:', error);
+        });
+    }
+
+    initializeOutbox() {
+        window.addEventListener('online', () => this.syncOutbox());
+        window.addEventListener('offline', () => this.updateSyncStatus());
+        this.syncOutbox();
+    }
+
+    // Send a goal or task change. Resolves with { response, result } once the
+    // server has answered, or { queued: true } when the change was kept in the
+    // outbox instead: while offline, and while older changes are still waiting
+    // so the server sees them in the order they were made.
+    async sendMutation({ method, path, body = null, expectedUpdatedAt = null, entity = null, tempId = null, label }) {
+        const entry = { method, path, body, expected_updated_at: expectedUpdatedAt || null, entity, temp_id: tempId, label };
+        if (!navigator.onLine || await NexusOutbox.count() > 0) {
+            return this.queueMutation(entry);
+        }
+        
+        const headers = { 'Content-Type': 'application/json' };
+        if (entry.expected_updated_at) headers['X-Expected-Updated-At'] = entry.expected_updated_at;
+        let response;
+        try {
+            response = await fetch(`${this.apiBase}/${path}`, {
+                method,
+                headers,
+                body: body ? JSON.stringify(body) : undefined
+            });
+        } catch (error) {
+            // Only a network failure is a TypeError; auth.js rejects 401s and 403s with an Error
+            if (!(error instanceof TypeError)) throw error;
+            return this.queueMutation(entry);
+        }
+        if (NexusOutbox.isOffline(response)) {
+            return this.queueMutation(entry);
+        }
+        
+        this.serverUnreachable = false;
+        const result = await response.json().catch(() => ({}));
+        return { response, result };
+    }
+
+    async queueMutation(entry) {
+        await NexusOutbox.add(entry);
+        this.serverUnreachable = navigator.onLine;
+        await this.updateSyncStatus();
+        return { queued: true };
+    }
+
+    // A change went into the outbox: show it as made
+    showQueuedChange(message) {
+        this.showNotification(`${message} saved on this device - it will sync when the connection is back`, 'info');
+        this.goals = this.withPendingChanges(this.goals);
+        this.renderGoals();
+        document.getElementById('goalCount').textContent = this.goals.length;
+    }
+
+    // Goals as they will be once the outbox is sent: goals created offline
+    // are listed (marked pending), edits are applied and deletes are hidden.
+    // Safe to apply to a list that already has the changes.
+    withPendingChanges(goals) {
+        let result = [...goals];
+        this.pendingChanges.forEach((entry) => {
+            const [collection, id] = entry.path.split('/');
+            if (collection === 'tasks' && entry.method === 'POST') {
+                result = result.map(goal => (goal.id === entry.body.goal_id ? { ...goal, pending: true } : goal));
+            }
+            if (collection !== 'goals') return;
+            
+            if (entry.method === 'POST' && !id) {
+                if (!result.some(goal => goal.id === entry.temp_id)) {
+                    result.unshift({ ...entry.body, id: entry.temp_id, progress: 0, tasks_total: 0, tasks_completed: 0, pending: true });
+                }
+            } else if (entry.method === 'PUT') {
+                result = result.map(goal => (goal.id === Number(id) ? { ...goal, ...entry.body, pending: true } : goal));
+            } else if (entry.method === 'DELETE') {
+                result = result.filter(goal => goal.id !== Number(id));
+            }
+        });
+        return result;
+    }
+
+    // Send what is waiting in the outbox, then reload so the page shows what
+    // the server ended up with
+    async syncOutbox() {
+        if (await NexusOutbox.count() === 0 || !navigator.onLine) {
+            await this.updateSyncStatus();
+            return;
+        }
+        
+        this.syncing = true;
+        await this.updateSyncStatus();
+        let summary;
+        try {
+            summary = await NexusOutbox.replay();
+        } catch (error) {
+            console.error('Error syncing offline changes:', error);
+            summary = { sent: 0, offline: false, blocked: null };
+        } finally {
+            this.syncing = false;
+        }
+        this.serverUnreachable = summary.offline;
+        await this.updateSyncStatus();
+        
+        if (summary.sent > 0) {
+            this.showNotification(`${summary.sent} offline change${summary.sent === 1 ? '' : 's'} synced`, 'success');
+            await this.loadInitialData();
+            this.updateLiveStats();
+        }
+        if (summary.blocked) {
+            this.showNotification(`"${summary.blocked.label}" could not be synced: ${summary.blocked.error}. Open the pending changes to sort it out.`, 'error');
+        }
+    }
+
+    // The "offline / N pending changes" button in the header
+    async updateSyncStatus() {
+        this.pendingChanges = await NexusOutbox.all();
+        const count = this.pendingChanges.length;
+        const blocked = this.pendingChanges.filter(entry => entry.status !== 'pending').length;
+        const changes = `${count} pending change${count === 1 ? '' : 's'}`;
+        const offline = !navigator.onLine || this.serverUnreachable;
+        
+        let state = null;
+        let label = '';
+        if (blocked > 0) {
+            state = 'attention';
+            label = `${blocked} change${blocked === 1 ? ' needs' : 's need'} attention`;
+        } else if (this.syncing) {
+            state = 'syncing';
+            label = `Syncing ${changes}…`;
+        } else if (offline) {
+            state = 'offline';
+            label = count > 0 ? `Offline · ${changes}` : 'Offline';
+        } else if (count > 0) {
+            state = 'pending';
+            label = changes;
+        }
+        
+        const button = document.getElementById('syncStatus');
+        button.style.display = state ? '' : 'none';
+        button.className = `sync-status sync-${state}`;
+        button.querySelector('i').className = `fas ${state === 'attention' ? 'fa-exclamation-triangle' : state === 'syncing' ? 'fa-sync-alt fa-spin' : 'fa-cloud'}`;
+        document.getElementById('syncStatusText').textContent = label;
+        
+        // Keep retrying while changes wait and none of them is stuck
+        if (count > 0 && blocked === 0 && !this.syncTimer) {
+            this.syncTimer = setInterval(() => this.syncOutbox(), 30000);
+        } else if ((count === 0 || blocked > 0) && this.syncTimer) {
+            clearInterval(this.syncTimer);
+            this.syncTimer = null;
+        }
+        if (document.getElementById('outboxModal').classList.contains('active')) {
+            this.renderOutboxList();
+        }
+    }
+
+    showOutboxModal() {
+        this.renderOutboxList();
+        document.getElementById('outboxModal').classList.add('active');
+    }
+
+    hideOutboxModal() {
+        document.getElementById('outboxModal').classList.remove('active');
+    }
+
+    renderOutboxList() {
+        const entries = this.pendingChanges;
+        document.getElementById('outboxSummary').textContent = entries.length === 0
+            ? 'Everything has been synced.'
+            : 'Changes are sent in this order. A change that needs attention holds back the ones after it.';
+        
+        const statusText = {
+            pending: 'Waiting to be sent',
+            conflict: 'Changed on the server since you made this edit',
+            error: 'Refused by the server'
+        };
+        document.getElementById('outboxList').innerHTML = entries.map(entry => `
+            <li class="automation-item outbox-item outbox-${entry.status}" data-outbox-id="${entry.id}">
+                <i class="fas ${entry.status === 'pending' ? 'fa-clock' : 'fa-exclamation-triangle'}"></i>
+                <span class="automation-item-title">
+                    ${this.escapeHtml(entry.label)}
+                    <small>${statusText[entry.status]}${entry.error && entry.status !== 'conflict' ? `: ${this.escapeHtml(entry.error)}` : ''} · ${new Date(entry.created_at).toLocaleString()}</small>
+                    ${entry.current ? `<small>Server now has "${this.escapeHtml(entry.current.title)}", changed ${this.escapeHtml(entry.current.updated_at)}</small>` : ''}
+                </span>
+                ${entry.status === 'conflict' ? '<button class="btn-action btn-unlink outbox-keep" title="Send my change anyway">Keep Mine</button>' : ''}
+                ${entry.status === 'error' ? '<button class="btn-action btn-unlink outbox-retry" title="Try sending it again">Retry</button>' : ''}
+                <button class="btn-action btn-unlink outbox-discard" title="Drop this change"><i class="fas fa-times"></i></button>
+            </li>
+        `).join('');
+        
+        document.querySelectorAll('#outboxList .outbox-item').forEach(item => {
+            const entry = entries.find(e => e.id === parseInt(item.dataset.outboxId));
+            // Keeping mine sends it against the server's current version, so a
+            // further change there is still caught
+            item.querySelector('.outbox-keep')?.addEventListener('click', () => this.resolveOutboxEntry({
+                ...entry, status: 'pending', error: null, current: null, expected_updated_at: entry.current.updated_at
+            }));
+            item.querySelector('.outbox-retry')?.addEventListener('click', () => this.resolveOutboxEntry({
+                ...entry, status: 'pending', error: null, current: null
+            }));
+            item.querySelector('.outbox-discard').addEventListener('click', async () => {
+                if (!confirm(`Discard "${entry.label}"? It will not be sent.`)) return;
+                await NexusOutbox.remove(entry.id);
+                await this.updateSyncStatus();
+                await this.loadGoals();
+                this.syncOutbox();
+            });
+        });
+    }
+
+    async resolveOutboxEntry(entry) {
+        await NexusOutbox.put(entry);
+        await this.syncOutbox();
+    }
+
+    showDataModal() {
+        document.getElementById('importGoal').innerHTML = this.goals.map(goal => `
+            <option value="${goal.id}">${this.escapeHtml(goal.title)}</option>
+        `).join('');
+        this.resetImportPreview();
+        this.calendarFeedPath = null;
+        this.loadCalendarFeed();
+        document.getElementById('dataModal').classList.add('active');
+    }
+
+    hideDataModal() {
+        document.getElementById('dataModal').classList.remove('active');
+        document.getElementById('importForm').reset();
+        this.resetImportPreview();
+        this.calendarFeedPath = null;
+    }
+
+    // The feed link holds a secret token that the server only hands out when
+    // it is created, so an existing link can be replaced but not shown again
+    async loadCalendarFeed() {
+        try {
+            const response = await fetch(`${this.apiBase}/calendar/feed`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.renderCalendarFeed(await response.json());
+        } catch (error) {
+            console.error('Error loading calendar feed:', error);
+            this.renderCalendarFeed({ enabled: false });
+        }
+    }
+
+    renderCalendarFeed(feed) {
+        const status = document.getElementById('calendarFeedStatus');
+        if (this.calendarFeedPath) {
+            status.textContent = 'Subscribe to this address in your calendar app. Copy it now: it will not be shown again.';
+        } else if (feed.enabled) {
+            const used = feed.last_used_at ? `, last read ${new Date(feed.last_used_at.replace(' ', 'T') + 'Z').toLocaleString()}` : '';
+            status.textContent = `A calendar link is active (created ${new Date(feed.created_at.replace(' ', 'T') + 'Z').toLocaleDateString()}${used}). Creating a new one stops the old one.`;
+        } else {
+            status.textContent = 'Publish due dates and goal target dates to Google Calendar, Outlook or Apple Calendar.';
+        }
+        
+        document.getElementById('calendarFeedLink').style.display = this.calendarFeedPath ? '' : 'none';
+        document.getElementById('calendarFeedCreateBtn').innerHTML = feed.enabled
+            ? '<i class="fas fa-sync-alt"></i> New Link'
+            : '<i class="fas fa-calendar-plus"></i> Create Link';
+        document.getElementById('calendarFeedDisableBtn').style.display = feed.enabled ? '' : 'none';
+        this.updateCalendarFeedUrl();
+    }
+
+    updateCalendarFeedUrl() {
+        if (!this.calendarFeedPath) return;
+        const url = new URL(this.calendarFeedPath, window.location.origin);
+        if (document.getElementById('calendarFeedFocus').checked) url.searchParams.set('focus', 'true');
+        if (document.getElementById('calendarFeedTodos').checked) url.searchParams.set('todos', 'true');
+        document.getElementById('calendarFeedUrl').value = url.toString();
+    }
+
+    async createCalendarFeed() {
+        try {
+            const response = await fetch(`${this.apiBase}/calendar/feed`, { method: 'POST' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || result.error);
+            
+            this.calendarFeedPath = result.path;
+            this.renderCalendarFeed(result);
+            document.getElementById('calendarFeedUrl').select();
+            this.showNotification(result.message, 'success');
+        } catch (error) {
+            console.error('Error creating calendar feed:', error);
+            this.showNotification('Could not create a calendar link. Please try again.', 'error');
+        }
+    }
+
+    async disableCalendarFeed() {
+        if (!confirm('Turn off the calendar link? Calendars subscribed to it will stop updating.')) return;
+        
+        try {
+            const response = await fetch(`${this.apiBase}/calendar/feed`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!response.ok) throw new Error(result.message || result.error);
+            
+            this.calendarFeedPath = null;
+            this.renderCalendarFeed(result);
+            this.showNotification(result.message, 'success');
+        } catch (error) {
+            console.error('Error turning off calendar feed:', error);
+            this.showNotification('Could not turn off the calendar link. Please try again.', 'error');
+        }
+    }
+
+    // Any change to the chosen file or options needs a fresh check before importing.
+    // A newly chosen file also picks the matching import type from its name.
+    resetImportPreview(detectType = false) {
+        const file = document.getElementById('importFile').files[0];
+        const typeSelect = document.getElementById('importType');
+        if (detectType && file) {
+            const name = file.name.toLowerCase();
+            if (name.endsWith('.json')) typeSelect.value = 'backup';
+            else if (name.endsWith('.ics')) typeSelect.value = 'calendar';
+            else if (name.includes('goal')) typeSelect.value = 'goals';
+            else if (name.endsWith('.csv')) typeSelect.value = 'tasks';
+        }
+        
+        this.importChecked = false;
+        document.getElementById('importReplaceGroup').style.display = typeSelect.value === 'backup' ? '' : 'none';
+        document.getElementById('importGoalGroup').style.display = typeSelect.value === 'calendar' ? '' : 'none';
+        document.getElementById('importPreview').innerHTML = '';
+        document.getElementById('importSubmitBtn').textContent = 'Check File';
+    }
+
+    // Sends the chosen file to the import endpoint, as a dry run unless the
+    // check already passed
+    async handleImportSubmit(e) {
+        e.preventDefault();
+        
+        const file = document.getElementById('importFile').files[0];
+        if (!file) return;
+        const type = document.getElementById('importType').value;
+        const replace = type === 'backup' && document.getElementById('importReplace').checked;
+        const dryRun = !this.importChecked;
+        const text = await file.text();
+        
+        const params = new URLSearchParams();
+        if (dryRun) params.set('dry_run', 'true');
+        if (replace) params.set('mode', 'replace');
+        let url = `${this.apiBase}/import/${type}.csv`;
+        let contentType = 'text/csv';
+        if (type === 'backup') {
+            try {
+                JSON.parse(text);
+            } catch (error) {
+                this.renderImportPreview({ errors: ['The file is not valid JSON'] });
+                return;
+            }
+            url = `${this.apiBase}/import`;
+            contentType = 'application/json';
+        } else if (type === 'calendar') {
+            const goalId = document.getElementById('importGoal').value;
+            if (!goalId) {
+                this.renderImportPreview({ errors: ['Create a goal first; calendar events are imported as its tasks'] });
+                return;
+            }
+            params.set('goal_id', goalId);
+            url = `${this.apiBase}/import/calendar.ics`;
+            contentType = 'text/calendar';
+        }
+        
+        try {
+            const response = await fetch(`${url}?${params}`, {
+                method: 'POST',
+                headers: { 'Content-Type': contentType },
+                body: text
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.renderImportPreview({ ...result, errors: result.errors || [result.message || result.error] });
+                return;
+            }
+            if (dryRun) {
+                this.importChecked = true;
+                this.renderImportPreview(result);
+                document.getElementById('importSubmitBtn').textContent = replace ? 'Replace My Data' : 'Import';
+                return;
+            }
+            
+            this.showNotification('Import complete', 'success');
+            this.hideDataModal();
+            await this.loadInitialData();
+        } catch (error) {
+            console.error('Error importing data:', error);
+            this.showNotification('Import failed. Please try again.', 'error');
+        }
+    }
+
+    renderImportPreview({ counts, replaced, warnings = [], errors = [] }) {
+        const describe = totals => Object.entries(totals || {})
+            .filter(([, count]) => count > 0)
+            .map(([name, count]) => `${count} ${name.replace(/_/g, ' ')}`)
+            .join(', ');
+        const lines = [];
+        
+        if (errors.length > 0) {
+            lines.push('<p class="import-problem">This file cannot be imported:</p>');
+            lines.push(`<ul class="import-errors">${errors.map(error => `<li>${this.escapeHtml(error)}</li>`).join('')}</ul>`);
+        } else {
+            lines.push(`<p>Will add: ${describe(counts) || 'nothing'}.</p>`);
+            if (replaced) {
+                lines.push(`<p class="import-problem">Will first delete: ${describe(replaced) || 'nothing'}.</p>`);
+            }
+        }
+        warnings.forEach(warning => lines.push(`<p class="import-warning">${this.escapeHtml(warning)}</p>`));
+        
+        document.getElementById('importPreview').innerHTML = lines.join('');
+    }
+
+    showNotification(message, type = 'info') {
+        // Remove existing notification
+        const existingNotification = document.querySelector('.notification');
+        if (existingNotification) {
+            existingNotification.remove();
         }
 
         const notification = document.createElement('div');
@@ -642,20 +2713,151 @@ class NexusApp {
                 this.updateGoalProgress(goalId);
             });
         });
+        
+        // Milestone buttons
+        document.querySelectorAll('.btn-milestones').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const goalId = e.target.closest('.btn-milestones').dataset.goalId;
+                this.showMilestoneModal(goalId);
+            });
+        });
     }
     
-    async editGoal(goalId) {
+    showMilestoneModal(goalId) {
         const goal = this.goals.find(g => g.id == goalId);
         if (!goal) {
             this.showNotification('Goal not found', 'error');
             return;
         }
         
-        // For now, just show a notification
-        this.showNotification(`Edit functionality for "${goal.title}" will be available soon`, 'info');
+        this.milestoneGoalId = goal.id;
+        document.getElementById('milestoneModalTitle').innerHTML =
+            `<i class="fas fa-flag-checkered"></i> Milestones: ${this.escapeHtml(goal.title)}`;
+        this.renderMilestoneList();
+        document.getElementById('milestoneModal').classList.add('active');
+        document.getElementById('milestoneTitle').focus();
+    }
+    
+    hideMilestoneModal() {
+        document.getElementById('milestoneModal').classList.remove('active');
+        document.getElementById('milestoneForm').reset();
+        this.milestoneGoalId = null;
+    }
+    
+    renderMilestoneList() {
+        const container = document.getElementById('milestoneList');
+        const goal = this.goals.find(g => g.id == this.milestoneGoalId);
+        const milestones = (goal && goal.milestones) || [];
+        
+        if (milestones.length === 0) {
+            container.innerHTML = '<p class="dependency-empty">No milestones yet. Add the first checkpoint below.</p>';
+            return;
+        }
+        
+        container.innerHTML = milestones.map((milestone, index) => `
+            <li class="milestone-item" data-milestone-id="${milestone.id}">
+                <span class="milestone-dot milestone-${milestone.health}"></span>
+                <span class="milestone-item-title">
+                    ${this.escapeHtml(milestone.title)}
+                    <small>
+                        ${milestone.target_date ? new Date(milestone.target_date).toLocaleDateString() : 'No date'}
+                        · ${milestone.tasks_completed}/${milestone.tasks_total} tasks
+                        ${milestone.slipping ? ` · ${this.escapeHtml(milestone.health_reason)}` : ''}
+                    </small>
+                </span>
+                <select class="milestone-status" title="Status">
+                    ${['pending', 'in_progress', 'completed'].map(status => `
+                        <option value="${status}" ${milestone.status === status ? 'selected' : ''}>${status.replace('_', ' ')}</option>
+                    `).join('')}
+                </select>
+                <button class="btn-action btn-unlink milestone-move" data-direction="-1" title="Move up" ${index === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-up"></i>
+                </button>
+                <button class="btn-action btn-unlink milestone-move" data-direction="1" title="Move down" ${index === milestones.length - 1 ? 'disabled' : ''}>
+                    <i class="fas fa-arrow-down"></i>
+                </button>
+                <button class="btn-action btn-unlink milestone-remove" title="Delete milestone">
+                    <i class="fas fa-times"></i>
+                </button>
+            </li>
+        `).join('');
+        
+        container.querySelectorAll('.milestone-item').forEach(item => {
+            const milestoneId = parseInt(item.dataset.milestoneId);
+            item.querySelector('.milestone-status').addEventListener('change', (e) => {
+                this.saveMilestone(`milestones/${milestoneId}`, 'PUT', { status: e.target.value });
+            });
+            item.querySelectorAll('.milestone-move').forEach(button => {
+                button.addEventListener('click', () => this.moveMilestone(milestoneId, parseInt(button.dataset.direction)));
+            });
+            item.querySelector('.milestone-remove').addEventListener('click', () => {
+                if (confirm('Delete this milestone? Its tasks stay in the goal.')) {
+                    this.saveMilestone(`milestones/${milestoneId}`, 'DELETE');
+                }
+            });
+        });
+    }
+    
+    async handleMilestoneSubmit(e) {
+        e.preventDefault();
+        
+        const title = document.getElementById('milestoneTitle').value.trim();
+        if (!title) {
+            this.showNotification('Milestone title is required', 'error');
+            return;
+        }
+        
+        const saved = await this.saveMilestone(`goals/${this.milestoneGoalId}/milestones`, 'POST', {
+            title,
+            target_date: document.getElementById('milestoneTargetDate').value || null
+        });
+        if (saved) document.getElementById('milestoneForm').reset();
+    }
+    
+    async moveMilestone(milestoneId, direction) {
+        const goal = this.goals.find(g => g.id == this.milestoneGoalId);
+        const ids = goal.milestones.map(milestone => milestone.id);
+        const index = ids.indexOf(milestoneId);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= ids.length) return;
+        
+        [ids[index], ids[target]] = [ids[target], ids[index]];
+        await this.saveMilestone(`goals/${goal.id}/milestones/order`, 'PUT', { milestone_ids: ids });
+    }
+    
+    // Send one milestone change, then refresh the goal cards and the open list
+    async saveMilestone(path, method, body = null) {
+        try {
+            const response = await fetch(`${this.apiBase}/${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body ? JSON.stringify(body) : undefined
+            });
+            const result = await response.json();
+            
+            if (!response.ok) {
+                this.showNotification(result.message || result.error || 'Failed to update milestones', 'error');
+                return false;
+            }
+            
+            await this.loadGoals();
+            if (this.milestoneGoalId) this.renderMilestoneList();
+            return true;
+        } catch (error) {
+            console.error('Error updating milestones:', error);
+            this.showNotification('Failed to update milestones. Please try again.', 'error');
+            return false;
+        }
+    }
+    
+    async editGoal(goalId) {
+        const goal = this.goals.find(g => g.id == goalId);
+        if (!goal) {
+            this.showNotification('Goal not found', 'error');
+            return;
+        }
         
-        // In the future, this would open an edit modal
-        // this.showEditGoalModal(goal);
+        this.showGoalModal(goal);
     }
     
     async deleteGoal(goalId) {
@@ -667,25 +2869,29 @@ class NexusApp {
         
         if (confirm(`Are you sure you want to delete "${goal.title}"?`)) {
             try {
-                // Try real API first, fall back to mock
-                let response = await fetch(`${this.apiBase}/goals/${goalId}`, {
-                    method: 'DELETE'
+                const sent = await this.sendMutation({
+                    method: 'DELETE',
+                    path: `goals/${goalId}`,
+                    expectedUpdatedAt: goal.updated_at,
+                    label: `Delete goal "${goal.title}"`
                 });
+                if (sent.queued) {
+                    this.showQueuedChange('Goal deletion');
+                    return;
+                }
                 
+                const { response, result } = sent;
                 if (!response.ok) {
-                    // Fall back to mock data
-                    console.log('Using mock delete endpoint');
-                    response = await fetch(`${this.apiBase}/mock/goals/${goalId}`, {
-                        method: 'DELETE'
-                    });
+                    this.showNotification(result.message || result.error || 'Failed to delete goal', 'error');
+                    return;
                 }
                 
-                const result = await response.json();
                 this.showNotification(result.message || 'Goal deleted successfully', 'success');
                 
                 // Remove goal from local array and re-render
                 this.goals = this.goals.filter(g => g.id != goalId);
                 this.renderGoals();
+                await this.loadProgressSummary();
                 this.updateLiveStats();
                 
             } catch (error) {
@@ -702,6 +2908,11 @@ class NexusApp {
             return;
         }
         
+        if (goal.progress_mode && goal.progress_mode !== 'manual') {
+            this.showNotification(`"${goal.title}" tracks progress from its tasks. Edit the goal to set it by hand.`, 'info');
+            return;
+        }
+        
         const newProgress = prompt(`Update progress for "${goal.title}" (0-100%):`, goal.progress || 0);
         if (newProgress === null) return;
         
@@ -712,32 +2923,33 @@ class NexusApp {
         }
         
         try {
-            // Try real API first, fall back to mock
-            let response = await fetch(`${this.apiBase}/goals/${goalId}`, {
+            const sent = await this.sendMutation({
                 method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ progress: progressValue })
+                path: `goals/${goalId}`,
+                body: { progress: progressValue },
+                expectedUpdatedAt: goal.updated_at,
+                label: `Set "${goal.title}" to ${progressValue}%`
             });
+            if (sent.queued) {
+                this.showQueuedChange('Progress');
+                return;
+            }
             
+            const { response, result } = sent;
             if (!response.ok) {
-                // Fall back to mock data
-                console.log('Using mock update endpoint');
-                response = await fetch(`${this.apiBase}/mock/goals/${goalId}`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ progress: progressValue })
-                });
+                this.showNotification(result.message || result.error || 'Failed to update progress', 'error');
+                return;
             }
             
-            const result = await response.json();
             this.showNotification(result.message || 'Progress updated successfully', 'success');
             
             // Update goal in local array and re-render
             const goalIndex = this.goals.findIndex(g => g.id == goalId);
             if (goalIndex !== -1) {
-                this.goals[goalIndex].progress = progressValue;
+                this.goals[goalIndex] = result.goal;
                 this.renderGoals();
             }
+            await this.loadProgressSummary();
             
         } catch (error) {
             console.error('Error updating goal progress:', error);
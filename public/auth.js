@@ -1,14 +1,26 @@
 // Authentication management
+// Session state comes from the server (/api/auth/status); the session token
+// itself lives in an httpOnly cookie and is never visible to this script.
 const NexusAuth = {
-  // Get current auth state
-  getAuth() {
+  state: null,
+  originalFetch: window.fetch.bind(window),
+
+  // Load the current session from the server
+  async loadStatus() {
     try {
-      const auth = localStorage.getItem('nexus_auth');
-      return auth ? JSON.parse(auth) : null;
+      const response = await this.originalFetch('/api/auth/status', { credentials: 'same-origin' });
+      // 503 comes from the service worker when offline with no cached status
+      this.state = response.ok ? await response.json() : { authenticated: false, role: null, offline: response.status === 503 };
     } catch (err) {
-      console.error('Error reading auth:', err);
-      return null;
+      console.error('Error reading auth status:', err);
+      this.state = { authenticated: false, role: null, offline: true };
     }
+    return this.state;
+  },
+
+  // Get current auth state
+  getAuth() {
+    return this.state && this.state.authenticated ? this.state : null;
   },
 
   // Check if user is authenticated
@@ -19,34 +31,33 @@ const NexusAuth = {
   // Check if user is admin
   isAdmin() {
     const auth = this.getAuth();
-    return auth && auth.role === 'admin';
+    return !!auth && auth.role === 'admin';
   },
 
-  // Get auth headers for API requests
-  getAuthHeaders() {
+  // Check if this is a demo session (seeded data on the demo database)
+  isDemo() {
     const auth = this.getAuth();
-    return auth ? { 'Authorization': JSON.stringify(auth) } : {};
+    return !!auth && !!auth.demo;
+  },
+
+  // Check if the session may change data (any signed-in account, not visitors)
+  canEdit() {
+    const auth = this.getAuth();
+    return !!auth && (auth.role === 'admin' || auth.role === 'member');
   },
 
   // Fetch with authentication
   async fetchWithAuth(url, options = {}) {
-    const headers = {
-      ...this.getAuthHeaders(),
-      ...options.headers
-    };
-
     try {
-      const response = await fetch(url, { ...options, headers });
-      
+      const response = await this.originalFetch(url, { credentials: 'same-origin', ...options });
+
       // Handle auth errors
       if (response.status === 401) {
-        // Clear invalid auth
-        localStorage.removeItem('nexus_auth');
-        // Redirect to auth page
+        // Session expired or revoked - back to the sign-in page
         window.location.href = '/';
         return;
       }
-      
+
       return response;
     } catch (error) {
       console.error('Fetch error:', error);
@@ -55,11 +66,54 @@ const NexusAuth = {
   },
 
   // Logout
-  logout() {
-    localStorage.removeItem('nexus_auth');
+  async logout() {
+    const pending = window.NexusOutbox ? await NexusOutbox.count() : 0;
+    if (pending > 0 && !confirm(`${pending} change${pending === 1 ? ' has' : 's have'} not been synced yet and will be lost if you sign out. Sign out anyway?`)) {
+      return;
+    }
+
+    try {
+      await this.originalFetch('/api/auth/logout', { method: 'POST', credentials: 'same-origin' });
+    } catch (err) {
+      console.error('Logout error:', err);
+    }
+    await this.clearOfflineData();
     window.location.href = '/';
   },
 
+  // Start the demo over with freshly seeded data
+  async resetDemo() {
+    if (!confirm('Throw away your changes and start the demo over?')) return;
+
+    try {
+      const response = await this.originalFetch('/api/demo/reset', { method: 'POST', credentials: 'same-origin' });
+      if (!response.ok) {
+        const result = await response.json().catch(() => ({}));
+        this.showNotification(result.message || 'Could not reset the demo', 'error');
+        return;
+      }
+    } catch (err) {
+      console.error('Demo reset error:', err);
+      this.showNotification('Could not reset the demo', 'error');
+      return;
+    }
+    await this.clearOfflineData();
+    window.location.reload();
+  },
+
+  // Nothing of this account stays on the device after signing out
+  async clearOfflineData() {
+    try {
+      if (window.NexusOutbox) await NexusOutbox.clear();
+      if (window.caches) {
+        const keys = await caches.keys();
+        await Promise.all(keys.filter(key => key.startsWith('nexus-data-')).map(key => caches.delete(key)));
+      }
+    } catch (err) {
+      console.error('Error clearing offline data:', err);
+    }
+  },
+
   // Setup logout button
   setupLogout() {
     const logoutBtn = document.getElementById('logoutBtn');
@@ -68,36 +122,54 @@ const NexusAuth = {
         this.logout();
       });
     }
+
+    const resetDemoBtn = document.getElementById('resetDemoBtn');
+    if (resetDemoBtn) {
+      resetDemoBtn.addEventListener('click', () => {
+        this.resetDemo();
+      });
+    }
   },
 
   // Update UI based on auth role
   updateUI() {
-    const isAdmin = this.isAdmin();
-    
-    // Hide/show admin-only elements
-    const adminElements = document.querySelectorAll('[data-admin-only]');
-    adminElements.forEach(el => {
-      el.style.display = isAdmin ? '' : 'none';
+    const canEdit = this.canEdit();
+
+    // Hide/show elements that need a signed-in account
+    const accountElements = document.querySelectorAll('[data-account-only]');
+    accountElements.forEach(el => {
+      el.style.display = canEdit ? '' : 'none';
     });
 
-    // Show logout button for admins
+    // Everyone with a session can sign out
     const logoutBtn = document.getElementById('logoutBtn');
-    if (logoutBtn && isAdmin) {
+    if (logoutBtn) {
       logoutBtn.style.display = '';
     }
 
+    // The demo banner, and what the demo leaves out (webhooks, calendar feeds)
+    const isDemo = this.isDemo();
+    document.querySelectorAll('[data-demo-only]').forEach(el => {
+      el.style.display = isDemo ? '' : 'none';
+    });
+    if (isDemo) {
+      document.querySelectorAll('[data-hidden-in-demo]').forEach(el => {
+        el.style.display = 'none';
+      });
+    }
+
     // Hide/show visitor-only elements
     const visitorElements = document.querySelectorAll('[data-visitor-only]');
     visitorElements.forEach(el => {
-      el.style.display = !isAdmin ? '' : 'none';
+      el.style.display = !canEdit ? '' : 'none';
     });
 
     // Disable action buttons for visitors
-    if (!isAdmin) {
+    if (!canEdit) {
       const actionButtons = document.querySelectorAll('.btn-edit, .btn-delete, .btn-add');
       actionButtons.forEach(btn => {
         btn.disabled = true;
-        btn.title = 'Admin access required';
+        btn.title = 'Sign in to make changes';
       });
     }
   },
@@ -114,7 +186,7 @@ const NexusAuth = {
       bottom: 20px;
       right: 20px;
       padding: 10px 15px;
-      background: ${auth.role === 'admin' ? '#667eea' : '#64748b'};
+      background: ${auth.role === 'visitor' ? '#64748b' : '#667eea'};
       color: white;
       border-radius: 8px;
       font-size: 0.85rem;
@@ -122,20 +194,34 @@ const NexusAuth = {
       box-shadow: 0 4px 12px rgba(0,0,0,0.15);
       z-index: 1000;
     `;
-    indicator.innerHTML = auth.role === 'admin' ? '🔐 Admin' : '👁️ Visitor';
+    if (auth.role === 'visitor') {
+      indicator.textContent = '👁️ Visitor';
+    } else {
+      indicator.textContent = `${auth.role === 'admin' ? '🔐' : '👤'} ${auth.user.username}`;
+    }
 
     document.body.appendChild(indicator);
   },
 
   // Initialize
-  init() {
+  async init() {
+    // Sessions used to be stored client-side; drop any leftover copy
+    localStorage.removeItem('nexus_auth');
+
+    await this.loadStatus();
+
     // Check if authenticated
     if (!this.isAuthenticated()) {
+      // The sign-in page cannot be reached offline either
+      if (this.state.offline) {
+        this.showNotification('You are offline. Sign in once the connection is back.', 'warning');
+        return;
+      }
       window.location.href = '/';
       return;
     }
 
-    // Override global fetch to add authentication headers
+    // Override global fetch to handle authentication errors
     this.overrideFetch();
 
     // Update UI
@@ -145,44 +231,37 @@ const NexusAuth = {
 
     // Make fetchWithAuth available globally
     window.NexusAuth = this;
-  }
+  },
 
-  // Override global fetch to automatically add authentication headers
+  // Override global fetch so expired sessions and forbidden actions are handled in one place
   overrideFetch() {
-    const originalFetch = window.fetch;
+    const originalFetch = this.originalFetch;
     const self = this;
 
     window.fetch = function(url, options = {}) {
-      // Add authentication headers
-      const headers = {
-        ...self.getAuthHeaders(),
-        ...options.headers
-      };
-
-      // Call original fetch with auth headers
-      return originalFetch(url, { ...options, headers })
+      // Session cookie is sent automatically for same-origin requests
+      return originalFetch(url, { credentials: 'same-origin', ...options })
         .then(response => {
           // Handle auth errors
           if (response.status === 401) {
-            // Clear invalid auth and redirect
-            localStorage.removeItem('nexus_auth');
+            // Session expired or revoked - redirect to sign in
             window.location.href = '/';
             return Promise.reject(new Error('Authentication failed'));
           }
-          
-          // Handle forbidden errors (visitor trying to do admin actions)
+
+          // Handle forbidden errors (visitor trying to change data)
           if (response.status === 403) {
             return response.json().then(err => {
-              const message = err.message || 'This action requires administrator privileges';
+              const message = err.message || 'Sign in to make changes';
               self.showNotification(message, 'warning');
               return Promise.reject(new Error(message));
             });
           }
-          
+
           return response;
         });
     };
-  }
+  },
 
   // Show notification to user
   showNotification(message, type = 'info') {
@@ -0,0 +1,220 @@
+// Offline outbox
+// Goal and task changes made while the server cannot be reached are kept in
+// IndexedDB and replayed in the order they were made once it is back. Each
+// entry is { id, method, path, body, expected_updated_at, entity, temp_id,
+// label, status, error, current, created_at }:
+// - path is relative to /api, e.g. "goals/12"
+// - expected_updated_at is the updated_at of the row the edit was made
+//   against; the server answers 409 when the row has changed since
+// - things created offline get a negative temp_id, which later entries may
+//   use in their path or body (a task under a goal that was created offline);
+//   it is swapped for the real id once the create has been sent
+// - status is pending, conflict (the row changed on the server) or error (the
+//   server refused the change); replay stops at the first entry that is not
+//   pending, so later changes are never applied ahead of it
+const NexusOutbox = {
+  DB_NAME: 'nexus-outbox',
+  STORE: 'entries',
+  // Answers from a proxy or the service worker while the app server is away
+  OFFLINE_STATUSES: [502, 503, 504],
+
+  db: null,
+  memory: null, // Used where IndexedDB is not available (some private windows)
+  replaying: null,
+
+  async open() {
+    if (this.db || this.memory) return this.db;
+    if (!window.indexedDB) {
+      this.memory = [];
+      return null;
+    }
+
+    try {
+      this.db = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.STORE, { keyPath: 'id', autoIncrement: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    } catch (err) {
+      console.error('Outbox storage unavailable, keeping changes in memory:', err);
+      this.memory = [];
+    }
+    return this.db;
+  },
+
+  // Run one request against the store and resolve with its result
+  async request(mode, makeRequest) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.STORE, mode);
+      const request = makeRequest(transaction.objectStore(this.STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  },
+
+  // Entries in the order they were made
+  async all() {
+    await this.open();
+    if (this.memory) return this.memory.map(entry => ({ ...entry }));
+    return this.request('readonly', store => store.getAll());
+  },
+
+  async count() {
+    return (await this.all()).length;
+  },
+
+  async add(entry) {
+    const record = { ...entry, status: 'pending', error: null, current: null, created_at: new Date().toISOString() };
+    await this.open();
+    if (this.memory) {
+      record.id = this.memory.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+      this.memory.push(record);
+      return record.id;
+    }
+    return this.request('readwrite', store => store.add(record));
+  },
+
+  async put(entry) {
+    await this.open();
+    if (this.memory) {
+      this.memory = this.memory.map(item => (item.id === entry.id ? { ...entry } : item));
+      return;
+    }
+    await this.request('readwrite', store => store.put(entry));
+  },
+
+  async remove(id) {
+    await this.open();
+    if (this.memory) {
+      this.memory = this.memory.filter(item => item.id !== id);
+      return;
+    }
+    await this.request('readwrite', store => store.delete(id));
+  },
+
+  async clear() {
+    await this.open();
+    if (this.memory) {
+      this.memory = [];
+      return;
+    }
+    await this.request('readwrite', store => store.clear());
+  },
+
+  // A temporary id that cannot clash with a real one
+  tempId() {
+    return -Date.now() - Math.floor(Math.random() * 1000);
+  },
+
+  isOffline(response) {
+    return this.OFFLINE_STATUSES.includes(response.status);
+  },
+
+  // The create with `tempId` got the real id `id`; point later entries at it
+  async resolveTempId(entity, tempId, id) {
+    const segment = new RegExp(`(^|/)${entity}s/${tempId}(?=/|$)`);
+    const key = `${entity}_id`;
+    for (const entry of await this.all()) {
+      const path = entry.path.replace(segment, `$1${entity}s/${id}`);
+      const usesTemp = entry.body && entry.body[key] === tempId;
+      if (path !== entry.path || usesTemp) {
+        await this.put({ ...entry, path, body: usesTemp ? { ...entry.body, [key]: id } : entry.body });
+      }
+    }
+  },
+
+  // "goals/12/progress" -> "goals/12"
+  rowOf(path) {
+    return path.split('/').slice(0, 2).join('/');
+  },
+
+  // A change to a row went through and moved its updated_at on; later edits
+  // made against the old value were made on top of this one, not against
+  // someone else's
+  async rebase(entry, updatedAt) {
+    for (const later of await this.all()) {
+      if (later.id !== entry.id && this.rowOf(later.path) === this.rowOf(entry.path)
+          && later.expected_updated_at === entry.expected_updated_at) {
+        await this.put({ ...later, expected_updated_at: updatedAt });
+      }
+    }
+  },
+
+  // Send pending entries in order. Resolves with { sent, offline, blocked }:
+  // how many went through, whether the server was unreachable and the entry
+  // that needs attention, if any. Calls made while a replay is running share it.
+  replay() {
+    if (!this.replaying) {
+      this.replaying = this.sendPending().finally(() => {
+        this.replaying = null;
+      });
+    }
+    return this.replaying;
+  },
+
+  async sendPending() {
+    const summary = { sent: 0, offline: false, blocked: null };
+
+    for (;;) {
+      const [entry] = await this.all();
+      if (!entry) return summary;
+      if (entry.status !== 'pending') {
+        summary.blocked = entry;
+        return summary;
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (entry.expected_updated_at) headers['X-Expected-Updated-At'] = entry.expected_updated_at;
+      let response;
+      let result = {};
+      try {
+        response = await fetch(`/api/${entry.path}`, {
+          method: entry.method,
+          headers,
+          body: entry.body ? JSON.stringify(entry.body) : undefined
+        });
+        result = await response.json().catch(() => ({}));
+      } catch (err) {
+        // Network failure: try again later
+        summary.offline = true;
+        return summary;
+      }
+      if (this.isOffline(response)) {
+        summary.offline = true;
+        return summary;
+      }
+
+      if (response.ok) {
+        await this.remove(entry.id);
+        if (entry.temp_id && result.id) {
+          await this.resolveTempId(entry.entity, entry.temp_id, result.id);
+        }
+        const saved = result.goal || result.task;
+        if (entry.expected_updated_at && saved && saved.updated_at) {
+          await this.rebase(entry, saved.updated_at);
+        }
+        summary.sent += 1;
+      } else if (response.status === 404 && entry.method === 'DELETE') {
+        // Already gone, which is what the change wanted
+        await this.remove(entry.id);
+        summary.sent += 1;
+      } else {
+        const blocked = {
+          ...entry,
+          status: response.status === 409 && result.current ? 'conflict' : 'error',
+          error: result.message || result.error || `HTTP ${response.status}`,
+          current: result.current || null
+        };
+        await this.put(blocked);
+        summary.blocked = blocked;
+        return summary;
+      }
+    }
+  }
+};
+
+window.NexusOutbox = NexusOutbox;
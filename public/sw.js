@@ -0,0 +1,94 @@
+// Nexus 2.0 - Service worker
+// Keeps the app usable without a connection: pages, the app's own files and
+// API reads go to the network first and fall back to the last copy; icons and
+// fonts from CDNs are served from the cache and refreshed in the background.
+// Writes are never handled here; the page queues them in its outbox
+// (outbox.js) and replays them itself.
+// Bump CACHE_VERSION to drop every cached copy.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `nexus-shell-${CACHE_VERSION}`;
+const DATA_CACHE = `nexus-data-${CACHE_VERSION}`;
+
+const SHELL_FILES = ['/', '/app.js', '/auth.js', '/outbox.js', '/style.css', '/manifest.webmanifest', '/icon.svg'];
+
+// Streams, downloads and anything tied to signing in are never cached
+const UNCACHED_API = ['/api/events', '/api/export', '/api/calendar.ics', '/api/auth/login', '/api/auth/logout', '/api/health'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key.startsWith('nexus-') && key !== SHELL_CACHE && key !== DATA_CACHE).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+function offlineResponse() {
+  return new Response(JSON.stringify({ error: 'Offline', message: 'You are offline and this has not been loaded before' }), {
+    status: 503,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+// Network first, keeping a copy of every successful answer
+async function networkFirst(request, cacheName, fallbackUrl = null) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request) || (fallbackUrl && await cache.match(fallbackUrl));
+    return cached || offlineResponse();
+  }
+}
+
+// Cached copy straight away, refreshed in the background
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  const refresh = fetch(request)
+    .then((response) => {
+      // Cross-origin icons and fonts come back opaque (status 0), which is fine to keep
+      if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+      }
+      return response;
+    })
+    .catch(() => cached);
+  return cached || refresh;
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api/')) {
+    if (UNCACHED_API.some(prefix => url.pathname.startsWith(prefix))) return;
+    event.respondWith(networkFirst(request, DATA_CACHE));
+    return;
+  }
+
+  // Offline, any page falls back to the app itself
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/'));
+    return;
+  }
+
+  event.respondWith(url.origin === self.location.origin
+    ? networkFirst(request, SHELL_CACHE)
+    : staleWhileRevalidate(request));
+});
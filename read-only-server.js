@@ -1,9 +1,14 @@
 const express = require('express');
-const sqlite3 = require('sqlite3').verbose();
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
+const { Database } = require('./lib/db');
+const { checkSchemaVersion } = require('./lib/migrator');
+const focusEngine = require('./lib/focus-engine');
+const patternAnalysis = require('./lib/pattern-analysis');
+const { loadGoalForecasts, loadProgressSummary } = require('./lib/progress-summary');
+const calendarFeed = require('./lib/calendar-feed');
 
 const app = express();
 const PORT = process.env.READ_ONLY_PORT || 3002;
@@ -14,7 +19,7 @@ app.use(bodyParser.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Block all write operations with clear message
-app.use(['/api/goals', '/api/tasks', '/api/focus', '/api/progress'], (req, res, next) => {
+app.use(['/api/goals', '/api/tasks', '/api/focus', '/api/progress', '/api/insights', '/api/calendar'], (req, res, next) => {
   if (req.method !== 'GET') {
     return res.status(403).json({
       error: 'Read-Only Mode',
@@ -28,189 +33,162 @@ app.use(['/api/goals', '/api/tasks', '/api/focus', '/api/progress'], (req, res,
 // Import the database setup from main server
 const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, 'data', 'nexus2.db');
 
-function getDatabaseConnection() {
-  return new Promise((resolve, reject) => {
-    const db = new sqlite3.Database(DATABASE_PATH, sqlite3.OPEN_READONLY, (err) => {
-      if (err) {
-        reject(err);
-        return;
-      }
-      resolve(db);
-    });
-  });
+// Only one account's data is published: READ_ONLY_USER, or the first admin account
+const READ_ONLY_USER = process.env.READ_ONLY_USER || null;
+
+// Shared read-only connection (see lib/db.js), opened once by startServer()
+let db = null;
+
+// Resolve the user whose data this viewer shows (null when there is none yet)
+async function getOwnerId() {
+  const row = READ_ONLY_USER
+    ? await db.get('SELECT id FROM users WHERE username = ?', [READ_ONLY_USER])
+    : await db.get("SELECT MIN(id) AS id FROM users WHERE role = 'admin'");
+  return row ? row.id : null;
+}
+
+// Log a failed query and answer 500 without passing database details on
+function sendDatabaseError(res, route, err) {
+  console.error(`❌ ${route}: Database error:`, err.message);
+  res.status(500).json({ error: 'Internal server error', message: 'Something went wrong on the server' });
 }
 
-// Read-only goals endpoint
+// Read-only goals endpoint (with the same forecasts as the main server)
 app.get('/api/goals', async (req, res) => {
   try {
-    const db = await getDatabaseConnection();
-    
-    db.all('SELECT * FROM goals ORDER BY priority DESC, created_at DESC', (err, rows) => {
-      db.close();
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json(rows || []);
+    const ownerId = await getOwnerId();
+    const rows = await db.all(
+      `SELECT g.*,
+              (SELECT COUNT(*) FROM tasks t WHERE t.goal_id = g.id) AS tasks_total,
+              (SELECT COUNT(*) FROM tasks t WHERE t.goal_id = g.id AND t.status = 'completed') AS tasks_completed
+       FROM goals g
+       WHERE g.user_id = ?
+       ORDER BY g.priority DESC, g.created_at DESC`,
+      [ownerId]
+    );
+    const forecasts = await loadGoalForecasts(db, ownerId, rows);
+    rows.forEach((goal) => {
+      goal.forecast = forecasts.get(goal.id);
     });
+    res.json(rows);
   } catch (err) {
-    res.status(500).json({ error: 'Database connection failed' });
+    sendDatabaseError(res, 'GET /api/goals', err);
   }
 });
 
 // Read-only tasks endpoint
 app.get('/api/tasks', async (req, res) => {
   const { goal_id, status } = req.query;
-  let query = 'SELECT * FROM tasks';
+  let query = 'SELECT * FROM tasks WHERE user_id = ?';
   const params = [];
   
-  if (goal_id || status) {
-    query += ' WHERE';
-    if (goal_id) {
-      query += ' goal_id = ?';
-      params.push(goal_id);
-    }
-    if (status) {
-      if (goal_id) query += ' AND';
-      query += ' status = ?';
-      params.push(status);
-    }
+  if (goal_id) {
+    query += ' AND goal_id = ?';
+    params.push(goal_id);
+  }
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
   }
   
   query += ' ORDER BY priority DESC, due_date ASC';
   
   try {
-    const db = await getDatabaseConnection();
-    
-    db.all(query, params, (err, rows) => {
-      db.close();
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json(rows || []);
-    });
+    params.unshift(await getOwnerId());
+    res.json(await db.all(query, params));
   } catch (err) {
-    res.status(500).json({ error: 'Database connection failed' });
+    sendDatabaseError(res, 'GET /api/tasks', err);
   }
 });
 
-// Read-only focus endpoint
+// Read-only focus endpoint (same candidates and scoring as the main server)
 app.get('/api/focus/next-task', async (req, res) => {
-  const query = `
-    SELECT t.*, g.title as goal_title, g.priority as goal_priority 
-    FROM tasks t
-    LEFT JOIN goals g ON t.goal_id = g.id
-    WHERE t.status = 'pending'
-    ORDER BY 
-      CASE g.priority 
-        WHEN 'high' THEN 1
-        WHEN 'medium' THEN 2
-        WHEN 'low' THEN 3
-        ELSE 4
-      END,
-      CASE t.priority 
-        WHEN 'high' THEN 1
-        WHEN 'medium' THEN 2
-        WHEN 'low' THEN 3
-        ELSE 4
-      END,
-      t.due_date ASC
-    LIMIT 1
-  `;
+  const { availableMinutes, limit, error } = focusEngine.parseFocusOptions(req.query);
+  if (error) {
+    return res.status(400).json({ error: 'Invalid available_minutes', message: error });
+  }
   
   try {
-    const db = await getDatabaseConnection();
-    
-    db.get(query, (err, row) => {
-      db.close();
-      if (err) {
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      res.json(row || { message: 'No pending tasks found' });
+    const ownerId = await getOwnerId();
+    res.json(await focusEngine.suggestNextTask(db, ownerId, { availableMinutes, limit }));
+  } catch (err) {
+    sendDatabaseError(res, 'GET /api/focus/next-task', err);
+  }
+});
+
+// Read-only insights endpoint: patterns stored by the main server's analyzer
+app.get('/api/insights', async (req, res) => {
+  try {
+    const ownerId = await getOwnerId();
+    const [patterns, quickWins] = await Promise.all([
+      db.all(
+        `SELECT pattern_type, pattern_value, success_rate, sample_size, average, last_updated
+         FROM learning_patterns WHERE user_id = ? ORDER BY pattern_type, pattern_value`,
+        [ownerId]
+      ),
+      db.get(
+        "SELECT COUNT(*) AS count FROM tasks WHERE user_id = ? AND status = 'pending' AND estimated_time > 0 AND estimated_time <= 30",
+        [ownerId]
+      )
+    ]);
+    res.json({
+      generated_at: patterns.length > 0 ? patterns[0].last_updated : null,
+      window_days: patternAnalysis.ANALYSIS_WINDOW_DAYS,
+      min_sample: patternAnalysis.MIN_SAMPLE,
+      insights: patternAnalysis.buildInsights(patterns, { quickWins: quickWins.count }),
+      patterns
     });
   } catch (err) {
-    res.status(500).json({ error: 'Database connection failed' });
+    sendDatabaseError(res, 'GET /api/insights', err);
   }
 });
 
-// Read-only progress endpoint
+// Read-only progress endpoint (the same summary as the main server)
 app.get('/api/progress/summary', async (req, res) => {
-  const summaryQuery = `
-    SELECT 
-      COUNT(*) as total_goals,
-      SUM(CASE WHEN progress = 100 THEN 1 ELSE 0 END) as completed_goals,
-      AVG(progress) as average_progress,
-      COUNT(DISTINCT category) as categories_count
-    FROM goals
-  `;
+  try {
+    res.json(await loadProgressSummary(db, await getOwnerId()));
+  } catch (err) {
+    sendDatabaseError(res, 'GET /api/progress/summary', err);
+  }
+});
+
+// Read-only calendar feed for the published account. Like the main server it
+// needs that account's feed token (created in the full app); the viewer cannot
+// record when the link was last used.
+app.get('/api/calendar.ics', async (req, res) => {
+  const flag = value => ['1', 'true'].includes(String(value || '').toLowerCase());
   
   try {
-    const db = await getDatabaseConnection();
+    const ownerId = await getOwnerId();
+    const feed = await calendarFeed.findFeed(db, req.query.token);
+    if (!feed || feed.user_id !== ownerId) {
+      return res.status(401).json({ error: 'Invalid calendar token', message: 'Create a new calendar link in Nexus and subscribe to that' });
+    }
     
-    db.get(summaryQuery, (err, summary) => {
-      if (err) {
-        db.close();
-        res.status(500).json({ error: err.message });
-        return;
-      }
-      
-      const tasksQuery = `
-        SELECT 
-          status,
-          COUNT(*) as count
-        FROM tasks
-        GROUP BY status
-      `;
-      
-      db.all(tasksQuery, (err, tasks) => {
-        db.close();
-        if (err) {
-          res.status(500).json({ error: err.message });
-          return;
-        }
-        
-        res.json({
-          summary,
-          tasks
-        });
-      });
-    });
+    const calendar = await calendarFeed.loadCalendar(db, ownerId, { focus: flag(req.query.focus), todos: flag(req.query.todos) });
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="nexus2.ics"');
+    res.send(calendar);
   } catch (err) {
-    res.status(500).json({ error: 'Database connection failed' });
+    sendDatabaseError(res, 'GET /api/calendar.ics', err);
   }
 });
 
 // Health check
 app.get('/api/health', async (req, res) => {
   try {
-    const db = await getDatabaseConnection();
-    
-    db.get('SELECT 1 as test', (err, row) => {
-      db.close();
-      
-      if (err) {
-        res.json({
-          status: 'degraded',
-          mode: 'read-only',
-          database: 'error',
-          error: err.message
-        });
-      } else {
-        res.json({
-          status: 'healthy',
-          mode: 'read-only',
-          database: 'connected',
-          app: 'running'
-        });
-      }
+    await db.get('SELECT 1 as test');
+    res.json({
+      status: 'healthy',
+      mode: 'read-only',
+      database: 'connected',
+      app: 'running'
     });
   } catch (err) {
     res.json({
       status: 'degraded',
       mode: 'read-only',
-      database: 'connection_failed',
+      database: 'error',
       error: err.message
     });
   }
@@ -221,10 +199,23 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🔒 Nexus 2.0 Read-Only Viewer running on port ${PORT}`);
-  console.log(`📊 Database: ${DATABASE_PATH} (READ-ONLY)`);
-  console.log(`🌐 Viewer URL: http://localhost:${PORT}`);
-  console.log(`⚠️  All write operations are blocked`);
-});
+// Start server. The viewer cannot migrate, so the schema must already match this code.
+async function startServer() {
+  try {
+    db = await Database.open(DATABASE_PATH, { readOnly: true });
+    const status = await checkSchemaVersion(db.connection);
+    console.log(`✅ Database schema version ${status.current}`);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  app.listen(PORT, () => {
+    console.log(`🔒 Nexus 2.0 Read-Only Viewer running on port ${PORT}`);
+    console.log(`📊 Database: ${DATABASE_PATH} (READ-ONLY)`);
+    console.log(`🌐 Viewer URL: http://localhost:${PORT}`);
+    console.log(`⚠️  All write operations are blocked`);
+  });
+}
+
+startServer();
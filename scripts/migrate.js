@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+// Nexus 2.0 - Schema migration command
+//
+//   node scripts/migrate.js status            List applied and pending migrations
+//   node scripts/migrate.js up                Apply pending migrations
+//   node scripts/migrate.js rollback [steps]  Undo the last <steps> migrations (default 1)
+//
+// Uses DATABASE_PATH when set, otherwise data/nexus2.db.
+
+const path = require('path');
+const { Database } = require('../lib/db');
+const { getStatus, migrate, rollback } = require('../lib/migrator');
+
+const DATABASE_PATH = process.env.DATABASE_PATH || path.join(__dirname, '..', 'data', 'nexus2.db');
+
+async function printStatus(db) {
+  const status = await getStatus(db);
+
+  console.log(`📊 Database: ${DATABASE_PATH}`);
+  console.log(`🗃️ Schema version: ${status.current} (code expects ${status.latest})`);
+  status.applied.forEach((row) => {
+    const marker = status.unknown.includes(row) ? '❓' : '✅';
+    console.log(`  ${marker} ${row.version} ${row.name} (applied ${row.applied_at})`);
+  });
+  status.pending.forEach((migration) => {
+    console.log(`  ⏳ ${migration.version} ${migration.name} (pending)`);
+  });
+  if (status.unknown.length > 0) {
+    console.log('⚠️ Database has migrations this code does not know about - it is newer than the code');
+  }
+}
+
+async function main() {
+  const [command = 'status', arg] = process.argv.slice(2);
+  const database = await Database.open(DATABASE_PATH);
+  const db = database.connection;
+
+  try {
+    if (command === 'status') {
+      await printStatus(db);
+    } else if (command === 'up') {
+      const applied = await migrate(db);
+      console.log(applied.length > 0 ? `✅ Applied ${applied.length} migration(s)` : '✅ Nothing to migrate');
+    } else if (command === 'rollback') {
+      const steps = arg === undefined ? 1 : parseInt(arg, 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('rollback steps must be a positive integer');
+      }
+      const undone = await rollback(db, steps);
+      console.log(undone.length > 0 ? `✅ Rolled back ${undone.length} migration(s)` : '✅ Nothing to roll back');
+    } else {
+      throw new Error(`Unknown command "${command}" (expected status, up or rollback)`);
+    }
+  } finally {
+    await database.close();
+  }
+}
+
+main().catch((err) => {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Database } = require('../lib/db');
+const { startServer, createClient } = require('./support/server');
+
+let dir;
+let database;
+let server;
+
+before(async () => {
+  // Our own database file, so the tests can age sessions behind the server's back
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-auth-'));
+  const filename = path.join(dir, 'nexus.db');
+  server = await startServer({ env: { DATABASE_PATH: filename } });
+  database = await Database.open(filename);
+});
+
+after(async () => {
+  await database.close();
+  await server.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('only the first account becomes an admin', async () => {
+  const admin = createClient(server.baseUrl);
+  assert.equal((await admin.register('first')).role, 'admin');
+  const member = createClient(server.baseUrl);
+  assert.equal((await member.register('second')).role, 'member');
+
+  // Asking for a role does not grant it without an admin session
+  const response = await createClient(server.baseUrl).post('/api/auth/register', { username: 'third', password: 'correct horse', role: 'admin' });
+  assert.equal(response.body.user.role, 'member');
+
+  assert.equal((await admin.get('/api/users')).status, 200);
+  assert.equal((await member.get('/api/users')).status, 403);
+});
+
+test('registration checks the username and password', async () => {
+  const client = createClient(server.baseUrl);
+  assert.equal((await client.post('/api/auth/register', { username: 'x', password: 'correct horse' })).body.error, 'Invalid username');
+  assert.equal((await client.post('/api/auth/register', { username: 'shorty', password: 'short' })).body.error, 'Invalid password');
+  assert.equal((await client.post('/api/auth/register', { username: 'first', password: 'correct horse' })).status, 409);
+});
+
+test('login, status and logout', async () => {
+  const client = createClient(server.baseUrl);
+  assert.equal((await client.get('/api/goals')).status, 401);
+
+  const failed = await client.post('/api/auth/login', { username: 'second', password: 'wrong horse' });
+  assert.equal(failed.status, 401);
+  assert.equal(client.cookies.size, 0);
+
+  const login = await client.post('/api/auth/login', { username: 'second', password: 'correct horse' });
+  assert.equal(login.status, 200);
+  assert.equal(login.body.user.username, 'second');
+  const status = await client.get('/api/auth/status');
+  assert.equal(status.body.authenticated, true);
+  assert.equal(status.body.user.role, 'member');
+  assert.equal((await client.get('/api/goals')).status, 200);
+
+  // The old cookie is dead even if someone kept a copy
+  const [[name, token]] = client.cookies;
+  await client.post('/api/auth/logout');
+  assert.equal(client.cookies.size, 0);
+  assert.equal((await client.get('/api/auth/status')).body.authenticated, false);
+  assert.equal((await client.get('/api/goals', { Cookie: `${name}=${token}` })).status, 401);
+});
+
+test('expired and forged sessions are refused', async () => {
+  const client = createClient(server.baseUrl);
+  await client.post('/api/auth/login', { username: 'second', password: 'correct horse' });
+  const [[name, token]] = client.cookies;
+
+  assert.equal((await client.get('/api/goals', { Cookie: `${name}=${'0'.repeat(64)}` })).status, 401);
+  assert.equal((await client.get('/api/goals', { Authorization: `Bearer ${token}x` })).status, 401);
+  assert.equal((await client.get('/api/goals', { Authorization: `Bearer ${token}` })).status, 200);
+
+  await database.run("UPDATE sessions SET expires_at = datetime('now', '-1 minute')");
+  assert.equal((await client.get('/api/goals')).status, 401);
+  assert.equal((await client.get('/api/auth/status')).body.authenticated, false);
+});
+
+test('a role in the Authorization header grants nothing', async () => {
+  const header = { Authorization: JSON.stringify({ role: 'admin', authenticated: true }) };
+  assert.equal((await createClient(server.baseUrl).get('/api/users', header)).status, 401);
+
+  const member = createClient(server.baseUrl);
+  await member.post('/api/auth/login', { username: 'second', password: 'correct horse' });
+  assert.equal((await member.get('/api/users', header)).status, 403);
+});
+
+test('visitors can look but not change anything', async () => {
+  const visitor = createClient(server.baseUrl);
+  assert.equal((await visitor.post('/api/auth/visitor')).status, 200);
+  assert.equal((await visitor.get('/api/goals')).status, 200);
+  assert.equal((await visitor.post('/api/goals', { title: 'Sneaky' })).status, 403);
+});
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const automation = require('../lib/automation');
+
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+const HOUR_MS = 60 * 60 * 1000;
+
+const GOAL = { id: 5, title: 'Launch', priority: 'medium', progress: 40 };
+const TASK = { id: 9, title: 'Write docs', status: 'pending', priority: 'low', due_date: '2026-06-08', goal_id: 5 };
+
+// A stored rule, as validateRule() would have produced it
+function rule(triggerType, triggerConfig, actionType, actionConfig = {}) {
+  return { trigger_type: triggerType, trigger_config: triggerConfig, action_type: actionType, action_config: actionConfig };
+}
+
+test('validateRule normalizes a rule and fills in defaults', () => {
+  assert.deepEqual(automation.validateRule({
+    name: '  Follow up  ',
+    trigger: { type: 'task_completed', goal_id: '5', priority: 'high' },
+    action: { type: 'create_task', title: ' Review {task} ', due_in_days: '2' }
+  }), {
+    rule: {
+      name: 'Follow up',
+      enabled: true,
+      trigger_type: 'task_completed',
+      trigger_config: { goal_id: 5, priority: 'high' },
+      action_type: 'create_task',
+      action_config: { title: 'Review {task}', priority: 'medium', due_in_days: 2 }
+    }
+  });
+  const overdue = automation.validateRule({ name: 'Late', enabled: false, trigger: { type: 'task_overdue' }, action: { type: 'bump_priority' } });
+  assert.equal(overdue.rule.enabled, false);
+  assert.deepEqual(overdue.rule.trigger_config, { days: 0 });
+});
+
+test('validateRule explains what is wrong', () => {
+  const cases = [
+    [{ trigger: { type: 'task_completed' }, action: { type: 'bump_priority' } }, /^Give the rule a name/],
+    [{ name: 'x', trigger: { type: 'rain' }, action: { type: 'bump_priority' } }, /^trigger\.type must be one of/],
+    [{ name: 'x', trigger: { type: 'task_completed' }, action: { type: 'email' } }, /^action\.type must be one of/],
+    [{ name: 'x', trigger: { type: 'goal_progress', threshold: 150 }, action: { type: 'complete_goal' } }, /^trigger\.threshold/],
+    [{ name: 'x', trigger: { type: 'focus_session_ended', outcome: 'paused' }, action: { type: 'bump_priority' } }, /^trigger\.outcome/],
+    [{ name: 'x', trigger: { type: 'task_completed', goal_id: 'abc' }, action: { type: 'bump_priority' } }, /^trigger\.goal_id/],
+    [{ name: 'x', trigger: { type: 'task_completed' }, action: { type: 'create_task', title: ' ' } }, /^action\.title is required/],
+    [{ name: 'x', trigger: { type: 'task_completed' }, action: { type: 'snooze_task', hours: 2 } }, /^Only overdue tasks/],
+    [{ name: 'x', trigger: { type: 'task_overdue' }, action: { type: 'snooze_task', hours: 0 } }, /^action\.hours/]
+  ];
+  for (const [input, message] of cases) {
+    assert.match(automation.validateRule(input).error, message, JSON.stringify(input));
+  }
+});
+
+test('matchesTrigger checks the event type and the goal filter', () => {
+  const completed = rule('task_completed', { goal_id: 5, priority: 'low' }, 'bump_priority');
+  assert.equal(automation.matchesTrigger(completed, { type: 'task_completed', task: TASK, goal: GOAL }), true);
+  assert.equal(automation.matchesTrigger(completed, { type: 'task_completed', task: TASK, goal: { ...GOAL, id: 6 } }), false);
+  assert.equal(automation.matchesTrigger(completed, { type: 'task_completed', task: { ...TASK, priority: 'high' }, goal: GOAL }), false);
+  assert.equal(automation.matchesTrigger(completed, { type: 'task_overdue', task: TASK, goal: GOAL }), false);
+});
+
+test('goal progress fires when the threshold is crossed upwards', () => {
+  const halfway = rule('goal_progress', { threshold: 50 }, 'bump_priority');
+  const event = (from, to) => ({ type: 'goal_progress', goal: GOAL, from, to });
+  assert.equal(automation.matchesTrigger(halfway, event(40, 60)), true);
+  assert.equal(automation.matchesTrigger(halfway, event(null, 50)), true);
+  assert.equal(automation.matchesTrigger(halfway, event(60, 70)), false);
+  assert.equal(automation.matchesTrigger(halfway, event(30, 40)), false);
+});
+
+test('overdue counts whole days past the due date', () => {
+  const event = task => ({ type: 'task_overdue', task, goal: GOAL });
+  assert.equal(automation.matchesTrigger(rule('task_overdue', { days: 0 }, 'bump_priority'), event(TASK), { now: NOW }), true);
+  assert.equal(automation.matchesTrigger(rule('task_overdue', { days: 1 }, 'bump_priority'), event(TASK), { now: NOW }), true);
+  assert.equal(automation.matchesTrigger(rule('task_overdue', { days: 2 }, 'bump_priority'), event(TASK), { now: NOW }), false);
+  assert.equal(automation.matchesTrigger(rule('task_overdue', { days: 0 }, 'bump_priority'), event({ ...TASK, status: 'completed' }), { now: NOW }), false);
+  assert.equal(automation.matchesTrigger(rule('task_overdue', { days: 0 }, 'bump_priority'), event({ ...TASK, due_date: null }), { now: NOW }), false);
+});
+
+test('focus session rules filter on outcome and length', () => {
+  const longSessions = rule('focus_session_ended', { outcome: 'completed', min_minutes: 20 }, 'bump_priority');
+  const event = session => ({ type: 'focus_session_ended', task: TASK, goal: GOAL, session });
+  assert.equal(automation.matchesTrigger(longSessions, event({ status: 'completed', duration: 25 })), true);
+  assert.equal(automation.matchesTrigger(longSessions, event({ status: 'completed', duration: 10 })), false);
+  assert.equal(automation.matchesTrigger(longSessions, event({ status: 'abandoned', duration: 25 })), false);
+});
+
+test('planAction describes what each action would do', () => {
+  const event = { type: 'task_completed', task: TASK, goal: GOAL };
+
+  assert.deepEqual(automation.planAction(rule('task_completed', {}, 'create_task', { title: 'Review {task}', priority: 'high', due_in_days: 2 }), event, { now: NOW }), {
+    type: 'create_task',
+    goal_id: 5,
+    title: 'Review Write docs',
+    priority: 'high',
+    estimated_time: null,
+    due_date: '2026-06-12',
+    description: 'Create "Review Write docs" in "Launch"'
+  });
+  assert.deepEqual(automation.planAction(rule('task_completed', {}, 'bump_priority'), event), {
+    type: 'bump_priority',
+    task_id: 9,
+    goal_id: null,
+    priority: 'medium',
+    description: 'Raise "Write docs" from low to medium priority'
+  });
+  assert.deepEqual(automation.planAction(rule('task_overdue', {}, 'snooze_task', { hours: 3 }), event, { now: NOW }), {
+    type: 'snooze_task',
+    task_id: 9,
+    snoozed_until: new Date(NOW + 3 * HOUR_MS).toISOString(),
+    description: 'Snooze "Write docs" for 3 hours'
+  });
+
+  const other = { id: 7, title: 'Side project', progress: 80 };
+  const complete = rule('task_completed', {}, 'complete_goal', { goal_id: 7 });
+  assert.equal(automation.planAction(complete, event, { goals: new Map([[7, other]]) }).goal_id, 7);
+});
+
+test('planAction skips actions that have nothing left to do', () => {
+  const event = { type: 'task_completed', task: { ...TASK, priority: 'high', status: 'completed' }, goal: { ...GOAL, progress: 100 } };
+  assert.match(automation.planAction(rule('task_completed', {}, 'complete_goal'), event).skip, /already at 100%/);
+  assert.match(automation.planAction(rule('task_completed', {}, 'complete_goal', { goal_id: 7 }), event).skip, /no longer exists/);
+  assert.match(automation.planAction(rule('task_completed', {}, 'bump_priority'), event).skip, /already high priority/);
+  assert.match(automation.planAction(rule('task_completed', {}, 'snooze_task', { hours: 1 }), event).skip, /already completed/);
+  assert.match(automation.planAction(rule('task_completed', {}, 'create_task', { title: '{goal}' }), { ...event, goal: { ...GOAL, title: '' } }).skip,
+    /came out empty/);
+});
+
+test('describeRule reads as one sentence', () => {
+  const goals = new Map([[5, GOAL]]);
+  assert.equal(
+    automation.describeRule(rule('task_completed', { goal_id: 5 }, 'create_task', { title: 'Review {task}' }), { goals }),
+    'When a task in "Launch" is completed, create the task "Review {task}"'
+  );
+  assert.equal(
+    automation.describeRule(rule('task_overdue', { days: 3 }, 'snooze_task', { hours: 24 })),
+    'When a task is 3 days overdue, snooze the task for 24 hours'
+  );
+  assert.equal(
+    automation.describeRule(rule('goal_progress', { goal_id: 8, threshold: 50 }, 'bump_priority')),
+    'When goal 8 reaches 50%, raise the goal\'s priority'
+  );
+  assert.equal(
+    automation.describeRule(rule('focus_session_ended', { outcome: 'abandoned', min_minutes: 1 }, 'bump_priority')),
+    'When a focus session is abandoned after at least 1 minute, raise the task\'s priority'
+  );
+});
@@ -0,0 +1,65 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, createClient } = require('./support/server');
+
+// One database, written by the main server and then published by the viewer
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-calendar-'));
+const env = { DATABASE_PATH: path.join(dir, 'nexus.db') };
+
+let token;
+let otherToken;
+
+before(async () => {
+  const server = await startServer({ env });
+  try {
+    const owner = createClient(server.baseUrl);
+    await owner.register('owner');
+    await owner.post('/api/goals', { title: 'Ship it', target_date: '2026-09-01' });
+    ({ token } = (await owner.post('/api/calendar/feed')).body);
+
+    const other = createClient(server.baseUrl);
+    await other.register('other');
+    ({ token: otherToken } = (await other.post('/api/calendar/feed')).body);
+  } finally {
+    await server.stop();
+  }
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('the main server only serves the feed for a valid token', async () => {
+  const server = await startServer({ env });
+  try {
+    const anonymous = createClient(server.baseUrl);
+    assert.equal((await anonymous.get('/api/calendar.ics')).status, 401);
+    assert.equal((await anonymous.get('/api/calendar.ics?token=nope')).status, 401);
+
+    const feed = await anonymous.get(`/api/calendar.ics?token=${token}`);
+    assert.equal(feed.status, 200);
+    assert.match(feed.headers.get('content-type'), /^text\/calendar/);
+    assert.match(feed.body, /SUMMARY:Goal: Ship it/);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('the read-only viewer needs the published account\'s feed token too', async () => {
+  const viewer = await startServer({ script: 'read-only-server.js', env });
+  try {
+    const anonymous = createClient(viewer.baseUrl);
+    for (const url of ['/api/calendar.ics', '/api/calendar.ics?focus=1', '/api/calendar.ics?token=nope', `/api/calendar.ics?token=${otherToken}`]) {
+      const response = await anonymous.get(url);
+      assert.equal(response.status, 401, url);
+      assert.equal(response.body.error, 'Invalid calendar token');
+    }
+
+    const feed = await anonymous.get(`/api/calendar.ics?token=${token}&focus=1`);
+    assert.equal(feed.status, 200);
+    assert.match(feed.body, /SUMMARY:Goal: Ship it/);
+  } finally {
+    await viewer.stop();
+  }
+});
@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../lib/csv');
+
+test('toCsv quotes only the fields that need it', () => {
+  const rows = [
+    { id: 1, title: 'Plain', description: null },
+    { id: 2, title: 'Read "SICP", chapter 1', description: 'two\nlines' }
+  ];
+  assert.equal(
+    toCsv(rows, ['id', 'title', 'description']),
+    'id,title,description\r\n1,Plain,\r\n2,"Read ""SICP"", chapter 1","two\nlines"\r\n'
+  );
+  assert.equal(toCsv([], ['id', 'title']), 'id,title\r\n');
+});
+
+test('parseCsv reads what toCsv writes', () => {
+  const rows = [
+    { title: 'Comma, inside', description: 'He said "hi"' },
+    { title: 'Multi\r\nline', description: '' }
+  ];
+  const parsed = parseCsv(toCsv(rows, ['title', 'description']));
+  assert.deepEqual(parsed.errors, []);
+  assert.deepEqual(parsed.columns, ['title', 'description']);
+  assert.deepEqual(parsed.rows, [
+    { line: 2, title: 'Comma, inside', description: 'He said "hi"' },
+    { line: 3, title: 'Multi\r\nline', description: '' }
+  ]);
+});
+
+test('parseCsv normalizes the header, skips blank lines and tracks line numbers', () => {
+  const parsed = parseCsv('\uFEFF Title ,STATUS\n\nfirst,done\n"second\nhalf",pending\nthird');
+  assert.deepEqual(parsed.columns, ['title', 'status']);
+  assert.deepEqual(parsed.rows, [
+    { line: 3, title: 'first', status: 'done' },
+    { line: 4, title: 'second\nhalf', status: 'pending' },
+    { line: 6, title: 'third', status: '' }
+  ]);
+  assert.deepEqual(parsed.errors, []);
+});
+
+test('parseCsv reports extra fields, unclosed quotes and a missing header', () => {
+  assert.deepEqual(parseCsv('title\na,b\n').errors, ['Line 2: 2 fields but only 1 columns']);
+  assert.deepEqual(parseCsv('title\n"never closed\n').errors, ['Line 2: a quoted field is never closed']);
+  for (const text of ['', '\r\n\r\n', null]) {
+    assert.deepEqual(parseCsv(text), { columns: [], rows: [], errors: ['The file has no header row'] });
+  }
+});
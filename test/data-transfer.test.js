@@ -0,0 +1,131 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const dataTransfer = require('../lib/data-transfer');
+const { startServer, createClient } = require('./support/server');
+
+// An export from another server: ids are deliberately far from the ones a
+// fresh database hands out, so a reference that is not rewritten shows up
+function exportDocument() {
+  return {
+    format: dataTransfer.FORMAT,
+    version: dataTransfer.VERSION,
+    schema_version: 15,
+    exported_at: '2026-06-01T12:00:00.000Z',
+    data: {
+      goals: [{ id: 70, title: 'Learn Rust', category: 'learning', priority: 'high', progress_mode: 'tasks' }],
+      milestones: [{ id: 30, goal_id: 70, title: 'The book', position: 0, status: 'pending' }],
+      tasks: [
+        { id: 110, goal_id: 70, milestone_id: 30, title: 'Read chapter 1', status: 'completed', estimated_time: 60, actual_time: 75 },
+        { id: 120, goal_id: 70, milestone_id: 30, title: 'Read chapter 2', status: 'pending', estimated_time: 60 }
+      ],
+      task_dependencies: [{ task_id: 120, blocked_by: 110 }],
+      resources: [{ id: 50, title: 'The Rust Book', url: 'https://doc.rust-lang.org/book/', type: 'book' }],
+      resource_links: [{ id: 90, resource_id: 50, task_id: 120 }],
+      focus_sessions: [{ id: 40, task_id: 120, duration: 25, start_time: '2026-06-01T10:00:00.000Z', status: 'active' }]
+    }
+  };
+}
+
+test('validateDocument rejects other files and unsupported versions', () => {
+  assert.deepEqual(dataTransfer.validateDocument([]).errors, ['The file is not a Nexus export']);
+  assert.match(dataTransfer.validateDocument({ format: 'other' }).errors[0], /^Unknown format "other"/);
+  assert.match(dataTransfer.validateDocument({ format: dataTransfer.FORMAT, version: dataTransfer.VERSION + 1 }).errors[0],
+    /^Unsupported export version/);
+  assert.deepEqual(dataTransfer.validateDocument({ format: dataTransfer.FORMAT, version: 1 }).errors, ['The export has no data section']);
+});
+
+test('validateDocument checks ids, required columns and references', () => {
+  const document = exportDocument();
+  const valid = dataTransfer.validateDocument(document);
+  assert.deepEqual(valid.errors, []);
+  assert.equal(valid.counts.tasks, 2);
+  assert.deepEqual(valid.warnings, ['1 running focus session will be imported as abandoned']);
+
+  document.data.tasks.push({ id: 110, goal_id: 70, title: 'Duplicate' });
+  document.data.tasks.push({ id: 'x', goal_id: 71, title: '' });
+  document.data.task_dependencies.push({ task_id: 120, blocked_by: 999 });
+  document.data.notes = [];
+  const invalid = dataTransfer.validateDocument(document);
+  assert.deepEqual(invalid.errors, [
+    'tasks[2]: id 110 appears more than once',
+    'tasks[3]: id must be a whole number',
+    'tasks[3]: title is required',
+    'tasks[3]: goal_id 71 does not match any goal in the file',
+    'task_dependencies[1]: blocked_by 999 does not match any task in the file'
+  ]);
+  assert.ok(invalid.warnings.includes('"notes" is not a known collection and will be ignored'));
+});
+
+test('rowValues rewrites references and abandons running sessions', () => {
+  const sessions = dataTransfer.COLLECTIONS.find(collection => collection.name === 'focus_sessions');
+  const newId = (name, oldId) => `${name}:${oldId}`;
+  const values = dataTransfer.rowValues(sessions, { task_id: 120, duration: 25, status: 'paused', distractions: '' }, newId);
+  const byColumn = Object.fromEntries(sessions.columns.map((column, index) => [column, values[index]]));
+  assert.equal(byColumn.task_id, 'tasks:120');
+  assert.equal(byColumn.status, 'abandoned');
+  assert.equal(byColumn.distractions, null);
+});
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+});
+
+after(() => server.stop());
+
+test('an import gives every row a new id and follows the references', async () => {
+  // Something already in the account, so imported ids cannot line up by chance
+  await client.post('/api/goals', { title: 'Existing goal' });
+
+  const dryRun = await client.post('/api/import?dry_run=true', exportDocument());
+  assert.equal(dryRun.status, 200);
+  assert.equal(dryRun.body.counts.tasks, 2);
+  assert.equal((await client.get('/api/export')).body.data.tasks.length, 0);
+
+  const imported = await client.post('/api/import', exportDocument());
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.counts.goals, 1);
+
+  const { data } = (await client.get('/api/export')).body;
+  const goal = data.goals.find(g => g.title === 'Learn Rust');
+  const [first, second] = data.tasks;
+  assert.notEqual(goal.id, 70);
+  assert.equal(data.milestones[0].goal_id, goal.id);
+  assert.deepEqual(data.tasks.map(task => [task.goal_id, task.milestone_id]),
+    [[goal.id, data.milestones[0].id], [goal.id, data.milestones[0].id]]);
+  assert.deepEqual(data.task_dependencies.map(d => [d.task_id, d.blocked_by]), [[second.id, first.id]]);
+  assert.deepEqual(data.resource_links.map(link => [link.resource_id, link.task_id]), [[data.resources[0].id, second.id]]);
+  assert.equal(data.focus_sessions[0].task_id, second.id);
+  assert.equal(data.focus_sessions[0].status, 'abandoned');
+});
+
+test('merge adds a second copy and replace starts over', async () => {
+  await client.post('/api/import', exportDocument());
+  let { data } = (await client.get('/api/export')).body;
+  assert.equal(data.tasks.length, 4);
+  assert.equal(new Set(data.tasks.map(task => task.id)).size, 4);
+
+  const replaced = await client.post('/api/import?mode=replace', exportDocument());
+  assert.equal(replaced.status, 200);
+  assert.equal(replaced.body.replaced.goals, 3);
+  ({ data } = (await client.get('/api/export')).body);
+  assert.deepEqual(data.goals.map(goal => goal.title), ['Learn Rust']);
+  assert.equal(data.tasks.length, 2);
+});
+
+test('an invalid document or mode imports nothing', async () => {
+  const document = exportDocument();
+  document.data.tasks[0].goal_id = 71;
+  const invalid = await client.post('/api/import', document);
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.message, 'tasks[0]: goal_id 71 does not match any goal in the file');
+
+  const badMode = await client.post('/api/import?mode=overwrite', exportDocument());
+  assert.equal(badMode.status, 400);
+  assert.equal(badMode.body.error, 'Invalid mode');
+  assert.equal((await client.get('/api/export')).body.data.tasks.length, 2);
+});
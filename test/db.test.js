@@ -0,0 +1,65 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Database, QueryTimeoutError } = require('../lib/db');
+
+// Keeps SQLite busy for far longer than the timeouts used below
+const SLOW_QUERY = `WITH RECURSIVE n(i) AS (SELECT 1 UNION ALL SELECT i + 1 FROM n WHERE i < 1000000000)
+  SELECT COUNT(*) AS count FROM n`;
+
+test('a query that runs too long is stopped with QueryTimeoutError', async () => {
+  const db = await Database.open(':memory:', { queryTimeout: 100 });
+  const started = Date.now();
+  await assert.rejects(db.get(SLOW_QUERY), QueryTimeoutError);
+  assert.ok(Date.now() - started < 5000);
+
+  // The connection is still usable afterwards
+  assert.deepEqual(await db.get('SELECT 1 AS one'), { one: 1 });
+  await db.close();
+});
+
+test('a timeout only stops the query that ran too long', async () => {
+  const db = await Database.open(':memory:', { queryTimeout: 100 });
+  const slow = db.get(SLOW_QUERY);
+  const queued = [db.get('SELECT 1 AS one'), db.all('SELECT 2 AS two'), db.get('SELECT 3 AS three')];
+
+  await assert.rejects(slow, QueryTimeoutError);
+  assert.deepEqual(await Promise.all(queued), [{ one: 1 }, [{ two: 2 }], { three: 3 }]);
+  await db.close();
+});
+
+test('statements evicted from the cache are not finalized under a caller', async () => {
+  const db = await Database.open(':memory:', { statementCacheSize: 2 });
+  const values = Array.from({ length: 20 }, (_, i) => i % 7);
+  const rows = await Promise.all(values.map(value => db.get(`SELECT ${value} AS value`)));
+  assert.deepEqual(rows.map(row => row.value), values);
+  assert.ok(db.statements.size <= 2);
+  await db.close();
+});
+
+test('a failing transaction is rolled back and other queries wait for it', async () => {
+  const db = await Database.open(':memory:');
+  await db.run('CREATE TABLE notes (id INTEGER PRIMARY KEY, body TEXT NOT NULL)');
+
+  await assert.rejects(db.transaction(async (tx) => {
+    await tx.run('INSERT INTO notes (body) VALUES (?)', ['kept?']);
+    await tx.run('INSERT INTO notes (body) VALUES (?)', [null]);
+  }), /NOT NULL/);
+  assert.deepEqual(await db.all('SELECT body FROM notes'), []);
+
+  let release;
+  const pause = new Promise((resolve) => {
+    release = resolve;
+  });
+  const committed = db.transaction(async (tx) => {
+    await tx.run('INSERT INTO notes (body) VALUES (?)', ['first']);
+    await pause;
+    await tx.run('INSERT INTO notes (body) VALUES (?)', ['second']);
+    return 'done';
+  });
+  // Started while the transaction is open, so it sees both rows or neither
+  const count = db.get('SELECT COUNT(*) AS count FROM notes');
+  release();
+  assert.equal(await committed, 'done');
+  assert.equal((await count).count, 2);
+  await db.close();
+});
@@ -0,0 +1,105 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+let goalId;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  goalId = (await client.post('/api/goals', { title: 'Move house' })).body.id;
+});
+
+after(() => server.stop());
+
+async function createTask(title) {
+  const response = await client.post('/api/tasks', { goal_id: goalId, title });
+  assert.equal(response.status, 200);
+  return response.body.id;
+}
+
+const block = (taskId, blockerId) => client.post(`/api/tasks/${taskId}/dependencies`, { blocked_by: blockerId });
+
+async function complete(taskId) {
+  await client.post(`/api/tasks/${taskId}/status`, { status: 'in_progress' });
+  return client.post(`/api/tasks/${taskId}/status`, { status: 'completed' });
+}
+
+test('a task cannot be blocked by itself', async () => {
+  const task = await createTask('Book the van');
+  const response = await block(task, task);
+  assert.equal(response.status, 400);
+  assert.equal(response.body.error, 'Invalid dependency');
+  assert.equal((await block(task, 'soon')).body.error, 'Missing prerequisite');
+});
+
+test('direct and transitive cycles are refused', async () => {
+  const pack = await createTask('Pack boxes');
+  const load = await createTask('Load the van');
+  const unload = await createTask('Unload');
+
+  const added = await block(load, pack);
+  assert.equal(added.status, 200);
+  assert.deepEqual(added.body.blocked_by.map(task => task.id), [pack]);
+  assert.equal(added.body.is_blocked, true);
+  assert.equal((await block(unload, load)).status, 200);
+
+  const direct = await block(pack, load);
+  assert.equal(direct.status, 409);
+  assert.equal(direct.body.error, 'Dependency cycle');
+  assert.equal((await block(pack, unload)).status, 409);
+
+  // Adding the same dependency twice is harmless, and unrelated ones still work
+  assert.equal((await block(load, pack)).status, 200);
+  assert.equal((await block(unload, pack)).status, 200);
+  const dependencies = (await client.get(`/api/tasks/${pack}/dependencies`)).body;
+  assert.deepEqual(dependencies.blocked_by, []);
+  assert.deepEqual(dependencies.blocking.map(task => task.id), [load, unload]);
+});
+
+test('a blocked task cannot be started', async () => {
+  const first = await createTask('Measure the sofa');
+  const second = await createTask('Order a bigger van');
+  await block(second, first);
+
+  const started = await client.post(`/api/tasks/${second}/status`, { status: 'in_progress' });
+  assert.equal(started.status, 409);
+  assert.equal(started.body.error, 'Task is blocked');
+  assert.deepEqual(started.body.blocked_by.map(task => task.id), [first]);
+  assert.equal((await client.get(`/api/tasks/${second}`)).body.open_blockers, 1);
+});
+
+test('completing the last blocker reports the tasks it unblocked', async () => {
+  const keys = await createTask('Collect keys');
+  const meter = await createTask('Read the meter');
+  const clean = await createTask('Clean the flat');
+  const handOver = await createTask('Hand over');
+  await block(clean, keys);
+  await block(handOver, keys);
+  await block(handOver, meter);
+
+  const first = await complete(keys);
+  assert.deepEqual(first.body.unblocked.map(task => task.id), [clean]);
+  const second = await complete(meter);
+  assert.deepEqual(second.body.unblocked.map(task => task.id), [handOver]);
+  assert.equal((await client.get(`/api/tasks/${handOver}`)).body.open_blockers, 0);
+  assert.equal((await client.post(`/api/tasks/${handOver}/status`, { status: 'in_progress' })).status, 200);
+
+  // Only completion unblocks anything
+  assert.deepEqual((await client.post(`/api/tasks/${keys}/status`, { status: 'pending' })).body.unblocked, []);
+});
+
+test('a removed dependency no longer blocks', async () => {
+  const first = await createTask('Cancel the internet');
+  const second = await createTask('Set up the new internet');
+  await block(second, first);
+
+  const removed = await client.delete(`/api/tasks/${second}/dependencies/${first}`);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.is_blocked, false);
+  assert.equal((await client.delete(`/api/tasks/${second}/dependencies/${first}`)).status, 404);
+  assert.equal((await block(first, second)).status, 200);
+});
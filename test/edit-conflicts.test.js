@@ -0,0 +1,47 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+let goalId;
+let taskId;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  goalId = (await client.post('/api/goals', { title: 'Goal' })).body.id;
+  taskId = (await client.post('/api/tasks', { goal_id: goalId, title: 'Task' })).body.id;
+});
+
+after(() => server.stop());
+
+test('every change moves updated_at on, even within the same second', async () => {
+  const goalStamps = [];
+  const taskStamps = [];
+  for (let i = 0; i < 5; i++) {
+    goalStamps.push((await client.put(`/api/goals/${goalId}`, { title: `Goal ${i}` })).body.goal.updated_at);
+    taskStamps.push((await client.put(`/api/tasks/${taskId}`, { title: `Task ${i}` })).body.task.updated_at);
+  }
+  assert.equal(new Set(goalStamps).size, goalStamps.length, goalStamps.join(', '));
+  assert.equal(new Set(taskStamps).size, taskStamps.length, taskStamps.join(', '));
+  assert.match(taskStamps[0], /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}\.\d{3}$/);
+});
+
+test('an edit made against an older version is refused', async () => {
+  const goals = (await client.get('/api/goals')).body;
+  const task = (await client.get(`/api/tasks/${taskId}`)).body;
+  const cases = [
+    [`/api/goals/${goalId}`, goals.find(goal => goal.id === goalId).updated_at],
+    [`/api/tasks/${taskId}`, task.updated_at]
+  ];
+  for (const [path, seen] of cases) {
+    const first = await client.put(path, { title: 'Edited here' }, { 'X-Expected-Updated-At': seen });
+    assert.equal(first.status, 200, path);
+
+    const second = await client.put(path, { title: 'Edited elsewhere' }, { 'X-Expected-Updated-At': seen });
+    assert.equal(second.status, 409, path);
+    assert.equal(second.body.current.title, 'Edited here');
+  }
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const estimateCalibration = require('../lib/estimate-calibration');
+const { openTestDatabase, createUser } = require('./support/database');
+
+const { calibrateEstimates, correctionFor, calibratedEstimate, describeCorrection } = estimateCalibration;
+
+function task(estimated_time, actual_time, fields = {}) {
+  return { estimated_time, actual_time, priority: 'medium', category: null, ...fields };
+}
+
+// Three learning tasks that took twice as long, two quick health tasks and
+// one on-estimate task without a category
+const HISTORY = [
+  task(30, 60, { category: 'learning', priority: 'high' }),
+  task(30, 60, { category: 'learning', priority: 'high' }),
+  task(30, 60, { category: 'learning', priority: 'high' }),
+  task(60, 30, { category: 'health', priority: 'high' }),
+  task(60, 30, { category: 'health', priority: 'high' }),
+  task(45, 45, { priority: 'low' })
+];
+
+test('factors are the median ratio overall, per category and per priority', () => {
+  const calibration = calibrateEstimates(HISTORY);
+  assert.equal(calibration.min_sample, estimateCalibration.MIN_SAMPLE);
+  assert.deepEqual(calibration.overall, { factor: 1.5, sample_size: 6, estimated_minutes: 255, actual_minutes: 285, applied: true });
+  assert.deepEqual(Object.keys(calibration.categories).sort(), ['health', 'learning']);
+  assert.equal(calibration.categories.learning.factor, 2);
+  assert.equal(calibration.categories.learning.applied, true);
+  assert.equal(calibration.categories.health.factor, 0.5);
+  assert.equal(calibration.categories.health.applied, false);
+  assert.equal(calibration.priorities.high.factor, 2);
+  assert.equal(calibration.priorities.high.sample_size, 5);
+  assert.equal(calibration.priorities.low.applied, false);
+});
+
+test('tasks missing a time are ignored and an empty history has no factors', () => {
+  assert.deepEqual(calibrateEstimates([task(0, 30), task(30, null), task(null, null)]), {
+    min_sample: estimateCalibration.MIN_SAMPLE,
+    overall: null,
+    categories: {},
+    priorities: {}
+  });
+});
+
+test('each ratio is clamped so one wild task cannot swing the factor', () => {
+  // 10× and 1× average to 5.5 unclamped; 10× counts as 4×
+  assert.equal(calibrateEstimates([task(10, 100), task(10, 10)]).overall.factor, 2.5);
+  assert.equal(calibrateEstimates([task(100, 1), task(100, 100)]).overall.factor, 0.63);
+});
+
+test('correctionFor prefers the category, then the priority, then the overall factor', () => {
+  const calibration = calibrateEstimates(HISTORY);
+  assert.deepEqual(correctionFor({ category: 'learning', priority: 'low' }, calibration),
+    { factor: 2, basis: 'category', value: 'learning', sample_size: 3 });
+  assert.deepEqual(correctionFor({ category: 'health', priority: 'high' }, calibration),
+    { factor: 2, basis: 'priority', value: 'high', sample_size: 5 });
+  assert.deepEqual(correctionFor({ category: 'health', priority: 'low' }, calibration),
+    { factor: 1.5, basis: 'overall', value: null, sample_size: 6 });
+  assert.equal(correctionFor({ category: 'learning', priority: 'high' }, calibrateEstimates(HISTORY.slice(0, 2))), null);
+});
+
+test('calibratedEstimate scales the estimate, or leaves it alone without history', () => {
+  const calibration = calibrateEstimates(HISTORY);
+  assert.equal(calibratedEstimate({ estimated_time: 25, category: 'learning' }, calibration), 50);
+  assert.equal(calibratedEstimate({ estimated_time: 25, category: 'other', priority: 'low' }, calibration), 38);
+  assert.equal(calibratedEstimate({ estimated_time: 25 }, calibrateEstimates([])), 25);
+  assert.equal(calibratedEstimate({ estimated_time: null, category: 'learning' }, calibration), null);
+});
+
+test('describeCorrection only mentions factors that are notably off', () => {
+  assert.equal(describeCorrection(null), null);
+  assert.equal(describeCorrection({ factor: 1.1, basis: 'overall', value: null }), null);
+  assert.equal(describeCorrection({ factor: 1.4, basis: 'category', value: 'learning' }),
+    'You usually take 1.4× longer on learning tasks than you estimate');
+  assert.equal(describeCorrection({ factor: 0.5, basis: 'priority', value: 'high' }),
+    'You usually need only 0.5× your estimate on high-priority tasks');
+  assert.equal(describeCorrection({ factor: 2.25, basis: 'overall', value: null }),
+    'You usually take 2.3× longer on tasks than you estimate');
+});
+
+test('loadEstimateCalibration learns from the user\'s own most recent completed tasks', async () => {
+  const db = await openTestDatabase();
+  try {
+    const userId = await createUser(db);
+    const otherUser = await createUser(db, 'other');
+    const goalId = (await db.run("INSERT INTO goals (title, category, user_id) VALUES ('Course', 'learning', ?)", [userId])).lastID;
+    const insert = (fields) => db.run(
+      'INSERT INTO tasks (goal_id, title, status, estimated_time, actual_time, completed_at, user_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [fields.goal_id || null, 'Task', fields.status || 'completed', fields.estimated_time, fields.actual_time, fields.completed_at || '2026-06-01 12:00:00', fields.user_id || userId]
+    );
+
+    await insert({ goal_id: goalId, estimated_time: 30, actual_time: 60 });
+    await insert({ estimated_time: 30, actual_time: 30, status: 'pending' });
+    await insert({ estimated_time: 30, actual_time: null });
+    await insert({ estimated_time: 30, actual_time: 90, user_id: otherUser });
+
+    let calibration = await estimateCalibration.loadEstimateCalibration(db, userId);
+    assert.equal(calibration.overall.sample_size, 1);
+    assert.equal(calibration.categories.learning.factor, 2);
+
+    // Only the newest HISTORY_SIZE tasks count
+    await db.transaction(async (tx) => {
+      for (let i = 0; i < estimateCalibration.HISTORY_SIZE; i++) {
+        await tx.run(
+          "INSERT INTO tasks (title, status, estimated_time, actual_time, completed_at, user_id) VALUES ('Task', 'completed', 20, 20, '2026-06-05 12:00:00', ?)",
+          [userId]
+        );
+      }
+    });
+    calibration = await estimateCalibration.loadEstimateCalibration(db, userId);
+    assert.equal(calibration.overall.sample_size, estimateCalibration.HISTORY_SIZE);
+    assert.deepEqual(calibration.categories, {});
+  } finally {
+    await db.close();
+  }
+});
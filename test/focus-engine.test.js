@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const focusEngine = require('../lib/focus-engine');
+const { openTestDatabase, createUser } = require('./support/database');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+
+let db;
+let userId;
+let goalId;
+
+before(async () => {
+  db = await openTestDatabase();
+  userId = await createUser(db);
+  goalId = (await db.run("INSERT INTO goals (title, priority, user_id) VALUES ('Goal', 'high', ?)", [userId])).lastID;
+});
+
+after(() => db.close());
+
+async function addTask(title, fields = {}) {
+  const row = { status: 'pending', priority: 'medium', estimated_time: 30, ...fields };
+  const { lastID } = await db.run(
+    'INSERT INTO tasks (goal_id, title, status, priority, estimated_time, snoozed_until, user_id) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [goalId, title, row.status, row.priority, row.estimated_time, row.snoozed_until || null, userId]
+  );
+  return lastID;
+}
+
+test('parseFocusOptions validates available_minutes and clamps limit', () => {
+  assert.deepEqual(focusEngine.parseFocusOptions({}), { availableMinutes: null, limit: focusEngine.SHORTLIST_SIZE });
+  assert.deepEqual(focusEngine.parseFocusOptions({ available_minutes: '45', limit: '3' }), { availableMinutes: 45, limit: 3 });
+  assert.equal(focusEngine.parseFocusOptions({ limit: '500' }).limit, 20);
+  assert.equal(focusEngine.parseFocusOptions({ limit: '-2' }).limit, 1);
+  for (const value of ['0', '-5', '2.5', 'soon']) {
+    assert.match(focusEngine.parseFocusOptions({ available_minutes: value }).error, /positive whole number/);
+  }
+});
+
+test('candidates are open tasks that are neither blocked nor snoozed', async () => {
+  const pending = await addTask('Pending');
+  const started = await addTask('Started', { status: 'in_progress' });
+  await addTask('Done', { status: 'completed' });
+  await addTask('Missed', { status: 'missed' });
+  await addTask('Snoozed', { snoozed_until: new Date(NOW + DAY_MS).toISOString() });
+  const snoozeOver = await addTask('Snooze over', { snoozed_until: new Date(NOW - DAY_MS).toISOString() });
+  const blocked = await addTask('Blocked');
+  await db.run('INSERT INTO task_dependencies (task_id, blocked_by) VALUES (?, ?)', [blocked, pending]);
+  const otherUser = await createUser(db, 'someone-else');
+  await db.run("INSERT INTO tasks (title, status, user_id) VALUES ('Not mine', 'pending', ?)", [otherUser]);
+
+  const ids = (await focusEngine.loadFocusCandidates(db, userId, NOW)).map(task => task.id).sort((a, b) => a - b);
+  assert.deepEqual(ids, [pending, started, snoozeOver]);
+});
+
+test('recent skips and abandoned sessions are counted, older ones are not', async () => {
+  const task = await addTask('Often skipped');
+  const recent = new Date(NOW - 2 * DAY_MS).toISOString();
+  const old = new Date(NOW - (focusEngine.SKIP_WINDOW_DAYS + 1) * DAY_MS).toISOString();
+  await db.run("INSERT INTO task_skips (task_id, user_id, kind, created_at) VALUES (?, ?, 'skip', ?)", [task, userId, recent]);
+  await db.run("INSERT INTO task_skips (task_id, user_id, kind, created_at) VALUES (?, ?, 'skip', ?)", [task, userId, old]);
+  await db.run("INSERT INTO task_skips (task_id, user_id, kind, created_at) VALUES (?, ?, 'snooze', ?)", [task, userId, recent]);
+  await db.run("INSERT INTO focus_sessions (task_id, start_time, status, user_id) VALUES (?, ?, 'abandoned', ?)", [task, recent, userId]);
+
+  const candidate = (await focusEngine.loadFocusCandidates(db, userId, NOW)).find(row => row.id === task);
+  assert.equal(candidate.recent_skips, 2);
+});
+
+test('suggestNextTask returns the best task with a shortlist of at most limit', async () => {
+  const suggestion = await focusEngine.suggestNextTask(db, userId, { now: NOW, availableMinutes: 45, limit: 2 });
+  assert.equal(suggestion.shortlist.length, 2);
+  assert.equal(suggestion.id, suggestion.shortlist[0].id);
+  assert.equal(suggestion.available_minutes, 45);
+  assert.ok(suggestion.shortlist[0].score >= suggestion.shortlist[1].score);
+  assert.equal(suggestion.calibrated_estimate, 30);
+});
+
+test('suggestNextTask says so when there is nothing to do', async () => {
+  const idle = await createUser(db, 'idle');
+  assert.deepEqual(await focusEngine.suggestNextTask(db, idle, { now: NOW }), { message: 'No pending tasks found' });
+});
@@ -0,0 +1,81 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WEIGHTS, parseTimestamp, scoreTask, rankTasks } = require('../lib/focus-scoring');
+
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+
+function task(fields = {}) {
+  return { id: 1, priority: 'medium', goal_priority: 'medium', created_at: '2026-06-10 08:00:00', ...fields };
+}
+
+test('parseTimestamp reads SQLite timestamps as UTC', () => {
+  assert.equal(parseTimestamp('2026-06-10 08:00:00'), Date.parse('2026-06-10T08:00:00Z'));
+  assert.equal(parseTimestamp('2026-06-10T08:00:00+02:00'), Date.parse('2026-06-10T06:00:00Z'));
+  assert.ok(Number.isNaN(parseTimestamp(null)));
+});
+
+test('priorities of the task and its goal add points', () => {
+  const low = scoreTask(task({ priority: 'low', goal_priority: 'low' }), { now: NOW });
+  const high = scoreTask(task({ priority: 'high', goal_priority: 'high' }), { now: NOW });
+  assert.equal(high.factors.taskPriority, WEIGHTS.taskPriority);
+  assert.equal(high.factors.goalPriority, WEIGHTS.goalPriority);
+  assert.ok(high.score > low.score);
+  assert.deepEqual(high.reasons, ['Part of a high-priority goal', 'High priority']);
+});
+
+test('deadlines count more as they get closer and fully once passed', () => {
+  const score = dueDate => scoreTask(task({ due_date: dueDate }), { now: NOW }).factors.dueDate || 0;
+  assert.equal(score('2026-07-30'), 0);
+  assert.ok(score('2026-06-20') > 0);
+  assert.ok(score('2026-06-12') > score('2026-06-20'));
+  assert.equal(score('2026-06-10'), WEIGHTS.dueDate);
+  assert.equal(score('2026-06-01'), WEIGHTS.dueDate);
+
+  assert.ok(scoreTask(task({ due_date: '2026-06-08' }), { now: NOW }).reasons.includes('Due overdue by 2 days'));
+  assert.ok(scoreTask(task({ due_date: '2026-06-11' }), { now: NOW }).reasons.includes('Due tomorrow'));
+  assert.ok(scoreTask(task({ goal_target_date: '2026-06-15' }), { now: NOW }).reasons.includes('Goal target in 5 days'));
+});
+
+test('time fit only counts when the available time is known', () => {
+  assert.equal(scoreTask(task({ estimated_time: 30 }), { now: NOW }).factors.timeFit, undefined);
+
+  const fits = scoreTask(task({ estimated_time: 30 }), { now: NOW, availableMinutes: 45 });
+  assert.equal(fits.factors.timeFit, WEIGHTS.timeFit);
+  assert.ok(fits.reasons.includes('Fits in your 45 minutes (~30 min)'));
+
+  const tooLong = scoreTask(task({ estimated_time: 90 }), { now: NOW, availableMinutes: 45 });
+  assert.ok(tooLong.factors.timeFit < WEIGHTS.timeFit / 2);
+
+  // The calibrated estimate wins over the raw one
+  const calibrated = scoreTask(task({ estimated_time: 30, calibrated_estimate: 60 }), { now: NOW, availableMinutes: 45 });
+  assert.ok(calibrated.reasons.includes('Needs ~60 min, more than the 45 you have'));
+
+  const unknown = scoreTask(task(), { now: NOW, availableMinutes: 45 });
+  assert.equal(unknown.factors.timeFit, WEIGHTS.timeFit / 2);
+});
+
+test('waiting tasks slowly gain points, and skips cost them up to a cap', () => {
+  const waited = scoreTask(task({ created_at: '2026-05-27 12:00:00' }), { now: NOW });
+  assert.ok(waited.factors.waiting > 0);
+  assert.ok(waited.reasons.includes('Waiting for 14 days'));
+
+  const fresh = scoreTask(task(), { now: NOW }).score;
+  const once = scoreTask(task({ recent_skips: 1 }), { now: NOW });
+  const often = scoreTask(task({ recent_skips: 10 }), { now: NOW });
+  assert.ok(once.score < fresh);
+  assert.ok(once.reasons.includes('Skipped 1 time recently'));
+  assert.equal(often.factors.skips, scoreTask(task({ recent_skips: 3 }), { now: NOW }).factors.skips);
+});
+
+test('rankTasks orders by score, then earliest due date, then id, and keeps limit', () => {
+  const tasks = [
+    task({ id: 1, priority: 'low' }),
+    task({ id: 2, priority: 'high' }),
+    task({ id: 3, priority: 'medium', due_date: '2026-08-30' }),
+    task({ id: 4, priority: 'medium', due_date: '2026-08-01' }),
+    task({ id: 5, priority: 'medium' })
+  ];
+  const ranked = rankTasks(tasks, { now: NOW, limit: 4 });
+  assert.deepEqual(ranked.map(item => item.id), [2, 4, 3, 5]);
+  assert.ok(ranked.every(item => typeof item.score === 'number' && Array.isArray(item.reasons)));
+});
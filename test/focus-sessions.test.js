@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+let goalId;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  goalId = (await client.post('/api/goals', { title: 'Ship the release' })).body.id;
+});
+
+after(() => server.stop());
+
+async function createTask(title) {
+  const response = await client.post('/api/tasks', { goal_id: goalId, title, estimated_time: 30 });
+  assert.equal(response.status, 200);
+  return response.body.id;
+}
+
+async function suggestedIds() {
+  const response = await client.get('/api/focus/next-task');
+  assert.equal(response.status, 200);
+  return (response.body.shortlist || []).map(task => task.id);
+}
+
+async function focusOn(taskId, action, body = {}) {
+  const started = await client.post('/api/focus/sessions', { task_id: taskId });
+  assert.equal(started.status, 200);
+  const ended = await client.post(`/api/focus/sessions/${started.body.id}/${action}`, body);
+  assert.equal(ended.status, 200);
+  return ended.body.session;
+}
+
+test('a task worked on but not finished is still suggested', async () => {
+  const first = await createTask('Write release notes');
+  const second = await createTask('Tag the release');
+
+  const session = await focusOn(first, 'stop');
+  assert.equal(session.status, 'completed');
+  assert.equal(session.task_status, 'in_progress');
+
+  assert.deepEqual((await suggestedIds()).sort(), [first, second].sort());
+});
+
+test('an abandoned session leaves its task suggested', async () => {
+  const task = await createTask('Update the changelog');
+  await focusOn(task, 'abandon');
+  assert.ok((await suggestedIds()).includes(task));
+});
+
+test('completing the task with the session takes it out of the suggestions', async () => {
+  const task = await createTask('Announce the release');
+  const session = await focusOn(task, 'stop', { complete_task: true });
+  assert.equal(session.task_status, 'completed');
+  assert.ok(!(await suggestedIds()).includes(task));
+});
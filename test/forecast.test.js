@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { forecastGoal } = require('../lib/forecast');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+
+// SQLite-style timestamp `days` days before NOW
+function daysAgo(days) {
+  return new Date(NOW - days * DAY_MS).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+// One task finished in each of the last four weeks, and `open` still to do
+function steadyTasks(open = 2, fields = {}) {
+  const done = [1, 8, 15, 22].map(days => ({ status: 'completed', estimated_time: 60, created_at: daysAgo(28), completed_at: daysAgo(days), ...fields }));
+  const todo = Array.from({ length: open }, () => ({ status: 'pending', estimated_time: 60, created_at: daysAgo(28), ...fields }));
+  return [...done, ...todo];
+}
+
+test('velocity is measured per week over the weeks the goal has had tasks', () => {
+  const forecast = forecastGoal({ progress_mode: 'tasks', target_date: null }, steadyTasks(), { now: NOW });
+  assert.equal(forecast.unit, 'tasks');
+  assert.equal(forecast.weeks_measured, 4);
+  assert.deepEqual(forecast.history, [1, 1, 1, 1]);
+  assert.equal(forecast.velocity_per_week, 1);
+  assert.equal(forecast.remaining, 2);
+  assert.equal(forecast.expected_date, '2026-06-24');
+  assert.equal(forecast.earliest_date, '2026-06-24');
+  assert.equal(forecast.latest_date, '2026-06-24');
+  assert.equal(forecast.status, 'no_target');
+});
+
+test('the target date decides between on track, at risk and overdue', () => {
+  const onTrack = forecastGoal({ target_date: '2026-06-30' }, steadyTasks(), { now: NOW });
+  assert.equal(onTrack.status, 'on_track');
+  assert.equal(onTrack.slack_days, 6);
+
+  const atRisk = forecastGoal({ target_date: '2026-06-20' }, steadyTasks(), { now: NOW });
+  assert.equal(atRisk.status, 'at_risk');
+  assert.equal(atRisk.slack_days, -4);
+
+  assert.equal(forecastGoal({ target_date: '2026-06-01' }, steadyTasks(), { now: NOW }).status, 'overdue');
+});
+
+test('uneven weeks give a range around the expected date', () => {
+  const tasks = steadyTasks(4);
+  tasks[0].completed_at = daysAgo(8);
+  const forecast = forecastGoal({ target_date: null }, tasks, { now: NOW });
+  assert.deepEqual(forecast.history, [1, 1, 2, 0]);
+  assert.ok(forecast.earliest_date < forecast.expected_date);
+  assert.ok(forecast.latest_date > forecast.expected_date);
+});
+
+test('goals without recent progress have no dates', () => {
+  const idle = [{ status: 'pending', created_at: daysAgo(10) }];
+  const dated = forecastGoal({ target_date: '2026-12-31' }, idle, { now: NOW });
+  assert.equal(dated.expected_date, null);
+  assert.equal(dated.status, 'at_risk');
+  assert.equal(dated.slack_days, null);
+
+  assert.equal(forecastGoal({ target_date: null }, idle, { now: NOW }).status, 'no_data');
+  assert.equal(forecastGoal({ target_date: '2026-12-31' }, [], { now: NOW }).status, 'no_data');
+});
+
+test('finished goals are complete today', () => {
+  const forecast = forecastGoal({ target_date: '2026-06-01' }, steadyTasks(0), { now: NOW });
+  assert.equal(forecast.status, 'complete');
+  assert.equal(forecast.expected_date, '2026-06-10');
+});
+
+test('time-based goals measure minutes, sized by the minutes() callback', () => {
+  const tasks = steadyTasks(1);
+  const forecast = forecastGoal({ progress_mode: 'time', target_date: null }, tasks, { now: NOW });
+  assert.equal(forecast.unit, 'minutes');
+  assert.equal(forecast.remaining, 60);
+  assert.equal(forecast.velocity_per_week, 60);
+
+  const doubled = forecastGoal({ progress_mode: 'time', target_date: null }, tasks, { now: NOW, minutes: task => task.estimated_time * 2 });
+  assert.equal(doubled.remaining, 120);
+});
+
+test('unestimated open tasks count as the average task, never as done', () => {
+  const tasks = steadyTasks(2);
+  tasks[1].estimated_time = 30;
+  tasks[4].estimated_time = null;
+  tasks[5].estimated_time = null;
+  const forecast = forecastGoal({ progress_mode: 'time', target_date: '2026-06-30' }, tasks, { now: NOW });
+  // Average of 60, 30, 60 and 60
+  assert.equal(forecast.remaining, 105);
+  assert.equal(forecast.status, 'on_track');
+
+  const unsized = steadyTasks(2, { estimated_time: null });
+  const blind = forecastGoal({ progress_mode: 'time', target_date: '2026-06-30' }, unsized, { now: NOW });
+  assert.equal(blind.remaining, 0);
+  assert.equal(blind.status, 'no_data');
+  assert.equal(blind.expected_date, null);
+});
+
+test('recurring occurrences are left out', () => {
+  const tasks = [...steadyTasks(0), { status: 'pending', recurrence_id: 1, created_at: daysAgo(1) }];
+  assert.equal(forecastGoal({ target_date: null }, tasks, { now: NOW }).status, 'complete');
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+});
+
+after(() => server.stop());
+
+test('creating a goal without a title is refused', async () => {
+  for (const title of [undefined, '', '   ']) {
+    const response = await client.post('/api/goals', { title, category: 'personal' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Invalid title');
+  }
+});
+
+test('creating a goal checks priority, target date and progress mode', async () => {
+  const cases = [
+    [{ priority: 'urgent' }, 'Invalid priority'],
+    [{ target_date: 'next week' }, 'Invalid target date'],
+    [{ target_date: '2026/02/01' }, 'Invalid target date'],
+    [{ progress_mode: 'magic' }, 'Invalid progress mode']
+  ];
+  for (const [fields, error] of cases) {
+    const response = await client.post('/api/goals', { title: 'Goal', ...fields });
+    assert.equal(response.status, 400, JSON.stringify(fields));
+    assert.equal(response.body.error, error);
+  }
+  const goals = await client.get('/api/goals');
+  assert.deepEqual(goals.body, []);
+});
+
+test('a valid goal is created with defaults for what was left out', async () => {
+  const created = await client.post('/api/goals', { title: '  Run a marathon  ', category: 'health', target_date: '' });
+  assert.equal(created.status, 200);
+
+  const goals = await client.get('/api/goals');
+  const goal = goals.body.find(item => item.id === created.body.id);
+  assert.equal(goal.title, 'Run a marathon');
+  assert.equal(goal.priority, 'medium');
+  assert.equal(goal.target_date, null);
+  assert.equal(goal.progress_mode, 'tasks');
+});
+
+test('updates run through the same checks', async () => {
+  const created = await client.post('/api/goals', { title: 'Learn Spanish', target_date: '2027-01-31' });
+  const id = created.body.id;
+
+  assert.equal((await client.put(`/api/goals/${id}`, { title: '' })).body.error, 'Invalid title');
+  assert.equal((await client.put(`/api/goals/${id}`, { target_date: '31/01/2027' })).body.error, 'Invalid target date');
+  assert.equal((await client.put(`/api/goals/${id}`, { progress_mode: 'manual', progress: 101 })).body.error, 'Invalid progress');
+
+  const updated = await client.put(`/api/goals/${id}`, { target_date: '2027-03-01', priority: 'high' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.goal.target_date, '2027-03-01');
+  assert.equal(updated.body.goal.priority, 'high');
+});
+
+test('task suggestions skip what the goal already has and save nothing', async () => {
+  const id = (await client.post('/api/goals', { title: 'Get fit', category: 'health' })).body.id;
+  await client.post('/api/tasks', { goal_id: id, title: 'Record my baseline today' });
+
+  const response = await client.post(`/api/goals/${id}/generate-tasks`, { limit: 3 });
+  assert.equal(response.status, 200);
+  assert.equal(response.body.goal_id, id);
+  assert.equal(response.body.strategy, 'templates');
+  assert.equal(response.body.suggestions.length, 3);
+  assert.ok(!response.body.suggestions.some(suggestion => suggestion.title.startsWith('Record a baseline')));
+  assert.ok(response.body.strategies.some(strategy => strategy.name === 'templates'));
+  assert.equal((await client.get(`/api/tasks?goal_id=${id}`)).body.length, 1);
+
+  assert.equal((await client.post(`/api/goals/${id}/generate-tasks`, { strategy: 'magic' })).body.error, 'Unknown strategy');
+  assert.equal((await client.post('/api/goals/9999/generate-tasks')).status, 404);
+});
@@ -0,0 +1,122 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ical = require('../lib/ical');
+const { feedComponents, calendarToTasks } = require('../lib/calendar-feed');
+
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+
+function calendar(...body) {
+  return ['BEGIN:VCALENDAR', 'VERSION:2.0', ...body, 'END:VCALENDAR'].join('\r\n');
+}
+
+test('buildCalendar writes escaped, folded components with CRLF line endings', () => {
+  const text = ical.buildCalendar({
+    name: 'Nexus 2.0',
+    now: NOW,
+    components: [{
+      type: 'VEVENT',
+      uid: 'task-1@nexus2',
+      summary: 'Read; write, repeat',
+      description: `Line one\n${'x'.repeat(100)}`,
+      start: { day: '2026-06-12' },
+      end: { day: '2026-06-13' },
+      categories: ['Learning, mostly']
+    }]
+  });
+  const lines = text.split('\r\n');
+  assert.equal(lines[0], 'BEGIN:VCALENDAR');
+  assert.ok(text.endsWith('END:VCALENDAR\r\n'));
+  assert.ok(lines.includes('DTSTAMP:20260610T120000Z'));
+  assert.ok(lines.includes('DTSTART;VALUE=DATE:20260612'));
+  assert.ok(lines.includes('SUMMARY:Read\\; write\\, repeat'));
+  assert.ok(lines.includes('CATEGORIES:Learning\\, mostly'));
+  assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+  assert.ok(lines.some(line => line.startsWith(' ')));
+});
+
+test('parseCalendar reads back what buildCalendar wrote', () => {
+  const text = ical.buildCalendar({
+    name: 'Nexus 2.0',
+    now: NOW,
+    components: [{ type: 'VTODO', uid: 'task-2@nexus2', summary: 'Café, again', description: 'a\nb', due: { day: '2026-06-12' }, status: 'NEEDS-ACTION' }]
+  });
+  const { components, errors } = ical.parseCalendar(text);
+  assert.deepEqual(errors, []);
+  assert.equal(components.length, 1);
+  assert.equal(components[0].type, 'VTODO');
+  assert.equal(ical.textValue(components[0], 'SUMMARY'), 'Café, again');
+  assert.equal(ical.textValue(components[0], 'DESCRIPTION'), 'a\nb');
+  assert.deepEqual(ical.dateValue(components[0], 'DUE'), { day: '2026-06-12', time: Date.parse('2026-06-12T00:00:00Z'), allDay: true });
+});
+
+test('parseCalendar unfolds lines, skips nested components and reports bad lines', () => {
+  const { components, errors } = ical.parseCalendar(calendar(
+    'BEGIN:VEVENT',
+    'SUMMARY:A long',
+    '  title',
+    'DTSTART;TZID="Europe/Paris":20260612T093000',
+    'BEGIN:VALARM',
+    'SUMMARY:Alarm',
+    'END:VALARM',
+    'not a property',
+    'END:VEVENT'
+  ));
+  assert.equal(components.length, 1);
+  assert.equal(ical.textValue(components[0], 'SUMMARY'), 'A long title');
+  assert.deepEqual(components[0].properties.DTSTART.params, { TZID: 'Europe/Paris' });
+  assert.equal(ical.dateValue(components[0], 'DTSTART').day, '2026-06-12');
+  assert.deepEqual(errors, ['Line 10: not a valid iCalendar line']);
+  assert.deepEqual(ical.parseCalendar('hello').errors, ['The file is not an iCalendar file (no BEGIN:VCALENDAR)']);
+});
+
+test('durationMinutes reads ISO 8601 durations', () => {
+  const withDuration = value => ({ properties: { DURATION: { value, params: {} } } });
+  assert.equal(ical.durationMinutes(withDuration('PT1H30M')), 90);
+  assert.equal(ical.durationMinutes(withDuration('P1DT15M')), 1455);
+  assert.equal(ical.durationMinutes(withDuration('P1W')), 10080);
+  assert.equal(ical.durationMinutes(withDuration('soon')), null);
+  assert.equal(ical.durationMinutes({ properties: {} }), null);
+});
+
+test('feedComponents publishes due dates, target dates and focus sessions', () => {
+  const components = feedComponents({
+    tasks: [
+      { id: 1, title: 'Done', status: 'completed', due_date: '2026-06-11', goal_title: 'Rust' },
+      { id: 2, title: 'Undated', status: 'pending', due_date: null }
+    ],
+    goals: [{ id: 3, title: 'Rust', target_date: '2026-09-01' }],
+    sessions: [{ id: 4, task_title: 'Done', status: 'completed', start_time: '2026-06-10T09:00:00.000Z', planned_duration: 1500, distractions: 1 }]
+  });
+  assert.deepEqual(components.map(c => [c.uid, c.summary]), [
+    ['task-1@nexus2', '✓ Done'],
+    ['goal-3@nexus2', 'Goal: Rust'],
+    ['focus-4@nexus2', 'Focus: Done']
+  ]);
+  assert.deepEqual(components[0].end, { day: '2026-06-12' });
+  assert.equal(components[2].end.time - components[2].start.time, 1500 * 1000);
+  assert.equal(components[2].description, 'Session completed, 1 distraction');
+
+  const [todo] = feedComponents({ tasks: [{ id: 1, title: 'Open', status: 'in_progress', due_date: '2026-06-11' }] }, { todos: true });
+  assert.equal(todo.type, 'VTODO');
+  assert.equal(todo.status, 'IN-PROCESS');
+});
+
+test('calendarToTasks turns events and to-dos into tasks and skips our own entries', () => {
+  const { tasks, warnings } = calendarToTasks(calendar(
+    'BEGIN:VEVENT', 'UID:a@example.com', 'SUMMARY:Workshop', 'DTSTART:20260612T090000', 'DTEND:20260612T103000', 'PRIORITY:1', 'END:VEVENT',
+    'BEGIN:VTODO', 'UID:b@example.com', 'SUMMARY:Pay rent', 'DUE;VALUE=DATE:20260701', 'STATUS:COMPLETED', 'COMPLETED:20260630T080000Z', 'END:VTODO',
+    'BEGIN:VEVENT', 'UID:task-9@nexus2', 'SUMMARY:Echo', 'DTSTART;VALUE=DATE:20260612', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Weekly', 'DTSTART;VALUE=DATE:20260615', 'RRULE:FREQ=WEEKLY', 'DURATION:PT45M', 'END:VEVENT',
+    'BEGIN:VEVENT', 'SUMMARY:Someday', 'END:VEVENT'
+  ));
+  assert.deepEqual(tasks, [
+    { title: 'Workshop', description: null, priority: 'high', estimated_time: 90, due_date: '2026-06-12', status: 'pending', completed_at: null },
+    { title: 'Pay rent', description: null, priority: 'medium', estimated_time: null, due_date: '2026-07-01', status: 'completed', completed_at: '2026-06-30T08:00:00.000Z' },
+    { title: 'Weekly', description: null, priority: 'medium', estimated_time: 45, due_date: '2026-06-15', status: 'pending', completed_at: null }
+  ]);
+  assert.deepEqual(warnings, [
+    'Line 17: skipped "Echo", which came from a Nexus calendar feed',
+    'Line 22: "Weekly" repeats; only its first date was imported',
+    'Line 28: skipped "Someday", which has no date'
+  ]);
+});
@@ -0,0 +1,55 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+let startedAt;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  const goal = (await client.post('/api/goals', { title: 'Write daily' })).body.id;
+  const task = (await client.post('/api/tasks', { goal_id: goal, title: 'Morning pages' })).body.id;
+  const session = (await client.post('/api/focus/sessions', { task_id: task })).body.id;
+  startedAt = Date.parse((await client.post(`/api/focus/sessions/${session}/stop`)).body.session.start_time);
+});
+
+after(() => server.stop());
+
+function hourAt(tzOffset) {
+  return String(new Date(startedAt - tzOffset * 60 * 1000).getUTCHours()).padStart(2, '0');
+}
+
+function sessionHours(report) {
+  return report.patterns.filter(row => row.pattern_type === 'session_hour').map(row => row.pattern_value);
+}
+
+test('insights are worked out in the time zone the browser sends', async () => {
+  const east = await client.get('/api/insights?tz_offset=-600');
+  assert.equal(east.status, 200);
+  assert.deepEqual(sessionHours(east.body), [hourAt(-600)]);
+
+  // Moving zones re-buckets straight away, and the refresh keeps the stored zone
+  const west = await client.get('/api/insights?tz_offset=420');
+  assert.deepEqual(sessionHours(west.body), [hourAt(420)]);
+  assert.deepEqual(sessionHours((await client.post('/api/insights/refresh')).body), [hourAt(420)]);
+  assert.deepEqual(sessionHours((await client.post('/api/insights/refresh', { tz_offset: 0 })).body), [hourAt(0)]);
+  assert.deepEqual(sessionHours((await client.get('/api/insights')).body), [hourAt(0)]);
+});
+
+test('a tz_offset that is not a real one is refused', async () => {
+  for (const value of ['abc', '30.5', '1000']) {
+    const response = await client.get(`/api/insights?tz_offset=${value}`);
+    assert.equal(response.status, 400, value);
+    assert.equal(response.body.error, 'Invalid tz_offset');
+  }
+  assert.equal((await client.post('/api/insights/refresh', { tz_offset: 'far away' })).status, 400);
+});
+
+test('visitors cannot change the owner\'s time zone', async () => {
+  const visitor = createClient(server.baseUrl);
+  await visitor.post('/api/auth/visitor');
+  assert.deepEqual(sessionHours((await visitor.get('/api/insights?tz_offset=-300')).body), [hourAt(0)]);
+});
@@ -0,0 +1,188 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { LiveEvents, formatEvent } = require('../lib/live-events');
+const { startServer, createClient } = require('./support/server');
+
+const EVENT_TIMEOUT = 5000;
+
+test('a reconnect with Last-Event-ID gets the events it missed', () => {
+  const events = new LiveEvents({ epoch: 'run1' });
+  const first = events.publish(1, 'goal.created', { goal: { id: 1 } });
+  events.publish(1, 'goal.updated', { goal: { id: 1 } });
+  events.publish(1, 'task.created', { task: { id: 7 } });
+
+  assert.equal(first.id, 'run1:1');
+  assert.equal(events.latestId(), 'run1:3');
+  assert.deepEqual(events.since(1, 'run1:1').map(event => event.type), ['goal.updated', 'task.created']);
+  assert.deepEqual(events.since(1, 'run1:3'), []);
+  assert.equal(events.since(1, 'run1:0').length, 3);
+});
+
+test('ids that cannot be replayed ask for a resync', () => {
+  const events = new LiveEvents({ epoch: 'run2', historySize: 2 });
+  ['a', 'b', 'c', 'd'].forEach(type => events.publish(1, type, {}));
+
+  // Before a restart, from the future, malformed, or pushed out of the history
+  assert.equal(events.since(1, 'run1:3'), null);
+  assert.equal(events.since(1, 'run2:5'), null);
+  assert.equal(events.since(1, 'run2:x'), null);
+  assert.equal(events.since(1, 'nonsense'), null);
+  assert.equal(events.since(1, 'run2:1'), null);
+  // The oldest kept event is 3, so an id of 2 has missed nothing
+  assert.deepEqual(events.since(1, 'run2:2').map(event => event.type), ['c', 'd']);
+});
+
+test('each user only hears about their own changes', () => {
+  const events = new LiveEvents({ epoch: 'run3' });
+  const heard = { 1: [], 2: [] };
+  const unsubscribe = events.subscribe(1, event => heard[1].push(event.type));
+  events.subscribe(2, event => heard[2].push(event.type));
+  events.subscribe(2, () => { throw new Error('broken tab'); });
+  assert.equal(events.streamCount(), 3);
+
+  events.publish(1, 'mine', {});
+  events.publish(2, 'theirs', {});
+  events.publish('demo:1', 'demo', {});
+  assert.deepEqual(heard, { 1: ['mine'], 2: ['theirs'] });
+  assert.deepEqual(events.since(2, 'run3:0').map(event => event.type), ['theirs']);
+
+  unsubscribe();
+  events.publish(1, 'later', {});
+  assert.deepEqual(heard[1], ['mine']);
+  assert.equal(events.streamCount(), 2);
+});
+
+test('events are framed for text/event-stream', () => {
+  assert.equal(
+    formatEvent({ id: 'run:4', type: 'task.updated', data: { task: { id: 2 } } }),
+    'id: run:4\nevent: task.updated\ndata: {"task":{"id":2}}\n\n'
+  );
+});
+
+// Streams through the API, with a fast heartbeat so sign-outs show up quickly
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer({ env: { LIVE_EVENT_HEARTBEAT_MS: '200' } });
+  owner = createClient(server.baseUrl);
+  await owner.register('owner');
+});
+
+after(() => server.stop());
+
+// Opens /api/events as `client`; next(type) waits for the next event of that type
+async function openStream(client, headers = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${server.baseUrl}/api/events`, {
+    signal: controller.signal,
+    headers: {
+      Cookie: [...client.cookies].map(([name, value]) => `${name}=${value}`).join('; '),
+      ...headers
+    }
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let ended = false;
+  const received = [];
+
+  async function read() {
+    const { value, done } = await reader.read();
+    if (done) {
+      ended = true;
+      return;
+    }
+    buffer += decoder.decode(value, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      const fields = {};
+      buffer.slice(0, end).split('\n').forEach((line) => {
+        const match = /^(id|event|data): (.*)$/.exec(line);
+        if (match) fields[match[1]] = match[2];
+      });
+      buffer = buffer.slice(end + 2);
+      if (fields.event) received.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+    }
+  }
+
+  async function next(type) {
+    const deadline = Date.now() + EVENT_TIMEOUT;
+    for (;;) {
+      const index = received.findIndex(event => event.type === type);
+      if (index !== -1) return received.splice(0, index + 1).pop();
+      if (ended) throw new Error(`Stream ended before a "${type}" event`);
+      if (Date.now() > deadline) throw new Error(`No "${type}" event`);
+      await read();
+    }
+  }
+
+  return {
+    next,
+    received,
+    ended: () => ended,
+    close: () => controller.abort()
+  };
+}
+
+test('the stream carries the user\'s changes and replays them on reconnect', async () => {
+  const stream = await openStream(owner);
+  const ready = await stream.next('ready');
+  assert.equal(ready.data.replayed, 0);
+
+  const goalId = (await owner.post('/api/goals', { title: 'Run a marathon' })).body.id;
+  const created = await stream.next('goal.created');
+  assert.equal(created.data.goal.id, goalId);
+  assert.equal(created.data.goal.title, 'Run a marathon');
+  stream.close();
+
+  await owner.put(`/api/goals/${goalId}`, { title: 'Run a half marathon' });
+  const again = await openStream(owner, { 'Last-Event-ID': created.id });
+  const replayed = await again.next('goal.updated');
+  assert.equal(replayed.data.replayed, true);
+  assert.equal(replayed.data.goal.title, 'Run a half marathon');
+  assert.equal((await again.next('ready')).data.replayed, 1);
+  again.close();
+});
+
+test('an id the server no longer knows gets a resync', async () => {
+  const stream = await openStream(owner, { 'Last-Event-ID': 'yesterday:12' });
+  const resync = await stream.next('resync');
+  assert.match(resync.data.message, /reload/);
+  assert.ok(!stream.received.some(event => event.type === 'ready'));
+  stream.close();
+});
+
+test('another account\'s changes stay off the stream', async () => {
+  const other = createClient(server.baseUrl);
+  await other.register('other');
+  const stream = await openStream(owner);
+  const theirs = await openStream(other);
+  await stream.next('ready');
+  await theirs.next('ready');
+
+  await other.post('/api/goals', { title: 'Not yours' });
+  await owner.post('/api/goals', { title: 'Yours' });
+  assert.equal((await theirs.next('goal.created')).data.goal.title, 'Not yours');
+  // The owner's first change event is their own goal
+  assert.equal((await stream.next('goal.created')).data.goal.title, 'Yours');
+  stream.close();
+  theirs.close();
+});
+
+test('signing out ends the stream with signed_out', async () => {
+  const client = createClient(server.baseUrl);
+  await client.register('leaving');
+  const stream = await openStream(client);
+  await stream.next('ready');
+
+  await client.post('/api/auth/logout');
+  const signedOut = await stream.next('signed_out');
+  assert.match(signedOut.data.message, /sign in/);
+  await assert.rejects(stream.next('ready'), /Stream ended/);
+  assert.equal(stream.ended(), true);
+});
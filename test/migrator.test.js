@@ -0,0 +1,130 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const {
+  SchemaVersionError,
+  loadMigrations,
+  getStatus,
+  migrate,
+  rollback,
+  checkSchemaVersion
+} = require('../lib/migrator');
+
+const quiet = { log: () => {} };
+
+function openMemory() {
+  return new Promise((resolve, reject) => {
+    const db = new sqlite3.Database(':memory:', err => (err ? reject(err) : resolve(db)));
+  });
+}
+
+function all(db, sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  });
+}
+
+// Every table, index and trigger except the migrations bookkeeping
+async function schemaObjects(db) {
+  const rows = await all(db, "SELECT type, name FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' AND name != 'schema_migrations' ORDER BY type, name");
+  return rows.map(row => `${row.type}:${row.name}`);
+}
+
+test('migrate applies every migration once, in order', async () => {
+  const db = await openMemory();
+  const migrations = loadMigrations();
+
+  const applied = await migrate(db, quiet);
+  assert.deepEqual(applied.map(m => m.version), migrations.map(m => m.version));
+
+  const status = await getStatus(db);
+  assert.equal(status.current, status.latest);
+  assert.deepEqual(status.pending, []);
+  assert.deepEqual(await migrate(db, quiet), []);
+  await checkSchemaVersion(db);
+  db.close();
+});
+
+test('rolling everything back undoes every up() and can be applied again', async () => {
+  const db = await openMemory();
+  await migrate(db, quiet);
+  const migrated = await schemaObjects(db);
+
+  const undone = await rollback(db, loadMigrations().length, quiet);
+  assert.equal(undone[0].version, loadMigrations().at(-1).version);
+  assert.deepEqual(await schemaObjects(db), []);
+  assert.equal((await getStatus(db)).current, 0);
+
+  await migrate(db, quiet);
+  assert.deepEqual(await schemaObjects(db), migrated);
+  db.close();
+});
+
+test('rollback steps back one migration at a time', async () => {
+  const db = await openMemory();
+  await migrate(db, quiet);
+  const { latest } = await getStatus(db);
+
+  const [undone] = await rollback(db, 1, quiet);
+  assert.equal(undone.version, latest);
+  const status = await getStatus(db);
+  assert.deepEqual(status.pending.map(m => m.version), [latest]);
+  await assert.rejects(checkSchemaVersion(db), SchemaVersionError);
+
+  assert.deepEqual((await migrate(db, quiet)).map(m => m.version), [latest]);
+  db.close();
+});
+
+test('rolling back the millisecond timestamps keeps goals stamped', async () => {
+  const db = await openMemory();
+  await migrate(db, quiet);
+  const newer = loadMigrations().filter(m => m.version >= 16);
+  await rollback(db, newer.length, quiet);
+  assert.equal((await getStatus(db)).current, 15);
+
+  const triggers = await all(db, "SELECT name, sql FROM sqlite_master WHERE type = 'trigger' AND tbl_name = 'goals' ORDER BY name");
+  assert.deepEqual(triggers.map(row => row.name), ['goals_set_updated_at_on_insert', 'goals_set_updated_at_on_update']);
+  triggers.forEach(row => assert.match(row.sql, /CURRENT_TIMESTAMP/));
+
+  await all(db, "INSERT INTO goals (title, updated_at) VALUES ('Old goal', '2000-01-01 00:00:00')");
+  await all(db, "UPDATE goals SET title = 'Renamed goal'");
+  const [goal] = await all(db, 'SELECT updated_at FROM goals');
+  assert.notEqual(goal.updated_at, '2000-01-01 00:00:00');
+  db.close();
+});
+
+test('a database newer than the code is refused', async () => {
+  const db = await openMemory();
+  await migrate(db, quiet);
+  await new Promise((resolve, reject) => {
+    db.run("INSERT INTO schema_migrations (version, name) VALUES (999, 'from_the_future')", err => (err ? reject(err) : resolve()));
+  });
+
+  assert.deepEqual((await getStatus(db)).unknown.map(row => row.version), [999]);
+  await assert.rejects(migrate(db, quiet), SchemaVersionError);
+  await assert.rejects(rollback(db, 1, quiet), SchemaVersionError);
+  await assert.rejects(checkSchemaVersion(db), SchemaVersionError);
+  db.close();
+});
+
+test('loadMigrations checks the migration files', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-migrations-'));
+  try {
+    fs.writeFileSync(path.join(dir, '001_first.js'), 'exports.up = async () => {}; exports.down = async () => {};');
+    fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a migration');
+    assert.deepEqual(loadMigrations(dir).map(m => [m.version, m.name]), [[1, 'first']]);
+
+    fs.writeFileSync(path.join(dir, '002_no_down.js'), 'exports.up = async () => {};');
+    assert.throws(() => loadMigrations(dir), /must export up\(\) and down\(\)/);
+
+    fs.rmSync(path.join(dir, '002_no_down.js'));
+    fs.writeFileSync(path.join(dir, '002_second.js'), 'exports.up = async () => {}; exports.down = async () => {};');
+    fs.writeFileSync(path.join(dir, '02_again.js'), 'exports.up = async () => {}; exports.down = async () => {};');
+    assert.throws(() => loadMigrations(dir), /Duplicate migration version 2/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,140 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../lib/recurrence');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+});
+
+after(() => server.stop());
+
+async function createGoal(title) {
+  return (await client.post('/api/goals', { title })).body.id;
+}
+
+async function createMilestone(goalId, fields) {
+  const response = await client.post(`/api/goals/${goalId}/milestones`, fields);
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.id;
+}
+
+async function milestoneTitles(goalId) {
+  const milestones = (await client.get(`/api/goals/${goalId}/milestones`)).body;
+  milestones.forEach((milestone, index) => assert.equal(milestone.position, index));
+  return milestones.map(milestone => milestone.title);
+}
+
+async function goalCard(goalId) {
+  return (await client.get('/api/goals')).body.find(goal => goal.id === goalId);
+}
+
+test('milestones keep their order as they are added, moved and deleted', async () => {
+  const goal = await createGoal('Write a book');
+  await createMilestone(goal, { title: 'Outline' });
+  await createMilestone(goal, { title: 'Draft' });
+  const edit = await createMilestone(goal, { title: 'Edit' });
+  await createMilestone(goal, { title: 'Research', position: 1 });
+  await createMilestone(goal, { title: 'Idea', position: -3 });
+  await createMilestone(goal, { title: 'Publish', position: 99 });
+  assert.deepEqual(await milestoneTitles(goal), ['Idea', 'Outline', 'Research', 'Draft', 'Edit', 'Publish']);
+
+  const ids = (await client.get(`/api/goals/${goal}/milestones`)).body.map(milestone => milestone.id);
+  const reordered = await client.put(`/api/goals/${goal}/milestones/order`, { milestone_ids: [...ids].reverse() });
+  assert.equal(reordered.status, 200);
+  assert.deepEqual(reordered.body.milestones.map(milestone => milestone.title), ['Publish', 'Edit', 'Draft', 'Research', 'Outline', 'Idea']);
+
+  assert.equal((await client.delete(`/api/milestones/${edit}`)).status, 200);
+  assert.deepEqual(await milestoneTitles(goal), ['Publish', 'Draft', 'Research', 'Outline', 'Idea']);
+});
+
+test('a new order has to list every milestone once', async () => {
+  const goal = await createGoal('Learn piano');
+  const first = await createMilestone(goal, { title: 'Scales' });
+  const second = await createMilestone(goal, { title: 'First piece' });
+  const other = await createMilestone(await createGoal('Other'), { title: 'Elsewhere' });
+
+  for (const milestone_ids of [[first], [first, first], [first, other], [first, second, other], undefined]) {
+    const response = await client.put(`/api/goals/${goal}/milestones/order`, { milestone_ids });
+    assert.equal(response.status, 400, JSON.stringify(milestone_ids));
+  }
+  assert.deepEqual(await milestoneTitles(goal), ['Scales', 'First piece']);
+});
+
+test('milestone fields are checked', async () => {
+  const goal = await createGoal('Run a 10k');
+  assert.equal((await client.post(`/api/goals/${goal}/milestones`, { title: ' ' })).status, 400);
+  assert.equal((await client.post(`/api/goals/${goal}/milestones`, { title: 5 })).status, 400);
+  assert.equal((await client.post(`/api/goals/${goal}/milestones`, { title: '5k', target_date: 'May' })).status, 400);
+
+  const milestone = await createMilestone(goal, { title: '5k' });
+  assert.equal((await client.put(`/api/milestones/${milestone}`, { status: 'done' })).status, 400);
+  const completed = await client.put(`/api/milestones/${milestone}`, { status: 'completed' });
+  assert.ok(completed.body.milestone.completed_at);
+  assert.equal(completed.body.milestone.health, 'completed');
+  assert.equal((await client.put(`/api/milestones/${milestone}`, { status: 'pending' })).body.milestone.completed_at, null);
+});
+
+test('a task\'s milestone has to belong to the task\'s goal', async () => {
+  const goal = await createGoal('Renovate kitchen');
+  const otherGoal = await createGoal('Plant a garden');
+  const milestone = await createMilestone(goal, { title: 'Demolition' });
+  const otherMilestone = await createMilestone(otherGoal, { title: 'Dig beds' });
+
+  const refused = await client.post('/api/tasks', { goal_id: goal, milestone_id: otherMilestone, title: 'Dig' });
+  assert.equal(refused.status, 400);
+  assert.equal(refused.body.error, 'Milestone not found');
+
+  const task = (await client.post('/api/tasks', { goal_id: goal, milestone_id: milestone, title: 'Remove cabinets' })).body.id;
+  assert.equal((await client.put(`/api/tasks/${task}`, { milestone_id: otherMilestone })).body.error, 'Milestone not found');
+  assert.equal((await client.get(`/api/tasks/${task}`)).body.milestone_id, milestone);
+
+  // Moving to another goal drops the old milestone unless a new one is named
+  const moved = await client.put(`/api/tasks/${task}`, { goal_id: otherGoal });
+  assert.equal(moved.body.task.milestone_id, null);
+  const placed = await client.put(`/api/tasks/${task}`, { goal_id: goal, milestone_id: milestone });
+  assert.equal(placed.body.task.milestone_id, milestone);
+
+  // Deleting the milestone keeps its tasks
+  assert.equal((await client.delete(`/api/milestones/${milestone}`)).body.tasks_unassigned, 1);
+  assert.equal((await client.get(`/api/tasks/${task}`)).body.milestone_id, null);
+});
+
+test('goal cards show the next open milestone and whether it is slipping', async () => {
+  const today = recurrence.today();
+  const cases = [
+    ['overdue', { target_date: recurrence.addDays(today, -1) }, [], 'overdue', true],
+    ['late tasks', { target_date: recurrence.addDays(today, 30) }, [{ due_date: recurrence.addDays(today, 31) }], 'at_risk', true],
+    ['close and behind', { target_date: recurrence.addDays(today, 3) }, [{}, {}], 'at_risk', true],
+    ['close and nearly done', { target_date: recurrence.addDays(today, 3) }, [{ done: true }, {}], 'on_track', false],
+    ['plenty of time', { target_date: recurrence.addDays(today, 30) }, [{ due_date: recurrence.addDays(today, 20) }], 'on_track', false],
+    ['no date', {}, [{}], 'on_track', false]
+  ];
+
+  for (const [title, fields, tasks, health, slipping] of cases) {
+    const goal = await createGoal(title);
+    const done = await createMilestone(goal, { title: 'Already done' });
+    await client.put(`/api/milestones/${done}`, { status: 'completed' });
+    const milestone = await createMilestone(goal, { title, ...fields });
+    await createMilestone(goal, { title: 'Later' });
+    for (const task of tasks) {
+      const id = (await client.post('/api/tasks', { goal_id: goal, milestone_id: milestone, title: 'Step', due_date: task.due_date })).body.id;
+      if (task.done) {
+        await client.post(`/api/tasks/${id}/status`, { status: 'in_progress' });
+        await client.post(`/api/tasks/${id}/status`, { status: 'completed' });
+      }
+    }
+
+    const card = await goalCard(goal);
+    assert.deepEqual(card.milestones.map(item => item.title), ['Already done', title, 'Later']);
+    assert.equal(card.next_milestone.id, milestone, title);
+    assert.equal(card.next_milestone.health, health, title);
+    assert.equal(card.next_milestone.slipping, slipping, title);
+    assert.equal(Boolean(card.next_milestone.health_reason), slipping, title);
+  }
+});
@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '..', 'public', 'outbox.js'), 'utf8');
+
+// A fresh outbox running as it would in a browser without IndexedDB (so it
+// keeps entries in memory), with fetch answered by `server(method, url, body)`
+// returning { status, body } or throwing for a network failure
+function loadOutbox(server) {
+  const requests = [];
+  const window = {};
+  const fetch = async (url, { method, headers, body }) => {
+    const sent = body === undefined ? undefined : JSON.parse(body);
+    requests.push({ method, url, headers, body: sent });
+    const answer = await server(method, url, sent);
+    return { status: answer.status, ok: answer.status >= 200 && answer.status < 300, json: async () => answer.body || {} };
+  };
+  vm.runInThisContext(`(function (window, fetch) {\n${SOURCE}\n})`, { filename: 'public/outbox.js' })(window, fetch);
+  return { outbox: window.NexusOutbox, requests };
+}
+
+function ok(body = {}) {
+  return { status: 200, body };
+}
+
+test('replay sends entries in order and swaps temporary ids for real ones', async () => {
+  const { outbox, requests } = loadOutbox((method, url) => (method === 'POST' && url === '/api/goals' ? ok({ id: 42 }) : ok({ id: 7 })));
+  await outbox.add({ method: 'POST', path: 'goals', body: { title: 'Offline goal' }, entity: 'goal', temp_id: -5, label: 'Create goal' });
+  await outbox.add({ method: 'POST', path: 'tasks', body: { goal_id: -5, title: 'First step' }, entity: 'task', label: 'Add task' });
+  await outbox.add({ method: 'PUT', path: 'goals/-5', body: { title: 'Renamed' }, label: 'Edit goal' });
+
+  assert.deepEqual(await outbox.replay(), { sent: 3, offline: false, blocked: null });
+  assert.deepEqual(requests.map(r => `${r.method} ${r.url}`), ['POST /api/goals', 'POST /api/tasks', 'PUT /api/goals/42']);
+  assert.equal(requests[1].body.goal_id, 42);
+  assert.equal(await outbox.count(), 0);
+});
+
+test('an unreachable server leaves the outbox as it was', async () => {
+  for (const server of [() => ({ status: 503 }), () => { throw new TypeError('Failed to fetch'); }]) {
+    const { outbox } = loadOutbox(server);
+    await outbox.add({ method: 'PUT', path: 'goals/1', body: { title: 'A' }, label: 'Edit goal' });
+    assert.deepEqual(await outbox.replay(), { sent: 0, offline: true, blocked: null });
+    const [entry] = await outbox.all();
+    assert.equal(entry.status, 'pending');
+  }
+});
+
+test('a conflict holds back the entry and everything after it', async () => {
+  const current = { id: 1, title: 'Changed elsewhere', updated_at: '2026-06-10 12:00:00.500' };
+  const { outbox, requests } = loadOutbox(() => ({ status: 409, body: { error: 'Edit conflict', message: 'This goal was changed somewhere else', current } }));
+  await outbox.add({ method: 'PUT', path: 'goals/1', body: { title: 'Mine' }, expected_updated_at: '2026-06-10 12:00:00.100', label: 'Edit goal' });
+  await outbox.add({ method: 'DELETE', path: 'tasks/3', label: 'Delete task' });
+
+  const summary = await outbox.replay();
+  assert.equal(summary.sent, 0);
+  assert.equal(summary.blocked.status, 'conflict');
+  assert.equal(summary.blocked.error, 'This goal was changed somewhere else');
+  assert.deepEqual(summary.blocked.current, current);
+  assert.equal(requests[0].headers['X-Expected-Updated-At'], '2026-06-10 12:00:00.100');
+
+  // Nothing more is sent until the conflict is sorted out
+  assert.equal((await outbox.replay()).blocked.label, 'Edit goal');
+  assert.equal(requests.length, 1);
+  assert.deepEqual((await outbox.all()).map(entry => entry.status), ['conflict', 'pending']);
+});
+
+test('a refused change is marked as an error', async () => {
+  const { outbox } = loadOutbox(() => ({ status: 400, body: { error: 'Invalid title' } }));
+  await outbox.add({ method: 'PUT', path: 'goals/1', body: { title: '' }, label: 'Edit goal' });
+  const { blocked } = await outbox.replay();
+  assert.equal(blocked.status, 'error');
+  assert.equal(blocked.error, 'Invalid title');
+  assert.equal(blocked.current, null);
+});
+
+test('later edits to the same row are rebased on the one that went through', async () => {
+  let version = 0;
+  const { outbox, requests } = loadOutbox(() => {
+    version += 1;
+    return ok({ task: { id: 3, updated_at: `v${version}` } });
+  });
+  await outbox.add({ method: 'PUT', path: 'tasks/3', body: { title: 'One' }, expected_updated_at: 'v0', label: 'Edit task' });
+  await outbox.add({ method: 'PUT', path: 'tasks/4', body: { title: 'Other' }, expected_updated_at: 'v0', label: 'Edit other task' });
+  await outbox.add({ method: 'POST', path: 'tasks/3/status', body: { status: 'completed' }, expected_updated_at: 'v0', label: 'Complete task' });
+
+  assert.equal((await outbox.replay()).sent, 3);
+  assert.deepEqual(requests.map(r => r.headers['X-Expected-Updated-At']), ['v0', 'v0', 'v1']);
+});
+
+test('deleting something that is already gone counts as sent', async () => {
+  const { outbox } = loadOutbox(() => ({ status: 404, body: { error: 'Task not found' } }));
+  await outbox.add({ method: 'DELETE', path: 'tasks/3', label: 'Delete task' });
+  assert.deepEqual(await outbox.replay(), { sent: 1, offline: false, blocked: null });
+  assert.equal(await outbox.count(), 0);
+});
+
+test('replays started while one is running share it', async () => {
+  let release;
+  const gate = new Promise((resolve) => {
+    release = resolve;
+  });
+  const { outbox, requests } = loadOutbox(async () => {
+    await gate;
+    return ok();
+  });
+  await outbox.add({ method: 'PUT', path: 'goals/1', body: { title: 'A' }, label: 'Edit goal' });
+
+  const first = outbox.replay();
+  const second = outbox.replay();
+  assert.equal(first, second);
+  release();
+  assert.equal((await first).sent, 1);
+  assert.equal(requests.length, 1);
+});
@@ -0,0 +1,135 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { loadMigrations, migrate, rollback } = require('../lib/migrator');
+const { startServer, createClient } = require('./support/server');
+
+const quiet = { log: () => {} };
+
+let server;
+let alice;
+let bob;
+// Alice's data, which Bob should not be able to see or touch
+const owned = {};
+
+before(async () => {
+  server = await startServer();
+  alice = createClient(server.baseUrl);
+  bob = createClient(server.baseUrl);
+  await alice.register('alice');
+  await bob.register('bob');
+
+  owned.goal = (await alice.post('/api/goals', { title: 'Alice goal' })).body.id;
+  owned.task = (await alice.post('/api/tasks', { goal_id: owned.goal, title: 'Alice task' })).body.id;
+  owned.blocker = (await alice.post('/api/tasks', { goal_id: owned.goal, title: 'Alice blocker' })).body.id;
+  await alice.post(`/api/tasks/${owned.task}/dependencies`, { blocked_by: owned.blocker });
+  owned.resource = (await alice.post('/api/resources', { title: 'Alice notes', type: 'tutorial', task_id: owned.task })).body.id;
+  owned.session = (await alice.post('/api/focus/sessions', { task_id: owned.blocker })).body.id;
+  Object.values(owned).forEach(id => assert.ok(Number.isInteger(id)));
+});
+
+after(() => server.stop());
+
+test('lists only show your own data', async () => {
+  assert.deepEqual((await bob.get('/api/goals')).body, []);
+  assert.deepEqual((await bob.get('/api/tasks')).body, []);
+  assert.deepEqual((await bob.get('/api/resources')).body, []);
+  assert.equal((await bob.get('/api/focus/sessions/active')).body.session, null);
+  assert.equal((await alice.get('/api/focus/sessions/active')).body.session.id, owned.session);
+});
+
+test('someone else\'s goals, tasks and resources answer 404', async () => {
+  const cases = [
+    ['put', `/api/goals/${owned.goal}`, { title: 'Mine now' }],
+    ['delete', `/api/goals/${owned.goal}`],
+    ['get', `/api/goals/${owned.goal}/forecast`],
+    ['get', `/api/goals/${owned.goal}/milestones`],
+    ['get', `/api/tasks/${owned.task}`],
+    ['put', `/api/tasks/${owned.task}`, { title: 'Mine now' }],
+    ['post', `/api/tasks/${owned.task}/status`, { status: 'in_progress' }],
+    ['delete', `/api/tasks/${owned.task}`],
+    ['get', `/api/resources/${owned.resource}`],
+    ['put', `/api/resources/${owned.resource}`, { title: 'Mine now' }],
+    ['delete', `/api/resources/${owned.resource}`],
+    ['get', `/api/tasks/${owned.task}/resources`],
+    ['get', `/api/tasks/${owned.task}/recommended-resources`]
+  ];
+  for (const [method, url, body] of cases) {
+    const response = method === 'get' || method === 'delete' ? await bob[method](url) : await bob[method](url, body);
+    assert.equal(response.status, 404, `${method.toUpperCase()} ${url}`);
+  }
+
+  const task = (await alice.get(`/api/tasks/${owned.task}`)).body;
+  assert.equal(task.title, 'Alice task');
+  assert.equal(task.status, 'pending');
+  assert.equal((await alice.get(`/api/resources/${owned.resource}`)).body.title, 'Alice notes');
+});
+
+test('someone else\'s focus sessions and dependencies answer 404', async () => {
+  for (const action of ['pause', 'stop', 'abandon']) {
+    assert.equal((await bob.post(`/api/focus/sessions/${owned.session}/${action}`)).status, 404, action);
+  }
+  assert.equal((await bob.post('/api/focus/sessions', { task_id: owned.task })).status, 404);
+  assert.equal((await alice.get('/api/focus/sessions/active')).body.session.status, 'active');
+
+  assert.equal((await bob.get(`/api/tasks/${owned.task}/dependencies`)).status, 404);
+  assert.equal((await bob.post(`/api/tasks/${owned.task}/dependencies`, { blocked_by: owned.blocker })).status, 404);
+  assert.equal((await bob.delete(`/api/tasks/${owned.task}/dependencies/${owned.blocker}`)).status, 404);
+  const dependencies = (await alice.get(`/api/tasks/${owned.task}/dependencies`)).body;
+  assert.deepEqual(dependencies.blocked_by.map(task => task.id), [owned.blocker]);
+});
+
+test('someone else\'s rows cannot be referenced from your own', async () => {
+  const goal = (await bob.post('/api/goals', { title: 'Bob goal' })).body.id;
+  const task = (await bob.post('/api/tasks', { goal_id: goal, title: 'Bob task' })).body.id;
+
+  assert.equal((await bob.post('/api/tasks', { goal_id: owned.goal, title: 'Sneaky' })).body.error, 'Goal not found');
+  assert.equal((await bob.put(`/api/tasks/${task}`, { goal_id: owned.goal })).body.error, 'Goal not found');
+  assert.equal((await bob.post(`/api/tasks/${task}/dependencies`, { blocked_by: owned.task })).body.error, 'Prerequisite not found');
+  assert.equal((await bob.post('/api/resources', { title: 'Sneaky', task_id: owned.task })).body.error, 'Task not found');
+  assert.equal((await bob.post(`/api/tasks/${task}/resources`, { resource_id: owned.resource })).body.error, 'Resource not found');
+  assert.deepEqual((await alice.get(`/api/tasks?goal_id=${owned.goal}`)).body.map(row => row.id).sort(), [owned.task, owned.blocker].sort());
+});
+
+test('rows from before accounts existed go to the first account', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-claim-'));
+  const filename = path.join(dir, 'nexus.db');
+  const db = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(filename, err => (err ? reject(err) : resolve(connection)));
+  });
+  const run = (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, err => (err ? reject(err) : resolve()));
+  });
+  const columns = table => new Promise((resolve, reject) => {
+    db.all(`PRAGMA table_info(${table})`, (err, rows) => (err ? reject(err) : resolve(rows.map(row => row.name))));
+  });
+
+  // A database as it was before migration 003 added user_id, with some data in it
+  await migrate(db, quiet);
+  const ownershipIndex = loadMigrations().findIndex(m => m.version === 3);
+  await rollback(db, loadMigrations().length - ownershipIndex, quiet);
+  assert.ok(!(await columns('goals')).includes('user_id'));
+  await run("INSERT INTO goals (id, title) VALUES (1, 'Old goal')");
+  await run("INSERT INTO tasks (id, goal_id, title) VALUES (1, 1, 'Old task')");
+  await migrate(db, quiet);
+  await new Promise(resolve => db.close(resolve));
+
+  const legacy = await startServer({ env: { DATABASE_PATH: filename } });
+  try {
+    const first = createClient(legacy.baseUrl);
+    await first.register('owner');
+    assert.deepEqual((await first.get('/api/goals')).body.map(goal => goal.title), ['Old goal']);
+    assert.deepEqual((await first.get('/api/tasks')).body.map(task => task.title), ['Old task']);
+
+    const second = createClient(legacy.baseUrl);
+    await second.register('newcomer');
+    assert.deepEqual((await second.get('/api/goals')).body, []);
+    assert.equal((await second.get('/api/tasks/1')).status, 404);
+  } finally {
+    await legacy.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
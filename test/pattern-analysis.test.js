@@ -0,0 +1,115 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const patternAnalysis = require('../lib/pattern-analysis');
+
+const NOW = Date.parse('2026-06-10T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Monday 2026-06-01 plus the given days, at hour:30 UTC
+function at(days, hour) {
+  return new Date(Date.parse('2026-06-01T00:30:00Z') + days * DAY_MS + hour * 60 * 60 * 1000).toISOString();
+}
+
+function session(start_time, status, fields = {}) {
+  return { start_time, status, distractions: 0, priority: 'medium', ...fields };
+}
+
+function find(rows, type, value) {
+  return rows.find(row => row.pattern_type === type && row.pattern_value === value);
+}
+
+test('sessions are counted by hour, weekday, priority and distractions', () => {
+  const rows = patternAnalysis.analyzePatterns({
+    sessions: [
+      session(at(0, 9), 'completed', { priority: 'high' }),
+      session(at(0, 9), 'abandoned', { distractions: 3 }),
+      session(at(1, 9), 'completed', { distractions: 1 }),
+      session(at(0, 9), 'active'),
+      session(new Date(NOW - 100 * DAY_MS).toISOString(), 'completed')
+    ],
+    tasks: []
+  }, { now: NOW, tzOffset: 0 });
+
+  assert.deepEqual(find(rows, 'session_hour', '09'), {
+    pattern_type: 'session_hour', pattern_value: '09', success_rate: 0.667, sample_size: 3, average: null
+  });
+  assert.equal(find(rows, 'session_weekday', 'Mon').sample_size, 2);
+  assert.equal(find(rows, 'session_weekday', 'Tue').success_rate, 1);
+  assert.equal(find(rows, 'priority_hour', 'high:09').sample_size, 1);
+  assert.deepEqual(find(rows, 'distractions', 'all'), {
+    pattern_type: 'distractions', pattern_value: 'all', success_rate: 0.333, sample_size: 3, average: 1.33
+  });
+});
+
+test('hours and weekdays are the user\'s, not the server\'s', () => {
+  // Monday 23:30 UTC
+  const sessions = [session(at(0, 23), 'completed')];
+  const bucket = (tzOffset) => {
+    const rows = patternAnalysis.analyzePatterns({ sessions, tasks: [] }, { now: NOW, tzOffset });
+    return [rows.find(row => row.pattern_type === 'session_hour').pattern_value, rows.find(row => row.pattern_type === 'session_weekday').pattern_value];
+  };
+  assert.deepEqual(bucket(0), ['23', 'Mon']);
+  // UTC+2 (getTimezoneOffset() is -120): already Tuesday morning
+  assert.deepEqual(bucket(-120), ['01', 'Tue']);
+  // UTC-5: Monday evening
+  assert.deepEqual(bucket(300), ['18', 'Mon']);
+
+  const serverLocal = new Date(Date.parse(sessions[0].start_time));
+  assert.equal(bucket(null)[0], String(serverLocal.getHours()).padStart(2, '0'));
+});
+
+test('tasks count once they are done or have had a fair chance', () => {
+  const created = days => new Date(NOW - days * DAY_MS).toISOString();
+  const rows = patternAnalysis.analyzePatterns({
+    sessions: [],
+    tasks: [
+      { status: 'completed', priority: 'high', estimated_time: 20, created_at: created(1) },
+      { status: 'pending', priority: 'high', estimated_time: 120, created_at: created(10) },
+      { status: 'missed', priority: 'low', estimated_time: 60, created_at: created(2) },
+      { status: 'pending', priority: 'high', estimated_time: 20, created_at: created(2) },
+      { status: 'completed', priority: null, estimated_time: null, created_at: created(200) }
+    ]
+  }, { now: NOW });
+
+  assert.equal(find(rows, 'priority_completion', 'high').sample_size, 2);
+  assert.equal(find(rows, 'priority_completion', 'high').success_rate, 0.5);
+  assert.equal(find(rows, 'estimate_completion', 'small').success_rate, 1);
+  assert.equal(find(rows, 'estimate_completion', 'large').success_rate, 0);
+  assert.equal(find(rows, 'estimate_completion', 'medium').success_rate, 0);
+  assert.equal(find(rows, 'estimate_completion', 'none'), undefined);
+});
+
+test('buildInsights turns strong patterns into advice', () => {
+  const sessions = [];
+  for (let day = 0; day < 5; day++) {
+    // Monday mornings go well, Tuesday evenings do not
+    sessions.push(session(at(day * 7, 9), 'completed', { priority: 'high' }));
+    sessions.push(session(at(day * 7 + 1, 20), 'abandoned', { priority: 'high', distractions: 2 }));
+  }
+  const tasks = [];
+  for (let i = 0; i < 5; i++) {
+    tasks.push({ status: 'completed', priority: 'low', estimated_time: 15, created_at: at(0, 0) });
+    tasks.push({ status: 'pending', priority: 'high', estimated_time: 180, created_at: at(0, 0) });
+  }
+  const patterns = patternAnalysis.analyzePatterns({ sessions, tasks }, { now: Date.parse('2026-07-10T12:00:00Z'), tzOffset: 0 });
+  const insights = patternAnalysis.buildInsights(patterns, { quickWins: 2 });
+
+  assert.deepEqual(insights.map(insight => insight.id), [
+    'best_time', 'high_priority_time', 'weekday', 'task_size', 'high_priority_completion', 'distractions', 'quick_wins'
+  ]);
+  const byId = new Map(insights.map(insight => [insight.id, insight]));
+  assert.equal(byId.get('best_time').message, 'You complete 100% of focus sessions started between 09:00 and 10:00, against 50% overall.');
+  assert.equal(byId.get('weekday').message, 'Monday sessions succeed 100% of the time; Tuesday only 0%.');
+  assert.equal(byId.get('distractions').tone, 'warning');
+  assert.match(byId.get('distractions').action, /sessions around 09:00 are your calmest/);
+  assert.equal(byId.get('quick_wins').message, '2 open tasks can be finished in 30 minutes or less.');
+});
+
+test('buildInsights stays quiet without enough data', () => {
+  const patterns = patternAnalysis.analyzePatterns({
+    sessions: [session(at(0, 9), 'completed'), session(at(0, 20), 'abandoned')],
+    tasks: []
+  }, { now: NOW, tzOffset: 0 });
+  assert.deepEqual(patternAnalysis.buildInsights(patterns), []);
+  assert.deepEqual(patternAnalysis.buildInsights([], { quickWins: 1 }).map(insight => insight.id), ['quick_wins']);
+});
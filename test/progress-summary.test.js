@@ -0,0 +1,66 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startServer, createClient } = require('./support/server');
+
+// One database, written by the main server and then published by the viewer
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-progress-'));
+const env = { DATABASE_PATH: path.join(dir, 'nexus.db') };
+
+let server;
+let owner;
+
+before(async () => {
+  server = await startServer({ env });
+  owner = createClient(server.baseUrl);
+  await owner.register('owner');
+
+  const late = (await owner.post('/api/goals', { title: 'File the taxes', category: 'financial', target_date: '2020-01-01' })).body.id;
+  await owner.post('/api/tasks', { goal_id: late, title: 'Find the receipts', estimated_time: 30 });
+
+  const done = (await owner.post('/api/goals', { title: 'Tidy the desk', category: 'personal' })).body.id;
+  const task = (await owner.post('/api/tasks', { goal_id: done, title: 'Clear it' })).body.id;
+  await owner.post(`/api/tasks/${task}/status`, { status: 'in_progress' });
+  await owner.post(`/api/tasks/${task}/status`, { status: 'completed' });
+
+  await owner.post('/api/goals', { title: 'Someday' });
+
+  // Another account's goals stay out of the owner's summary
+  const other = createClient(server.baseUrl);
+  await other.register('other');
+  await other.post('/api/goals', { title: 'Not mine', target_date: '2020-01-01' });
+});
+
+after(async () => {
+  await server.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the summary counts goals, tasks per status and forecast statuses', async () => {
+  const response = await owner.get('/api/progress/summary');
+  assert.equal(response.status, 200);
+  const { summary, tasks, forecasts } = response.body;
+
+  assert.equal(summary.total_goals, 3);
+  // Goals without a category are not a category of their own
+  assert.equal(summary.categories_count, 2);
+  assert.deepEqual(tasks.sort((a, b) => a.status.localeCompare(b.status)), [
+    { status: 'completed', count: 1 },
+    { status: 'pending', count: 1 }
+  ]);
+  assert.deepEqual(forecasts, { complete: 1, on_track: 0, at_risk: 0, overdue: 1, no_target: 0, no_data: 1 });
+});
+
+test('the read-only viewer publishes the same summary', async () => {
+  const expected = (await owner.get('/api/progress/summary')).body;
+  const viewer = await startServer({ script: 'read-only-server.js', env });
+  try {
+    const response = await createClient(viewer.baseUrl).get('/api/progress/summary');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body, expected);
+  } finally {
+    await viewer.stop();
+  }
+});
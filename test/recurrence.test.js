@@ -0,0 +1,104 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const recurrence = require('../lib/recurrence');
+
+const dates = periods => periods.map(period => period.date);
+
+test('day helpers work on UTC calendar days', () => {
+  assert.equal(recurrence.addDays('2026-02-27', 3), '2026-03-02');
+  assert.equal(recurrence.addDays('2026-01-01', -1), '2025-12-31');
+  assert.equal(recurrence.today(Date.parse('2026-06-10T23:59:00Z')), '2026-06-10');
+  assert.ok(recurrence.isDay('2026-06-10'));
+  assert.ok(!recurrence.isDay('10/06/2026'));
+  assert.ok(!recurrence.isDay(20260610));
+  assert.deepEqual(recurrence.parseWeekdays('1,3,5'), [1, 3, 5]);
+  assert.deepEqual(recurrence.parseWeekdays([0, 6]), [0, 6]);
+  assert.deepEqual(recurrence.parseWeekdays(''), []);
+});
+
+test('validateRecurrence checks each frequency\'s settings', () => {
+  const valid = [
+    { frequency: 'daily' },
+    { frequency: 'weekly', weekdays: '1,3' },
+    { frequency: 'interval', interval_days: 3 },
+    { frequency: 'monthly', day_of_month: 31 },
+    { frequency: 'times_per_week', times_per_week: 3 },
+    { frequency: 'daily', start_date: '2026-01-01', end_date: '2026-01-01' }
+  ];
+  valid.forEach(rule => assert.equal(recurrence.validateRecurrence(rule), null, JSON.stringify(rule)));
+
+  const invalid = [
+    [{ frequency: 'hourly' }, /Frequency must be one of/],
+    [{ frequency: 'weekly', weekdays: '' }, /weekdays/],
+    [{ frequency: 'weekly', weekdays: '1,7' }, /weekdays/],
+    [{ frequency: 'interval', interval_days: 0 }, /interval_days/],
+    [{ frequency: 'monthly', day_of_month: 32 }, /day_of_month/],
+    [{ frequency: 'times_per_week', times_per_week: 8 }, /times_per_week/],
+    [{ frequency: 'daily', start_date: 'soon' }, /start_date/],
+    [{ frequency: 'daily', start_date: '2026-02-01', end_date: '2026-01-01' }, /end_date cannot be before/]
+  ];
+  invalid.forEach(([rule, message]) => assert.match(recurrence.validateRecurrence(rule), message));
+});
+
+test('listPeriods follows the schedule within the rule\'s dates', () => {
+  const daily = { frequency: 'daily', start_date: '2026-06-03', end_date: '2026-06-05' };
+  assert.deepEqual(dates(recurrence.listPeriods(daily, '2026-06-01', '2026-06-30')), ['2026-06-03', '2026-06-04', '2026-06-05']);
+
+  // 2026-06-01 is a Monday
+  const weekly = { frequency: 'weekly', weekdays: '1,5', start_date: '2026-06-01' };
+  assert.deepEqual(dates(recurrence.listPeriods(weekly, '2026-06-01', '2026-06-14')), ['2026-06-01', '2026-06-05', '2026-06-08', '2026-06-12']);
+
+  const interval = { frequency: 'interval', interval_days: 3, start_date: '2026-06-02' };
+  assert.deepEqual(dates(recurrence.listPeriods(interval, '2026-06-04', '2026-06-12')), ['2026-06-05', '2026-06-08', '2026-06-11']);
+
+  assert.deepEqual(recurrence.listPeriods(daily, '2026-07-01', '2026-07-31'), []);
+});
+
+test('monthly rules fall back to the last day of short months', () => {
+  const rule = { frequency: 'monthly', day_of_month: 31, start_date: '2026-01-01' };
+  assert.deepEqual(dates(recurrence.listPeriods(rule, '2026-01-01', '2026-04-30')), ['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+});
+
+test('times_per_week rules have one Monday-to-Sunday period per week', () => {
+  const rule = { frequency: 'times_per_week', times_per_week: 3, start_date: '2026-06-03' };
+  assert.deepEqual(recurrence.listPeriods(rule, '2026-06-03', '2026-06-15'), [
+    { date: '2026-06-01', due_date: '2026-06-07', required: 3 },
+    { date: '2026-06-08', due_date: '2026-06-14', required: 3 },
+    { date: '2026-06-15', due_date: '2026-06-21', required: 3 }
+  ]);
+});
+
+test('computeHabitStats counts streaks and adherence over settled periods', () => {
+  const rule = { frequency: 'daily', start_date: '2026-06-01' };
+  const now = Date.parse('2026-06-10T12:00:00Z');
+  // Missed the 4th; today (the 10th) is not done yet and does not break the streak
+  const completions = {};
+  ['2026-06-01', '2026-06-02', '2026-06-03', '2026-06-05', '2026-06-06', '2026-06-07', '2026-06-08', '2026-06-09']
+    .forEach((day) => {
+      completions[day] = 1;
+    });
+
+  const stats = recurrence.computeHabitStats(rule, completions, { now });
+  assert.equal(stats.current_streak, 5);
+  assert.equal(stats.best_streak, 5);
+  assert.equal(stats.streak_unit, 'occurrences');
+  assert.equal(stats.adherence, Math.round((8 / 9) * 100));
+
+  completions['2026-06-10'] = 1;
+  assert.equal(recurrence.computeHabitStats(rule, completions, { now }).current_streak, 6);
+});
+
+test('computeHabitStats needs the weekly quota met and has no adherence before a period ends', () => {
+  const rule = { frequency: 'times_per_week', times_per_week: 2, start_date: '2026-06-01' };
+  const now = Date.parse('2026-06-17T12:00:00Z');
+
+  const stats = recurrence.computeHabitStats(rule, { '2026-06-01': 2, '2026-06-08': 1 }, { now });
+  assert.equal(stats.current_streak, 0);
+  assert.equal(stats.best_streak, 1);
+  assert.equal(stats.streak_unit, 'weeks');
+  assert.equal(stats.adherence, 75);
+
+  const fresh = recurrence.computeHabitStats(rule, {}, { now: Date.parse('2026-06-02T12:00:00Z') });
+  assert.equal(fresh.adherence, null);
+  assert.equal(fresh.current_streak, 0);
+});
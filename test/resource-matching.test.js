@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const resourceMatching = require('../lib/resource-matching');
+
+const TASK = { title: 'Set up Stripe payments', description: 'Take card payments', goal_title: 'Launch the shop', goal_category: 'business' };
+
+function resource(title, fields = {}) {
+  return { title, description: null, tags: null, category: null, linked_to_task: 0, linked_to_goal: 0, ...fields };
+}
+
+test('tags are parsed and stored as a clean comma-separated list', () => {
+  assert.deepEqual(resourceMatching.parseTags(' Stripe, pricing,,stripe '), ['stripe', 'pricing']);
+  assert.deepEqual(resourceMatching.parseTags(['Design', ' design', '']), ['design']);
+  assert.deepEqual(resourceMatching.parseTags(null), []);
+  assert.deepEqual(resourceMatching.parseTags(''), []);
+  assert.equal(resourceMatching.formatTags(['Stripe', 'Pricing']), 'stripe,pricing');
+  assert.equal(resourceMatching.formatTags('  ,  '), null);
+});
+
+test('links beat tags, tags beat keywords, and category only counts a little', () => {
+  const picks = resourceMatching.recommendResources(TASK, [
+    resource('Unrelated recipe'),
+    resource('Bookkeeping basics', { category: 'business' }),
+    resource('Payments handbook'),
+    resource('Checkout notes', { tags: 'stripe,cards' }),
+    resource('Goal board', { linked_to_goal: 1 }),
+    resource('Mentor', { linked_to_task: 1 })
+  ]);
+
+  assert.deepEqual(picks.map(pick => [pick.title, pick.score, pick.reason]), [
+    ['Mentor', 100, 'Linked to this task'],
+    ['Goal board', 50, 'Linked to this goal'],
+    ['Bookkeeping basics', 3, 'Useful for business goals'],
+    ['Checkout notes', 2, 'Mentions "stripe"'],
+    ['Payments handbook', 1, 'Mentions "payments"']
+  ]);
+  assert.deepEqual(picks[3].tags, ['stripe', 'cards']);
+});
+
+test('matches add up and ties are broken by title', () => {
+  const picks = resourceMatching.recommendResources(TASK, [
+    resource('Stripe payments guide', { tags: 'stripe', category: 'business' }),
+    resource('B shop tips'),
+    resource('A shop tips')
+  ]);
+  // Tag (2) + two keywords (1 each) + category (3)
+  assert.equal(picks[0].score, 7);
+  assert.equal(picks[0].reason, 'Mentions "stripe"');
+  assert.deepEqual(picks.slice(1).map(pick => pick.title), ['A shop tips', 'B shop tips']);
+});
+
+test('recommendations stop at the limit', () => {
+  const resources = Array.from({ length: 8 }, (_, i) => resource(`Shop note ${i}`));
+  assert.equal(resourceMatching.recommendResources(TASK, resources).length, 5);
+  assert.equal(resourceMatching.recommendResources(TASK, resources, { limit: 2 }).length, 2);
+  assert.deepEqual(resourceMatching.recommendResources(TASK, []), []);
+});
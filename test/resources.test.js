@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+let goalId;
+let taskId;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  goalId = (await client.post('/api/goals', { title: 'Launch the shop', category: 'business' })).body.id;
+  taskId = (await client.post('/api/tasks', { goal_id: goalId, title: 'Set up Stripe payments' })).body.id;
+});
+
+after(() => server.stop());
+
+async function createResource(fields) {
+  const response = await client.post('/api/resources', fields);
+  assert.equal(response.status, 200, JSON.stringify(response.body));
+  return response.body.id;
+}
+
+test('a resource is created, read, updated and deleted', async () => {
+  const id = await createResource({ title: '  Pricing guide ', url: 'https://example.com/pricing', tags: 'Pricing, stripe' });
+
+  const created = (await client.get(`/api/resources/${id}`)).body;
+  assert.equal(created.title, 'Pricing guide');
+  assert.equal(created.type, 'tool');
+  assert.deepEqual(created.tags, ['pricing', 'stripe']);
+  assert.deepEqual(created.tasks, []);
+
+  const updated = await client.put(`/api/resources/${id}`, { type: 'tutorial', tags: [], description: 'Worth a read' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.resource.type, 'tutorial');
+  assert.deepEqual(updated.body.resource.tags, []);
+  assert.deepEqual((await client.get('/api/resources?type=tutorial&q=read')).body.map(resource => resource.id), [id]);
+  assert.deepEqual((await client.get('/api/resources?type=person')).body, []);
+
+  assert.equal((await client.delete(`/api/resources/${id}`)).status, 200);
+  assert.equal((await client.get(`/api/resources/${id}`)).status, 404);
+  assert.equal((await client.put(`/api/resources/${id}`, { title: 'Gone' })).status, 404);
+});
+
+test('resource fields are checked', async () => {
+  const cases = [
+    { title: '' },
+    { title: 42 },
+    { title: 'Book', type: 'book' },
+    { title: 'Site', url: 'example.com' },
+    { title: 'Script', url: 'javascript:alert(1)' }
+  ];
+  for (const fields of cases) {
+    const response = await client.post('/api/resources', fields);
+    assert.equal(response.status, 400, JSON.stringify(fields));
+    assert.equal(response.body.error, 'Invalid resource');
+  }
+  for (const type of ['tool', 'tutorial', 'template', 'person']) {
+    await createResource({ title: `A ${type}`, type, url: type === 'person' ? 'mailto:someone@example.com' : null });
+  }
+  const id = await createResource({ title: 'Kept' });
+  assert.equal((await client.put(`/api/resources/${id}`, { type: 'video' })).status, 400);
+  assert.equal((await client.put(`/api/resources/${id}`, {})).body.error, 'No changes provided');
+});
+
+test('resources link to tasks and goals and survive their deletion', async () => {
+  const id = await createResource({ title: 'Stripe docs', type: 'tutorial', task_id: taskId });
+  const linked = await client.post(`/api/goals/${goalId}/resources`, { resource_id: id });
+  assert.equal(linked.status, 200);
+  // Linking twice is harmless
+  assert.equal((await client.post(`/api/goals/${goalId}/resources`, { resource_id: id })).status, 200);
+
+  assert.deepEqual((await client.get(`/api/tasks/${taskId}/resources`)).body.map(resource => resource.id), [id]);
+  assert.deepEqual((await client.get(`/api/goals/${goalId}/resources`)).body.map(resource => resource.id), [id]);
+  const resource = (await client.get(`/api/resources/${id}`)).body;
+  assert.deepEqual(resource.tasks.map(task => task.id), [taskId]);
+  assert.deepEqual(resource.goals.map(goal => goal.id), [goalId]);
+
+  assert.equal((await client.post(`/api/tasks/${taskId}/resources`, { resource_id: 9999 })).body.error, 'Resource not found');
+  assert.equal((await client.post('/api/tasks/9999/resources', { resource_id: id })).status, 404);
+  assert.equal((await client.post('/api/resources', { title: 'Orphan', goal_id: 9999 })).body.error, 'Goal not found');
+
+  assert.equal((await client.delete(`/api/goals/${goalId}/resources/${id}`)).status, 200);
+  assert.equal((await client.delete(`/api/goals/${goalId}/resources/${id}`)).status, 404);
+  assert.deepEqual((await client.get(`/api/goals/${goalId}/resources`)).body, []);
+
+  const doomed = (await client.post('/api/tasks', { goal_id: goalId, title: 'Temporary' })).body.id;
+  await client.post(`/api/tasks/${doomed}/resources`, { resource_id: id });
+  await client.delete(`/api/tasks/${doomed}`);
+  assert.deepEqual((await client.get(`/api/resources/${id}`)).body.tasks.map(task => task.id), [taskId]);
+});
+
+test('recommended resources put linked ones first and explain each pick', async () => {
+  const goal = (await client.post('/api/goals', { title: 'Sell online', category: 'business' })).body.id;
+  const task = (await client.post('/api/tasks', { goal_id: goal, title: 'Choose a payments provider' })).body.id;
+  const linked = await createResource({ title: 'Accountant', type: 'person', task_id: task });
+  const tagged = await createResource({ title: 'Provider comparison', tags: 'payments' });
+  const general = await createResource({ title: 'Small business checklist', category: 'business' });
+  await createResource({ title: 'Sourdough recipe' });
+
+  const picks = (await client.get(`/api/tasks/${task}/recommended-resources?limit=3`)).body;
+  // The tag and the title word "provider" score as much as the category does
+  assert.deepEqual(picks.map(pick => pick.id), [linked, tagged, general]);
+  assert.deepEqual(picks.map(pick => pick.reason), ['Linked to this task', 'Mentions "payments"', 'Useful for business goals']);
+  assert.equal((await client.get(`/api/tasks/${task}/recommended-resources?limit=1`)).body.length, 1);
+  assert.equal((await client.get('/api/tasks/9999/recommended-resources')).status, 404);
+});
+
+test('resources belong to the account that made them', async () => {
+  const id = await createResource({ title: 'Private notes', task_id: taskId });
+  const other = createClient(server.baseUrl);
+  await other.register('other');
+
+  assert.deepEqual((await other.get('/api/resources')).body, []);
+  assert.equal((await other.get(`/api/resources/${id}`)).status, 404);
+  assert.equal((await other.put(`/api/resources/${id}`, { title: 'Mine' })).status, 404);
+  assert.equal((await other.delete(`/api/resources/${id}`)).status, 404);
+  assert.equal((await other.get(`/api/tasks/${taskId}/resources`)).status, 404);
+  assert.equal((await client.get(`/api/resources/${id}`)).body.title, 'Private notes');
+});
@@ -0,0 +1,52 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let client;
+let taskId;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  const goalId = (await client.post('/api/goals', { title: 'Goal' })).body.id;
+  taskId = (await client.post('/api/tasks', { goal_id: goalId, title: 'Call the bank' })).body.id;
+});
+
+after(() => server.stop());
+
+test('"tomorrow" is the next midnight in the caller\'s time zone', async () => {
+  // UTC+10, UTC-7 and UTC+5:45
+  for (const offset of [-600, 420, -345]) {
+    const before = Date.now();
+    const response = await client.post(`/api/tasks/${taskId}/snooze`, { until: 'tomorrow', tz_offset: offset });
+    assert.equal(response.status, 200);
+
+    const until = Date.parse(response.body.snoozed_until);
+    const wallClock = until - offset * 60 * 1000;
+    assert.equal(wallClock % DAY_MS, 0, `midnight at offset ${offset}`);
+    assert.ok(until > before && until <= before + DAY_MS, `within a day at offset ${offset}`);
+  }
+});
+
+test('a bad tz_offset is refused', async () => {
+  for (const offset of [900, 'east', 30.5]) {
+    const response = await client.post(`/api/tasks/${taskId}/snooze`, { until: 'tomorrow', tz_offset: offset });
+    assert.equal(response.status, 400);
+    assert.match(response.body.message, /tz_offset/);
+  }
+});
+
+test('explicit times and hours still work', async () => {
+  const at = new Date(Date.now() + 2 * DAY_MS).toISOString();
+  assert.equal((await client.post(`/api/tasks/${taskId}/snooze`, { until: at })).body.snoozed_until, at);
+
+  const before = Date.now();
+  const byHours = Date.parse((await client.post(`/api/tasks/${taskId}/snooze`, { hours: 3 })).body.snoozed_until);
+  assert.ok(Math.abs(byHours - (before + 3 * 60 * 60 * 1000)) < 5000);
+
+  assert.equal((await client.post(`/api/tasks/${taskId}/snooze`, { until: '2020-01-01T00:00:00Z' })).status, 400);
+});
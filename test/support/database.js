@@ -0,0 +1,23 @@
+// A migrated in-memory database for tests of code that takes a connection
+
+const { Database } = require('../../lib/db');
+const { migrate } = require('../../lib/migrator');
+
+async function openTestDatabase() {
+  const db = await Database.open(':memory:');
+  await migrate(db.connection, { log: () => {} });
+  return db;
+}
+
+async function createUser(db, username = 'tester') {
+  const { lastID } = await db.run(
+    "INSERT INTO users (username, password_hash, password_salt, role) VALUES (?, 'hash', 'salt', 'member')",
+    [username]
+  );
+  return lastID;
+}
+
+module.exports = {
+  openTestDatabase,
+  createUser
+};
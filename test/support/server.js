@@ -0,0 +1,132 @@
+// Starts server.js (or read-only-server.js) on a free port with a throwaway
+// database, for tests that go through the HTTP API. Call stop() when done.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..', '..');
+const START_TIMEOUT = 15000;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.unref();
+    probe.on('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function startServer({ script = 'server.js', env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexus-test-'));
+  const port = await freePort();
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      READ_ONLY_PORT: String(port),
+      DATABASE_PATH: path.join(dir, 'nexus.db'),
+      ADMIN_CODE: '',
+      ALLOW_REGISTRATION: 'true',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT);
+    child.stdout.on('data', (chunk) => {
+      output += chunk;
+      if (output.includes('running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on('data', (chunk) => {
+      output += chunk;
+    });
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with ${code}:\n${output}`));
+    });
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    output: () => output,
+    stop() {
+      return new Promise((resolve) => {
+        child.removeAllListeners('exit');
+        child.once('exit', () => {
+          fs.rmSync(dir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill('SIGTERM');
+      });
+    }
+  };
+}
+
+// A fetch wrapper that keeps the session cookie, like a browser would
+function createClient(baseUrl) {
+  const cookies = new Map();
+
+  async function request(method, url, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${url}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(cookies.size > 0 ? { Cookie: [...cookies].map(([name, value]) => `${name}=${value}`).join('; ') } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const setCookies = response.headers.getSetCookie ? response.headers.getSetCookie() : [];
+    setCookies.forEach((cookie) => {
+      const [pair] = cookie.split(';');
+      const [name, value] = pair.split('=');
+      if (value) {
+        cookies.set(name, value);
+      } else {
+        cookies.delete(name);
+      }
+    });
+    const text = await response.text();
+    let data = text;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      // Not JSON (a page or a file); keep the text
+    }
+    return { status: response.status, headers: response.headers, body: data };
+  }
+
+  return {
+    cookies,
+    get: (url, headers) => request('GET', url, undefined, headers),
+    post: (url, body = {}, headers) => request('POST', url, body, headers),
+    put: (url, body = {}, headers) => request('PUT', url, body, headers),
+    delete: (url, headers) => request('DELETE', url, undefined, headers),
+    // Create an account and sign in to it
+    async register(username = 'tester', password = 'correct horse') {
+      const response = await this.post('/api/auth/register', { username, password });
+      if (response.status !== 200) {
+        throw new Error(`Could not register ${username}: ${JSON.stringify(response.body)}`);
+      }
+      return response.body.user;
+    }
+  };
+}
+
+module.exports = {
+  startServer,
+  createClient
+};
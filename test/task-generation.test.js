@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const taskGeneration = require('../lib/task-generation');
+
+const all = { limit: 10 };
+
+test('every goal category has its own template steps', async () => {
+  const cases = [
+    ['business', 7, 'Define the target customer and the problem you solve'],
+    ['personal', 6, 'Write down what done looks like and why it matters'],
+    ['health', 6, 'Record a baseline of where you are today'],
+    ['learning', 6, 'Choose one main course, book or resource'],
+    ['financial', 6, 'List all income, expenses and debts'],
+    ['general', 4, 'Write down what done looks like'],
+    ['hobbies', 4, 'Write down what done looks like'],
+    [null, 4, 'Write down what done looks like']
+  ];
+  for (const [category, count, first] of cases) {
+    const suggestions = await taskGeneration.generateSuggestions({ title: 'Get better', category }, [], all);
+    assert.equal(suggestions.length, count, category);
+    assert.equal(suggestions[0].title, first, category);
+    assert.equal(new Set(suggestions.map(suggestion => suggestion.title)).size, count, category);
+    suggestions.forEach((suggestion) => {
+      assert.equal(suggestion.strategy, 'templates');
+      assert.ok(['high', 'medium', 'low'].includes(suggestion.priority));
+      assert.ok(suggestion.estimated_time > 0);
+    });
+  }
+  const [health] = await taskGeneration.generateSuggestions({ title: 'Get better', category: 'health' }, []);
+  assert.equal(health.reason, 'Common step for health goals');
+  const [general] = await taskGeneration.generateSuggestions({ title: 'Get better' }, []);
+  assert.equal(general.reason, 'Common step for goals');
+});
+
+test('steps matching words in the goal come first', async () => {
+  const [first, second] = await taskGeneration.generateSuggestions({ title: 'Start running', description: 'Sleep better too', category: 'health' }, []);
+  assert.equal(first.title, 'Pick a weekly exercise routine you can keep');
+  assert.equal(first.reason, 'Matches "running" in your goal');
+  assert.equal(second.title, 'Set a consistent sleep schedule');
+});
+
+test('steps listed in the goal description come first, sized like the existing tasks', async () => {
+  const goal = { title: 'Launch the shop', category: 'business', description: 'Plan:\n- Pick a domain name\n2) Photograph products\nnot a step' };
+  const tasks = [{ title: 'Open a bank account', estimated_time: 90 }, { title: 'Register the company', estimated_time: 20 }, { title: 'Ask about insurance', estimated_time: null }];
+  const suggestions = await taskGeneration.generateSuggestions(goal, tasks, all);
+
+  assert.deepEqual(suggestions.slice(0, 2).map(({ title, estimated_time, reason }) => ({ title, estimated_time, reason })), [
+    { title: 'Pick a domain name', estimated_time: 90, reason: 'Listed in the goal description' },
+    { title: 'Photograph products', estimated_time: 90, reason: 'Listed in the goal description' }
+  ]);
+  // Three tasks already make a plan, so planning steps are left out
+  assert.ok(!suggestions.some(suggestion => suggestion.title.startsWith('Define the target customer')));
+  assert.ok(!suggestions.some(suggestion => suggestion.title.startsWith('Research three competitors')));
+});
+
+test('suggestions that repeat an existing task are skipped', async () => {
+  const tasks = [
+    { title: 'Record my baseline today' },
+    { title: 'Plan the meals and groceries' }
+  ];
+  const titles = (await taskGeneration.generateSuggestions({ title: 'Get fit', category: 'health' }, tasks, all)).map(suggestion => suggestion.title);
+  assert.ok(!titles.includes('Record a baseline of where you are today'));
+  assert.ok(!titles.includes('Plan meals and groceries for the week'));
+  assert.ok(titles.includes('Set a consistent sleep schedule'));
+});
+
+test('limit is kept between 1 and 10', async () => {
+  const goal = { title: 'Start a company', category: 'business' };
+  assert.equal((await taskGeneration.generateSuggestions(goal, [])).length, 5);
+  assert.equal((await taskGeneration.generateSuggestions(goal, [], { limit: 2 })).length, 2);
+  assert.equal((await taskGeneration.generateSuggestions(goal, [], { limit: -4 })).length, 1);
+  assert.equal((await taskGeneration.generateSuggestions(goal, [], { limit: 'lots' })).length, 5);
+});
+
+test('other strategies can be plugged in and their output is cleaned up', async () => {
+  assert.throws(() => taskGeneration.registerGenerator({ name: 'broken' }), /needs a name/);
+  await assert.rejects(taskGeneration.generateSuggestions({ title: 'x' }, [], { strategy: 'missing' }), /Unknown task generator "missing"/);
+
+  taskGeneration.registerGenerator({
+    name: 'echo',
+    description: 'Repeats what it is told',
+    async generate(goal, tasks, options) {
+      return [
+        { title: '  ' },
+        { title: `  Think about ${goal.title}  `, priority: 'urgent', estimated_time: 'soon' },
+        { title: `Think about ${goal.title} again`, priority: 'low' },
+        { title: 'Existing work' },
+        { title: options.extra, estimated_time: 12 }
+      ];
+    }
+  });
+  assert.deepEqual(taskGeneration.listGenerators().map(generator => generator.name), ['templates', 'echo']);
+
+  const suggestions = await taskGeneration.generateSuggestions({ title: 'cake' }, [{ title: 'Existing work' }], { strategy: 'echo', extra: 'Buy flour' });
+  assert.deepEqual(suggestions, [
+    { title: 'Think about cake', description: null, priority: 'medium', estimated_time: 30, reason: null, strategy: 'echo' },
+    { title: 'Buy flour', description: null, priority: 'medium', estimated_time: 12, reason: null, strategy: 'echo' }
+  ]);
+});
@@ -0,0 +1,114 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createClient } = require('./support/server');
+
+let server;
+let client;
+let goalId;
+
+before(async () => {
+  server = await startServer();
+  client = createClient(server.baseUrl);
+  await client.register();
+  goalId = (await client.post('/api/goals', { title: 'Ship the app' })).body.id;
+});
+
+after(() => server.stop());
+
+test('a task is created, read, listed, updated and deleted', async () => {
+  const created = await client.post('/api/tasks', {
+    goal_id: goalId,
+    title: '  Write the README  ',
+    estimated_time: '45',
+    due_date: '2026-07-01'
+  });
+  assert.equal(created.status, 200);
+  const id = created.body.id;
+
+  const task = (await client.get(`/api/tasks/${id}`)).body;
+  assert.equal(task.title, 'Write the README');
+  assert.equal(task.priority, 'medium');
+  assert.equal(task.status, 'pending');
+  assert.equal(task.estimated_time, 45);
+  assert.equal(task.due_date, '2026-07-01');
+  assert.deepEqual((await client.get(`/api/tasks?goal_id=${goalId}`)).body.map(item => item.id), [id]);
+
+  const updated = await client.put(`/api/tasks/${id}`, { title: 'Write the docs', priority: 'high', due_date: '' });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.task.title, 'Write the docs');
+  assert.equal(updated.body.task.priority, 'high');
+  assert.equal(updated.body.task.due_date, null);
+
+  assert.equal((await client.delete(`/api/tasks/${id}`)).status, 200);
+  assert.equal((await client.get(`/api/tasks/${id}`)).status, 404);
+  assert.equal((await client.delete(`/api/tasks/${id}`)).status, 404);
+});
+
+test('creating a task checks every field', async () => {
+  const cases = [
+    [{ title: 'No goal', goal_id: undefined }, 'Missing goal'],
+    [{ title: '' }, 'Invalid task'],
+    [{ title: 123 }, 'Invalid task'],
+    [{ title: 'Task', priority: 'urgent' }, 'Invalid task'],
+    [{ title: 'Task', estimated_time: 'an hour' }, 'Invalid task'],
+    [{ title: 'Task', due_date: 'tomorrow' }, 'Invalid task'],
+    [{ title: 'Task', goal_id: 9999 }, 'Goal not found']
+  ];
+  for (const [fields, error] of cases) {
+    const response = await client.post('/api/tasks', { goal_id: goalId, ...fields });
+    assert.equal(response.status, 400, JSON.stringify(fields));
+    assert.equal(response.body.error, error, JSON.stringify(fields));
+  }
+  assert.equal((await client.post('/api/goals', { title: 123 })).status, 400);
+});
+
+test('updates run through the same checks', async () => {
+  const id = (await client.post('/api/tasks', { goal_id: goalId, title: 'Plan' })).body.id;
+  for (const fields of [{ title: 123 }, { title: ' ' }, { due_date: '01/07/2026' }, { priority: 'soon' }, { estimated_time: -5 }]) {
+    const response = await client.put(`/api/tasks/${id}`, fields);
+    assert.equal(response.status, 400, JSON.stringify(fields));
+    assert.equal(response.body.error, 'Invalid task');
+  }
+  assert.equal((await client.put(`/api/tasks/${id}`, { status: 'completed' })).body.error, 'Use the status endpoint');
+  assert.equal((await client.put(`/api/tasks/${id}`, {})).body.error, 'No changes provided');
+  assert.equal((await client.get(`/api/tasks/${id}`)).body.title, 'Plan');
+});
+
+test('status moves along the allowed transitions and stamps completion', async () => {
+  const id = (await client.post('/api/tasks', { goal_id: goalId, title: 'Record the demo', estimated_time: 30 })).body.id;
+  const move = (status, extra = {}) => client.post(`/api/tasks/${id}/status`, { status, ...extra });
+
+  const skipped = await move('completed');
+  assert.equal(skipped.status, 409);
+  assert.deepEqual(skipped.body.allowed, ['in_progress']);
+  assert.equal((await move('done')).status, 400);
+
+  const started = await move('in_progress');
+  assert.equal(started.status, 200);
+  assert.equal(started.body.task.status, 'in_progress');
+  assert.equal(started.body.task.completed_at, null);
+
+  assert.equal((await move('completed', { actual_time: 'long' })).status, 400);
+  const completed = await move('completed', { actual_time: 50 });
+  assert.equal(completed.status, 200);
+  assert.equal(completed.body.task.status, 'completed');
+  assert.equal(completed.body.task.actual_time, 50);
+  assert.match(completed.body.task.completed_at, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+  assert.equal((await move('in_progress')).status, 409);
+
+  // Reopening clears the stamp but keeps the time already spent
+  const reopened = await move('pending');
+  assert.equal(reopened.body.task.completed_at, null);
+  assert.equal(reopened.body.task.actual_time, 50);
+});
+
+test('completing tasks moves the goal progress', async () => {
+  const goal = (await client.post('/api/goals', { title: 'Tidy up' })).body.id;
+  const first = (await client.post('/api/tasks', { goal_id: goal, title: 'One' })).body.id;
+  await client.post('/api/tasks', { goal_id: goal, title: 'Two' });
+
+  await client.post(`/api/tasks/${first}/status`, { status: 'in_progress' });
+  await client.post(`/api/tasks/${first}/status`, { status: 'completed' });
+  const goals = (await client.get('/api/goals')).body;
+  assert.equal(goals.find(item => item.id === goal).progress, 50);
+});
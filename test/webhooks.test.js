@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const webhooks = require('../lib/webhooks');
+
+const SECRET = 'whsec_test_secret_value';
+
+test('validateWebhook requires an http(s) url and known events', () => {
+  assert.deepEqual(webhooks.validateWebhook({ url: 'https://example.com/hook', events: ['task.completed', 'task.completed'] }), {
+    webhook: { url: 'https://example.com/hook', events: ['task.completed'], enabled: true }
+  });
+  assert.match(webhooks.validateWebhook({ url: 'ftp://example.com', events: ['task.completed'] }).error, /^url must be/);
+  assert.match(webhooks.validateWebhook({ url: 'example.com', events: ['task.completed'] }).error, /^url must be/);
+  assert.match(webhooks.validateWebhook({ url: 'https://example.com', events: [] }).error, /^events must list/);
+  assert.match(webhooks.validateWebhook({ url: 'https://example.com', events: ['task.exploded'] }).error, /^Unknown event "task.exploded"/);
+  assert.match(webhooks.validateWebhook({ url: 'https://example.com', events: ['ping'] }).error, /^Unknown event "ping"/);
+});
+
+test('validateWebhook only checks the fields an update sends', () => {
+  assert.deepEqual(webhooks.validateWebhook({ enabled: false, description: '  Zapier  ' }, { partial: true }), {
+    webhook: { enabled: false, description: 'Zapier' }
+  });
+  assert.deepEqual(webhooks.validateWebhook({}, { partial: true }), { webhook: {} });
+  assert.match(webhooks.validateWebhook({ secret: 'short' }, { partial: true }).error, /^secret must be at least 16/);
+  assert.equal(webhooks.validateWebhook({ secret: SECRET }, { partial: true }).webhook.secret, SECRET);
+});
+
+test('newSecret makes a long random secret', () => {
+  const secret = webhooks.newSecret();
+  assert.match(secret, /^whsec_[0-9a-f]{48}$/);
+  assert.notEqual(secret, webhooks.newSecret());
+});
+
+test('deliveries are signed over the timestamp and body', () => {
+  const body = JSON.stringify({ event: 'task.completed', occurred_at: '2026-06-10T12:00:00.000Z', data: { id: 9 } });
+  const now = Date.parse('2026-06-10T12:00:00.750Z');
+  const headers = webhooks.deliveryHeaders({ deliveryId: 42, event: 'task.completed', body, secret: SECRET, now });
+
+  assert.equal(headers['Content-Type'], 'application/json');
+  assert.equal(headers['X-Nexus-Event'], 'task.completed');
+  assert.equal(headers['X-Nexus-Delivery'], '42');
+  assert.equal(headers['X-Nexus-Timestamp'], String(Math.floor(now / 1000)));
+
+  // What a receiver would compute from the request
+  const expected = crypto.createHmac('sha256', SECRET).update(`${headers['X-Nexus-Timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['X-Nexus-Signature'], `sha256=${expected}`);
+  assert.equal(webhooks.sign(SECRET, headers['X-Nexus-Timestamp'], body), expected);
+  assert.notEqual(webhooks.sign('whsec_another_secret_value', headers['X-Nexus-Timestamp'], body), expected);
+  assert.notEqual(webhooks.sign(SECRET, Number(headers['X-Nexus-Timestamp']) + 1, body), expected);
+});
+
+test('retries back off exponentially and stop after MAX_ATTEMPTS', () => {
+  const delays = [];
+  for (let attempts = 1; attempts < webhooks.MAX_ATTEMPTS; attempts++) {
+    delays.push(webhooks.retryDelay(attempts));
+  }
+  assert.deepEqual(delays, [30, 60, 120, 240, 480, 960, 1920].map(seconds => seconds * 1000));
+  assert.equal(webhooks.retryDelay(webhooks.MAX_ATTEMPTS), null);
+  assert.equal(webhooks.retryDelay(webhooks.MAX_ATTEMPTS + 1), null);
+});